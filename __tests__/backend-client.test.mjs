@@ -0,0 +1,130 @@
+import http from "node:http";
+import {
+  makeBackendRequest,
+  registerCredentialsProvider,
+} from "../src/integration/backend-client.mjs";
+
+process.env.NODE_ENV = "test";
+process.env.LOG_LEVEL = "ERROR"; // Reduce log noise in tests
+
+describe("makeBackendRequest", () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let respond;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, headers: req.headers });
+      respond(req, res);
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    const { port } = server.address();
+    baseUrl = `http://127.0.0.1:${port}`;
+    // The test backend is local, allow it through the SSRF guard
+    process.env.OUTBOUND_ALLOWED_PRIVATE_HOSTS = "127.0.0.1";
+    process.env.OUTBOUND_ALLOWED_PORTS = String(port);
+  });
+
+  afterAll(async () => {
+    delete process.env.OUTBOUND_ALLOWED_PRIVATE_HOSTS;
+    delete process.env.OUTBOUND_ALLOWED_PORTS;
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    process.env.BACKEND_BASE_URL = `${baseUrl}/v1/`;
+  });
+
+  afterEach(() => {
+    registerCredentialsProvider(null);
+    delete process.env.BACKEND_BASE_URL;
+    delete process.env.BACKEND_BEARER_TOKEN;
+  });
+
+  it("should send authenticated requests and parse JSON responses", async () => {
+    process.env.BACKEND_BEARER_TOKEN = "env-token";
+    respond = (req, res) => {
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ title: "Test Video" }));
+    };
+
+    const data = await makeBackendRequest("/videos/123", {
+      correlationId: "corr-1",
+    });
+
+    expect(data).toEqual({ title: "Test Video" });
+    expect(requests[0].url).toBe("/v1/videos/123");
+    expect(requests[0].headers).toMatchObject({
+      authorization: "Bearer env-token",
+      "x-correlation-id": "corr-1",
+    });
+  });
+
+  it("should use registered credentials providers and return text bodies", async () => {
+    registerCredentialsProvider(async () => ({ apiKey: "secret-key" }));
+    respond = (req, res) => {
+      res.setHeader("Content-Type", "text/html");
+      res.end("<p>ok</p>");
+    };
+
+    const data = await makeBackendRequest(`${baseUrl}/page`);
+
+    expect(data).toBe("<p>ok</p>");
+    expect(requests[0].headers["x-api-key"]).toBe("secret-key");
+    expect(requests[0].headers.authorization).toBeUndefined();
+  });
+
+  it("should leave out credentials when disabled", async () => {
+    process.env.BACKEND_BEARER_TOKEN = "env-token";
+    respond = (req, res) => res.end("ok");
+
+    await makeBackendRequest(`${baseUrl}/page`, { credentials: false });
+
+    expect(requests[0].headers.authorization).toBeUndefined();
+  });
+
+  it("should map backend statuses to typed errors", async () => {
+    const cases = [
+      [404, "CONTENT_NOT_FOUND", false],
+      [403, "CONTENT_UNAUTHORIZED", false],
+      [410, "CONTENT_GONE", false],
+      [504, "BACKEND_TIMEOUT", true],
+      [503, "BACKEND_ERROR", true],
+      [401, "BACKEND_ERROR", false],
+    ];
+
+    for (const [status, code, retryable] of cases) {
+      respond = (req, res) => {
+        res.statusCode = status;
+        res.end("error");
+      };
+      await expect(makeBackendRequest("/videos/123")).rejects.toMatchObject({
+        code,
+        retryable,
+      });
+    }
+  });
+
+  it("should time out slow requests with BackendTimeoutError", async () => {
+    respond = () => {}; // never answers
+
+    await expect(
+      makeBackendRequest("/videos/123", { timeout: 50 })
+    ).rejects.toMatchObject({ code: "BACKEND_TIMEOUT" });
+    await expect(
+      makeBackendRequest("/videos/123", { deadline: Date.now() - 1 })
+    ).rejects.toMatchObject({ code: "BACKEND_TIMEOUT" });
+    expect(requests).toHaveLength(1);
+  });
+
+  it("should refuse endpoints blocked by the SSRF guard", async () => {
+    await expect(
+      makeBackendRequest("http://169.254.169.254/latest/meta-data/")
+    ).rejects.toMatchObject({ code: "BACKEND_ERROR", retryable: false });
+    expect(requests).toHaveLength(0);
+  });
+});
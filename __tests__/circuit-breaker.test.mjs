@@ -0,0 +1,102 @@
+import {
+  createCircuitBreaker,
+  CIRCUIT_STATES,
+} from "../src/utils/circuit-breaker.mjs";
+import { BackendError, ContentNotFoundError } from "../src/utils/errors.mjs";
+
+describe("createCircuitBreaker", () => {
+  const failing = async () => {
+    throw new BackendError();
+  };
+
+  it("should open after consecutive failures and fail fast", async () => {
+    const changes = [];
+    const breaker = createCircuitBreaker("videos", {
+      failureThreshold: 2,
+      onStateChange: (name, change, context) =>
+        changes.push([name, change.to, context.url]),
+    });
+    let calls = 0;
+    const counted = async () => {
+      calls++;
+      return failing();
+    };
+
+    await expect(breaker.execute(counted)).rejects.toThrow(BackendError);
+    await expect(
+      breaker.execute(counted, { url: "https://mybusiness.com/video/1" })
+    ).rejects.toThrow(BackendError);
+    await expect(breaker.execute(counted)).rejects.toMatchObject({
+      code: "BACKEND_UNAVAILABLE",
+    });
+
+    expect(calls).toBe(2);
+    expect(breaker.getState()).toBe(CIRCUIT_STATES.OPEN);
+    expect(changes).toEqual([
+      ["videos", CIRCUIT_STATES.OPEN, "https://mybusiness.com/video/1"],
+    ]);
+  });
+
+  it("should close after a successful trial call once the timeout passes", async () => {
+    let time = 0;
+    const states = [];
+    const breaker = createCircuitBreaker("videos", {
+      failureThreshold: 1,
+      resetTimeoutMs: 1000,
+      now: () => time,
+      onStateChange: (name, { to }) => states.push(to),
+    });
+
+    await expect(breaker.execute(failing)).rejects.toThrow(BackendError);
+    time = 1000;
+    await expect(breaker.execute(failing)).rejects.toThrow(BackendError);
+    time = 1500;
+    await expect(breaker.execute(async () => "ok")).rejects.toMatchObject({
+      code: "BACKEND_UNAVAILABLE",
+    });
+    time = 2000;
+    await expect(breaker.execute(async () => "ok")).resolves.toBe("ok");
+
+    expect(states).toEqual([
+      CIRCUIT_STATES.OPEN,
+      CIRCUIT_STATES.HALF_OPEN,
+      CIRCUIT_STATES.OPEN,
+      CIRCUIT_STATES.HALF_OPEN,
+      CIRCUIT_STATES.CLOSED,
+    ]);
+  });
+
+  it("should not count errors rejected by isFailure", async () => {
+    const breaker = createCircuitBreaker("videos", {
+      failureThreshold: 1,
+      isFailure: (error) => error.retryable,
+    });
+
+    await expect(
+      breaker.execute(async () => {
+        throw new ContentNotFoundError();
+      })
+    ).rejects.toThrow(ContentNotFoundError);
+
+    expect(breaker.getState()).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  it("should neither count nor reset on ignored errors", async () => {
+    const breaker = createCircuitBreaker("videos", {
+      failureThreshold: 2,
+      isIgnored: (error, context) => context.outOfTime,
+    });
+
+    await expect(breaker.execute(failing)).rejects.toThrow(BackendError);
+    for (let i = 0; i < 3; i++) {
+      await expect(
+        breaker.execute(failing, { outOfTime: true })
+      ).rejects.toThrow(BackendError);
+    }
+    expect(breaker.getState()).toBe(CIRCUIT_STATES.CLOSED);
+
+    // The earlier failure still counts
+    await expect(breaker.execute(failing)).rejects.toThrow(BackendError);
+    expect(breaker.getState()).toBe(CIRCUIT_STATES.OPEN);
+  });
+});
@@ -0,0 +1,55 @@
+import {
+  getRequestDeadline,
+  getRemainingTime,
+  runWithDeadline,
+} from "../src/utils/deadline.mjs";
+import { retryWithBackoff } from "../src/utils/helpers.mjs";
+import { BackendTimeoutError } from "../src/utils/errors.mjs";
+
+describe("request deadline", () => {
+  it("should derive the deadline from the Lambda remaining time", () => {
+    const before = Date.now();
+    const deadline = getRequestDeadline(
+      { getRemainingTimeInMillis: () => 3000 },
+      500
+    );
+
+    expect(deadline).toBeGreaterThanOrEqual(before + 2500);
+    expect(deadline).toBeLessThanOrEqual(Date.now() + 2500);
+    expect(getRequestDeadline(undefined)).toBeNull();
+    expect(getRemainingTime(null)).toBe(Infinity);
+  });
+
+  it("should fail operations still running at the deadline", async () => {
+    const slow = () => new Promise((resolve) => setTimeout(resolve, 1000, "late"));
+
+    await expect(
+      runWithDeadline(slow, Date.now() + 20, () => new BackendTimeoutError())
+    ).rejects.toMatchObject({ code: "BACKEND_TIMEOUT" });
+    await expect(
+      runWithDeadline(async () => "ok", Date.now() + 1000, () => new Error())
+    ).resolves.toBe("ok");
+    await expect(
+      runWithDeadline(slow, Date.now() - 1, () => new BackendTimeoutError())
+    ).rejects.toThrow(BackendTimeoutError);
+  });
+
+  it("should not start retries that cannot finish before the deadline", async () => {
+    let attempts = 0;
+    const failing = async () => {
+      attempts++;
+      throw new Error("Backend down");
+    };
+
+    await expect(
+      retryWithBackoff(failing, {
+        maxRetries: 5,
+        baseDelay: 200,
+        jitter: false,
+        deadline: Date.now() + 100,
+        onDeadline: (cause) => new BackendTimeoutError(undefined, { cause }),
+      })
+    ).rejects.toThrow(BackendTimeoutError);
+    expect(attempts).toBe(1);
+  });
+});
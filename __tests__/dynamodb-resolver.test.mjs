@@ -0,0 +1,120 @@
+import { mockClient } from "aws-sdk-client-mock";
+import { DynamoDBDocumentClient, GetCommand } from "@aws-sdk/lib-dynamodb";
+import { fetchDynamoDbMetadata } from "../src/integration/resolvers/dynamodb.mjs";
+
+process.env.PROVIDER_DOMAIN = "mybusiness.com";
+process.env.NODE_ENV = "test";
+process.env.LOG_LEVEL = "ERROR"; // Reduce log noise in tests
+
+describe("dynamodb resolver", () => {
+  const ddbMock = mockClient(DynamoDBDocumentClient);
+  const contentParams = { contentType: "video", maxwidth: 640 };
+
+  beforeEach(() => {
+    ddbMock.reset();
+    process.env.CONTENT_TABLE = "content";
+  });
+
+  afterAll(() => {
+    ddbMock.restore();
+    delete process.env.CONTENT_TABLE;
+  });
+
+  it("should map the content item to oEmbed metadata", async () => {
+    ddbMock.on(GetCommand).resolves({
+      Item: {
+        contentId: "123",
+        contentType: "video",
+        title: "Launch Keynote",
+        author: { name: "Jane Doe", url: "https://mybusiness.com/jane" },
+        width: 1280,
+        height: 720,
+        updatedAt: "2024-05-01T10:00:00Z",
+      },
+    });
+
+    const metadata = await fetchDynamoDbMetadata("123", contentParams, "test");
+
+    const [get] = ddbMock.commandCalls(GetCommand);
+    expect(get.args[0].input).toEqual({
+      TableName: "content",
+      Key: { contentId: "123", contentType: "video" },
+    });
+    expect(metadata).toMatchObject({
+      type: "video",
+      title: "Launch Keynote",
+      author_name: "Jane Doe",
+      width: 1280,
+      height: 720,
+      _last_modified: "2024-05-01T10:00:00Z",
+    });
+  });
+
+  it("should keep link descriptions", async () => {
+    ddbMock.on(GetCommand).resolves({
+      Item: {
+        contentId: "42",
+        contentType: "link",
+        title: "New pricing",
+        description: "What changes for existing plans",
+      },
+    });
+
+    const metadata = await fetchDynamoDbMetadata(
+      "42",
+      { contentType: "link" },
+      "test"
+    );
+
+    expect(metadata).toMatchObject({
+      type: "link",
+      description: "What changes for existing plans",
+      // Default provider name from config/environment.mjs
+      provider_name: "oEmbed Provider",
+    });
+  });
+
+  it("should answer photo items without an image URL as links", async () => {
+    ddbMock.on(GetCommand).resolves({
+      Item: { contentId: "7", contentType: "photo", title: "Sunset", width: 800 },
+    });
+
+    const metadata = await fetchDynamoDbMetadata(
+      "7",
+      { contentType: "photo" },
+      "test"
+    );
+
+    expect(metadata).toMatchObject({ type: "link", title: "Sunset" });
+    expect(metadata.url).toBeUndefined();
+    expect(metadata.width).toBeUndefined();
+  });
+
+  it("should report missing items as not found", async () => {
+    ddbMock.on(GetCommand).resolves({});
+
+    await expect(
+      fetchDynamoDbMetadata("missing", contentParams, "test")
+    ).rejects.toMatchObject({ code: "CONTENT_NOT_FOUND" });
+  });
+
+  it("should report removed items as gone", async () => {
+    ddbMock.on(GetCommand).resolves({
+      Item: { contentId: "123", contentType: "video", status: "removed" },
+    });
+
+    await expect(
+      fetchDynamoDbMetadata("123", contentParams, "test")
+    ).rejects.toMatchObject({ code: "CONTENT_GONE" });
+  });
+
+  it("should turn throttling into a retryable backend error", async () => {
+    const throttled = new Error("Rate exceeded");
+    throttled.name = "ThrottlingException";
+    ddbMock.on(GetCommand).rejects(throttled);
+
+    await expect(
+      fetchDynamoDbMetadata("123", contentParams, "test")
+    ).rejects.toMatchObject({ code: "BACKEND_ERROR", retryable: true });
+  });
+});
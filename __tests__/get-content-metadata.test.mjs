@@ -0,0 +1,128 @@
+import {
+  getContentMetadata,
+  registerResolver,
+} from "../src/integration/getContentMetadata.mjs";
+
+process.env.LOG_LEVEL = "ERROR"; // Reduce log noise in tests
+
+describe("getContentMetadata request coalescing", () => {
+  const saved = {};
+  let lookups;
+
+  beforeAll(() => {
+    // Reach the resolvers instead of the test metadata shortcut
+    for (const key of ["NODE_ENV", "JEST_WORKER_ID", "URL_SCHEMES"]) {
+      saved[key] = process.env[key];
+    }
+    process.env.NODE_ENV = "production";
+    delete process.env.JEST_WORKER_ID;
+    process.env.URL_SCHEMES = JSON.stringify([
+      {
+        name: "article",
+        type: "link",
+        resolver: "slow-article",
+        schemes: ["/article/:id"],
+      },
+    ]);
+
+    // Answers with the URL it was asked for once the test releases it
+    registerResolver("slow-article", (contentId, contentParams) => {
+      const lookup = { url: contentParams.url };
+      lookup.done = new Promise((resolve) => {
+        lookup.release = () =>
+          resolve({ type: "link", title: `Article ${contentParams.url}` });
+      });
+      lookups.push(lookup);
+      return lookup.done;
+    });
+  });
+
+  afterAll(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  beforeEach(() => {
+    lookups = [];
+  });
+
+  // Waits (up to half a second) for resolver calls to start
+  const waitForLookups = async (count) => {
+    for (let i = 0; i < 100 && lookups.length < count; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  };
+
+  it("should not share lookups of the same content ID on different hosts", async () => {
+    const first = getContentMetadata("https://a.mybusiness.com/article/42");
+    const second = getContentMetadata("https://mybusiness.com/article/42");
+
+    await waitForLookups(2);
+    lookups.forEach((lookup) => lookup.release());
+
+    expect((await first).title).toBe(
+      "Article https://a.mybusiness.com/article/42"
+    );
+    expect((await second).title).toBe(
+      "Article https://mybusiness.com/article/42"
+    );
+  });
+
+  it("should not share lookups of the same URL at different sizes", async () => {
+    const url = "https://mybusiness.com/article/5";
+    const small = getContentMetadata(url, 320);
+    const large = getContentMetadata(url, 640);
+
+    await waitForLookups(2);
+    expect(lookups).toHaveLength(2);
+    lookups.forEach((lookup) => lookup.release());
+
+    await expect(small).resolves.toMatchObject({ title: `Article ${url}` });
+    await expect(large).resolves.toMatchObject({ title: `Article ${url}` });
+  });
+
+  it("should time out waiting callers at their own deadline", async () => {
+    const url = "https://mybusiness.com/article/7";
+    const leader = getContentMetadata(url);
+    await waitForLookups(1);
+
+    await expect(
+      getContentMetadata(url, undefined, undefined, {
+        deadline: Date.now() + 20,
+      })
+    ).rejects.toMatchObject({ code: "BACKEND_TIMEOUT" });
+    expect(lookups).toHaveLength(1);
+
+    lookups[0].release();
+    expect((await leader).title).toBe(`Article ${url}`);
+  });
+
+  it("should not count timeouts at the request deadline as backend failures", async () => {
+    process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD = "1";
+
+    try {
+      await expect(
+        getContentMetadata(
+          "https://mybusiness.com/article/8",
+          undefined,
+          undefined,
+          { deadline: Date.now() + 20 }
+        )
+      ).rejects.toMatchObject({ code: "BACKEND_TIMEOUT" });
+      // Let the breaker see the timed out lookup
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      const next = getContentMetadata("https://mybusiness.com/article/9");
+      await waitForLookups(2);
+      lookups.forEach((lookup) => lookup.release());
+
+      expect((await next).title).toBe(
+        "Article https://mybusiness.com/article/9"
+      );
+    } finally {
+      delete process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD;
+    }
+  });
+});
@@ -0,0 +1,147 @@
+import http from "node:http";
+import { fetchJsonLdMetadata } from "../src/integration/resolvers/jsonld.mjs";
+
+process.env.NODE_ENV = "test";
+process.env.LOG_LEVEL = "ERROR"; // Reduce log noise in tests
+
+const page = (...blocks) =>
+  `<html><head><title>Page</title></head><body>${blocks
+    .map(
+      (block) =>
+        `<script type="application/ld+json">${
+          typeof block === "string" ? block : JSON.stringify(block)
+        }</script>`
+    )
+    .join("")}</body></html>`;
+
+// Fixture pages served by the local test server, by path
+const PAGES = {
+  "/watch/launch": page("{ not json", {
+    "@context": "https://schema.org",
+    "@graph": [
+      {
+        "@type": "Person",
+        "@id": "https://mybusiness.com/#jane",
+        name: "Jane Doe",
+        url: "https://mybusiness.com/team/jane",
+      },
+      {
+        "@type": "VideoObject",
+        name: "Launch Keynote",
+        author: { "@id": "https://mybusiness.com/#jane" },
+        embedUrl: "https://mybusiness.com/embed/launch",
+        thumbnailUrl: ["/thumbs/launch.jpg", "/thumbs/launch-small.jpg"],
+        width: { "@type": "QuantitativeValue", value: 1280 },
+        height: "720",
+        duration: "PT4M32S",
+        uploadDate: "2024-05-01T10:00:00Z",
+      },
+    ],
+  }),
+  "/blog/pricing": page({
+    "@context": "https://schema.org",
+    "@graph": [
+      {
+        "@type": "ImageObject",
+        "@id": "https://mybusiness.com/blog/pricing#image",
+        url: "https://cdn.mybusiness.com/pricing.jpg",
+        width: 1200,
+        height: 630,
+      },
+      {
+        "@type": "BlogPosting",
+        headline: "New pricing",
+        author: [{ "@type": "Person", name: "Sam Writer" }],
+        image: { "@id": "https://mybusiness.com/blog/pricing#image" },
+        datePublished: "2024-04-01",
+      },
+    ],
+  }),
+  "/photo/sunset": page({
+    "@context": "https://schema.org",
+    "@type": "ImageObject",
+    caption: "Sunset over the bay",
+    contentUrl: "https://cdn.mybusiness.com/sunset.jpg",
+    width: "2400px",
+    height: "1600px",
+  }),
+  "/about": page(),
+};
+
+describe("jsonld resolver", () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      res.end(PAGES[req.url]);
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    const { port } = server.address();
+    baseUrl = `http://127.0.0.1:${port}`;
+    // The fixture site is local, allow it through the SSRF guard
+    process.env.OUTBOUND_ALLOWED_PRIVATE_HOSTS = "127.0.0.1";
+    process.env.OUTBOUND_ALLOWED_PORTS = String(port);
+  });
+
+  afterAll(async () => {
+    delete process.env.OUTBOUND_ALLOWED_PRIVATE_HOSTS;
+    delete process.env.OUTBOUND_ALLOWED_PORTS;
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const resolve = (path) =>
+    fetchJsonLdMetadata(null, { url: `${baseUrl}${path}` }, "test");
+
+  it("should map VideoObject nodes from @graph to a video", async () => {
+    const metadata = await resolve("/watch/launch");
+
+    expect(metadata).toEqual({
+      type: "video",
+      title: "Launch Keynote",
+      author_name: "Jane Doe",
+      author_url: "https://mybusiness.com/team/jane",
+      embedUrl: "https://mybusiness.com/embed/launch",
+      width: 1280,
+      height: 720,
+      thumbnail_url: `${baseUrl}/thumbs/launch.jpg`,
+      duration: 272,
+      _last_modified: "2024-05-01T10:00:00Z",
+    });
+  });
+
+  it("should prefer articles over the images they reference", async () => {
+    const metadata = await resolve("/blog/pricing");
+
+    expect(metadata).toEqual({
+      type: "link",
+      title: "New pricing",
+      author_name: "Sam Writer",
+      thumbnail_url: "https://cdn.mybusiness.com/pricing.jpg",
+      thumbnail_width: 1200,
+      thumbnail_height: 630,
+      _last_modified: "2024-04-01",
+    });
+  });
+
+  it("should map ImageObject pages to a photo", async () => {
+    const metadata = await resolve("/photo/sunset");
+
+    expect(metadata).toEqual({
+      type: "photo",
+      title: "Sunset over the bay",
+      url: "https://cdn.mybusiness.com/sunset.jpg",
+      width: 2400,
+      height: 1600,
+    });
+  });
+
+  it("should report pages without supported nodes as not found", async () => {
+    await expect(resolve("/about")).rejects.toMatchObject({
+      code: "CONTENT_NOT_FOUND",
+    });
+  });
+});
@@ -0,0 +1,187 @@
+import {
+  mkdir,
+  mkdtemp,
+  readdir,
+  readFile,
+  rm,
+  utimes,
+  writeFile,
+} from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { mockClient } from "aws-sdk-client-mock";
+import { GetObjectCommand, S3Client } from "@aws-sdk/client-s3";
+import {
+  fetchManifestMetadata,
+  resetManifestDocuments,
+  validateManifestDocument,
+} from "../src/integration/resolvers/manifest.mjs";
+
+process.env.PROVIDER_DOMAIN = "mybusiness.com";
+process.env.PROVIDER_NAME = "MyBusiness";
+process.env.NODE_ENV = "test";
+process.env.LOG_LEVEL = "ERROR"; // Reduce log noise in tests
+
+describe("manifest resolver", () => {
+  beforeEach(() => {
+    resetManifestDocuments();
+    process.env.CONTENT_MANIFEST_SOURCE = "examples";
+  });
+
+  afterAll(() => {
+    delete process.env.CONTENT_MANIFEST_SOURCE;
+  });
+
+  it("should accept every document in the examples directory", async () => {
+    for (const type of ["photo", "video", "rich", "link"]) {
+      for (const file of await readdir(path.join("examples", type))) {
+        const document = JSON.parse(
+          await readFile(path.join("examples", type, file), "utf8")
+        );
+        expect({ file, ...validateManifestDocument(document, type) }).toEqual({
+          file,
+          isValid: true,
+        });
+      }
+    }
+  });
+
+  it("should serve a document by content ID", async () => {
+    const metadata = await fetchManifestMetadata(
+      "interactive-player",
+      { contentType: "video" },
+      "test"
+    );
+
+    expect(metadata).toMatchObject({
+      type: "video",
+      version: "1.0",
+      title: "Product Demo: Next-Gen Smart Home Integration",
+      provider_name: "MyBusiness",
+      width: 854,
+      height: 480,
+      cache_age: 1800,
+    });
+    expect(metadata.chapters).toHaveLength(5);
+    expect(typeof metadata._last_modified).toBe("string");
+  });
+
+  it("should keep provider extension fields", async () => {
+    const metadata = await fetchManifestMetadata(
+      "embedded-application",
+      { contentType: "rich" },
+      "test"
+    );
+
+    expect(metadata.application_info).toMatchObject({
+      type: "code_playground",
+      language: "javascript",
+    });
+  });
+
+  it("should report missing documents and unsafe IDs as not found", async () => {
+    await expect(
+      fetchManifestMetadata("missing", { contentType: "video" }, "test")
+    ).rejects.toMatchObject({ code: "CONTENT_NOT_FOUND" });
+    await expect(
+      fetchManifestMetadata("../package", { contentType: "video" }, "test")
+    ).rejects.toMatchObject({ code: "CONTENT_NOT_FOUND" });
+  });
+
+  describe("local directory", () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(path.join(os.tmpdir(), "manifest-"));
+      await mkdir(path.join(directory, "video"));
+      process.env.CONTENT_MANIFEST_SOURCE = directory;
+    });
+
+    afterEach(async () => {
+      process.env.NODE_ENV = "test";
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    const writeDocument = (id, document, mtime) => {
+      const file = path.join(directory, "video", `${id}.json`);
+      return writeFile(file, JSON.stringify(document)).then(
+        () => mtime && utimes(file, mtime, mtime)
+      );
+    };
+
+    it("should reject invalid documents without retrying", async () => {
+      await writeDocument("no-html", { type: "video", width: 640, height: 360 });
+
+      await expect(
+        fetchManifestMetadata("no-html", { contentType: "video" }, "test")
+      ).rejects.toMatchObject({ code: "BACKEND_ERROR", retryable: false });
+    });
+
+    it("should reload changed documents in local mode", async () => {
+      process.env.NODE_ENV = "development";
+      const document = {
+        type: "video",
+        html: "<div></div>",
+        width: 640,
+        height: 360,
+      };
+      const params = { contentType: "video" };
+
+      await writeDocument("clip", { ...document, title: "First" }, new Date(1000));
+      const first = await fetchManifestMetadata("clip", params, "test");
+
+      await writeDocument("clip", { ...document, title: "Second" }, new Date(2000));
+      const second = await fetchManifestMetadata("clip", params, "test");
+
+      expect(first.title).toBe("First");
+      expect(second.title).toBe("Second");
+    });
+  });
+
+  describe("S3 source", () => {
+    const s3Mock = mockClient(S3Client);
+
+    beforeEach(() => {
+      s3Mock.reset();
+      process.env.CONTENT_MANIFEST_SOURCE = "s3://site-content/oembed/";
+    });
+
+    afterAll(() => {
+      s3Mock.restore();
+    });
+
+    it("should read documents under the prefix", async () => {
+      s3Mock.on(GetObjectCommand).resolves({
+        Body: {
+          transformToString: async () =>
+            JSON.stringify({ type: "link", title: "Spring Catalog" }),
+        },
+        LastModified: new Date("2024-05-01T10:00:00Z"),
+      });
+
+      const metadata = await fetchManifestMetadata(
+        "spring-catalog",
+        { contentType: "link" },
+        "test"
+      );
+
+      const [get] = s3Mock.commandCalls(GetObjectCommand);
+      expect(get.args[0].input).toEqual({
+        Bucket: "site-content",
+        Key: "oembed/link/spring-catalog.json",
+      });
+      expect(metadata.title).toBe("Spring Catalog");
+      expect(metadata._last_modified).toBe("2024-05-01T10:00:00.000Z");
+    });
+
+    it("should report missing objects as not found", async () => {
+      const missing = new Error("The specified key does not exist.");
+      missing.name = "NoSuchKey";
+      s3Mock.on(GetObjectCommand).rejects(missing);
+
+      await expect(
+        fetchManifestMetadata("missing", { contentType: "link" }, "test")
+      ).rejects.toMatchObject({ code: "CONTENT_NOT_FOUND" });
+    });
+  });
+});
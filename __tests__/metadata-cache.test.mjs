@@ -0,0 +1,210 @@
+import { mockClient } from "aws-sdk-client-mock";
+import {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { createLruCache } from "../src/cache/lru-cache.mjs";
+import {
+  getCachedContentMetadata,
+  getMetadataCacheKey,
+  resetMetadataCache,
+} from "../src/cache/metadata-cache.mjs";
+
+process.env.PROVIDER_DOMAIN = "mybusiness.com";
+process.env.NODE_ENV = "test";
+process.env.LOG_LEVEL = "ERROR"; // Reduce log noise in tests
+
+describe("metadata cache", () => {
+  describe("createLruCache", () => {
+    it("should evict the least recently used entry when full", () => {
+      const evicted = [];
+      const cache = createLruCache({
+        maxEntries: 2,
+        onEvict: (key, reason) => evicted.push([key, reason]),
+      });
+
+      cache.set("a", 1, 1000);
+      cache.set("b", 2, 1000);
+      cache.get("a");
+      cache.set("c", 3, 1000);
+
+      expect(cache.get("a")).toBe(1);
+      expect(cache.get("b")).toBeUndefined();
+      expect(cache.get("c")).toBe(3);
+      expect(evicted).toEqual([["b", "capacity"]]);
+    });
+
+    it("should expire entries after their TTL", () => {
+      let time = 0;
+      const evicted = [];
+      const cache = createLruCache({
+        now: () => time,
+        onEvict: (key, reason) => evicted.push([key, reason]),
+      });
+
+      cache.set("a", 1, 1000);
+      expect(cache.set("b", 2, 0)).toBe(false);
+
+      time = 999;
+      expect(cache.get("a")).toBe(1);
+      time = 1000;
+      expect(cache.get("a")).toBeUndefined();
+      expect(evicted).toEqual([["a", "expired"]]);
+      expect(cache.size).toBe(0);
+    });
+
+    it("should keep stale entries for getStale until the stale window ends", () => {
+      let time = 0;
+      const cache = createLruCache({ now: () => time });
+
+      cache.set("a", 1, 1000, 500);
+
+      time = 1200;
+      expect(cache.get("a")).toBeUndefined();
+      expect(cache.getStale("a")).toBe(1);
+      time = 1500;
+      expect(cache.getStale("a")).toBeUndefined();
+      expect(cache.get("a")).toBeUndefined();
+      expect(cache.size).toBe(0);
+    });
+  });
+
+  describe("getCachedContentMetadata", () => {
+    beforeEach(() => resetMetadataCache());
+
+    it("should key entries by canonical URL and dimensions", () => {
+      expect(
+        getMetadataCacheKey("HTTPS://MyBusiness.com:443/video/1?b=2&a=1#t", 640)
+      ).toBe(getMetadataCacheKey("https://mybusiness.com/video/1?a=1&b=2", 640));
+      expect(getMetadataCacheKey("https://mybusiness.com/video/1", 640)).not.toBe(
+        getMetadataCacheKey("https://mybusiness.com/video/1", 320)
+      );
+    });
+
+    it("should return cached copies on repeated lookups", async () => {
+      const url = "https://mybusiness.com/video/123";
+
+      const first = await getCachedContentMetadata(url);
+      first.title = "Changed by caller";
+      const second = await getCachedContentMetadata(url);
+
+      expect(second.title).toBe("Test Video & Special Characters");
+      expect(second).not.toBe(first);
+    });
+
+    it("should bypass the cache when capacity is zero", async () => {
+      process.env.METADATA_CACHE_MAX_ENTRIES = "0";
+
+      try {
+        const url = "https://mybusiness.com/video/123";
+        const first = await getCachedContentMetadata(url);
+        first.title = "Changed by caller";
+        const second = await getCachedContentMetadata(url);
+
+        expect(second.title).toBe("Test Video & Special Characters");
+      } finally {
+        delete process.env.METADATA_CACHE_MAX_ENTRIES;
+      }
+    });
+  });
+
+  describe("shared DynamoDB tier", () => {
+    const ddbMock = mockClient(DynamoDBDocumentClient);
+    const url = "https://mybusiness.com/video/123";
+
+    beforeEach(() => {
+      ddbMock.reset();
+      resetMetadataCache();
+      process.env.METADATA_CACHE_TABLE = "oembed-metadata-cache";
+    });
+
+    afterAll(() => {
+      ddbMock.restore();
+      delete process.env.METADATA_CACHE_TABLE;
+    });
+
+    it("should serve shared hits and keep them in memory", async () => {
+      ddbMock.on(GetCommand).resolves({
+        Item: {
+          cacheKey: getMetadataCacheKey(url),
+          metadata: { type: "video", title: "From shared cache" },
+          expiresAt: Math.floor(Date.now() / 1000) + 600,
+        },
+      });
+
+      const first = await getCachedContentMetadata(url);
+      const second = await getCachedContentMetadata(url);
+
+      expect(first.title).toBe("From shared cache");
+      expect(second.title).toBe("From shared cache");
+      expect(ddbMock.commandCalls(GetCommand)).toHaveLength(1);
+      expect(ddbMock.commandCalls(PutCommand)).toHaveLength(0);
+    });
+
+    it("should store resolved metadata with a TTL from cache_age", async () => {
+      ddbMock.on(GetCommand).resolves({});
+      ddbMock.on(PutCommand).resolves({});
+
+      const metadata = await getCachedContentMetadata(url);
+
+      expect(metadata.title).toBe("Test Video & Special Characters");
+      const [put] = ddbMock.commandCalls(PutCommand);
+      const { TableName, Item } = put.args[0].input;
+      const now = Math.floor(Date.now() / 1000);
+      expect(TableName).toBe("oembed-metadata-cache");
+      expect(Item.cacheKey).toBe(getMetadataCacheKey(url));
+      expect(Item.metadata.title).toBe("Test Video & Special Characters");
+      expect(Item.freshUntil).toBeGreaterThanOrEqual(now + 3599);
+      expect(Item.freshUntil).toBeLessThanOrEqual(now + 3601);
+      // Kept for the video stale-if-error window past its cache_age
+      expect(Item.expiresAt).toBe(Item.freshUntil + 86400);
+    });
+
+    it("should serve stale shared entries when the backend fails", async () => {
+      const unavailableUrl = "https://mybusiness.com/video/unavailable";
+      const now = Math.floor(Date.now() / 1000);
+      ddbMock.on(GetCommand).resolves({
+        Item: {
+          metadata: { type: "video", title: "Last good", cache_age: 3600 },
+          freshUntil: now - 10,
+          expiresAt: now + 600,
+        },
+      });
+
+      const metadata = await getCachedContentMetadata(unavailableUrl);
+
+      expect(metadata.title).toBe("Last good");
+      expect(metadata._stale).toBe(true);
+      expect(ddbMock.commandCalls(PutCommand)).toHaveLength(0);
+    });
+
+    it("should rethrow failures without a stale entry to serve", async () => {
+      ddbMock.on(GetCommand).resolves({});
+
+      await expect(
+        getCachedContentMetadata("https://mybusiness.com/video/unavailable")
+      ).rejects.toMatchObject({ code: "BACKEND_ERROR" });
+    });
+
+    it("should ignore expired entries and table failures", async () => {
+      ddbMock
+        .on(GetCommand)
+        .resolvesOnce({
+          Item: {
+            metadata: { type: "video", title: "Expired" },
+            expiresAt: Math.floor(Date.now() / 1000) - 1,
+          },
+        })
+        .rejects(new Error("ProvisionedThroughputExceededException"));
+      ddbMock.on(PutCommand).rejects(new Error("AccessDeniedException"));
+
+      const expired = await getCachedContentMetadata(url);
+      resetMetadataCache();
+      const failed = await getCachedContentMetadata(url);
+
+      expect(expired.title).toBe("Test Video & Special Characters");
+      expect(failed.title).toBe("Test Video & Special Characters");
+    });
+  });
+});
@@ -1,4 +1,6 @@
 import { handler } from "../src/handlers/oembed.mjs";
+import { buildDiscoveryLinks } from "../src/oembed/discovery.mjs";
+import { generateXmlBody } from "../src/core/formatter.mjs";
 
 // Mock environment variables
 process.env.PROVIDER_DOMAIN = "mybusiness.com";
@@ -71,6 +73,63 @@ describe("oEmbed Lambda Function", () => {
       expect(body.error).toHaveProperty("code", "UNAUTHORIZED_DOMAIN");
     });
 
+    it("should reject hosts that only end with the provider domain", async () => {
+      const event = {
+        queryStringParameters: {
+          url: "https://evilmybusiness.com/video/123",
+        },
+      };
+
+      const response = await handler(event);
+
+      expect(response.statusCode).toBe(404);
+      const body = JSON.parse(response.body);
+      expect(body.error).toHaveProperty("code", "UNAUTHORIZED_DOMAIN");
+    });
+
+    it("should authorize multiple domains with exclusions", async () => {
+      process.env.PROVIDER_DOMAINS =
+        "mybusiness.com,*.mybusiness.com,mybrand.io,!internal.mybusiness.com";
+
+      try {
+        const brand = await handler({
+          queryStringParameters: { url: "https://mybrand.io/video/123" },
+        });
+        const subdomain = await handler({
+          queryStringParameters: { url: "https://www.mybusiness.com/video/123" },
+        });
+        const excluded = await handler({
+          queryStringParameters: {
+            url: "https://internal.mybusiness.com/video/123",
+          },
+        });
+        const brandSubdomain = await handler({
+          queryStringParameters: { url: "https://cdn.mybrand.io/video/123" },
+        });
+
+        expect(brand.statusCode).toBe(200);
+        expect(subdomain.statusCode).toBe(200);
+        expect(excluded.statusCode).toBe(404);
+        expect(brandSubdomain.statusCode).toBe(404);
+      } finally {
+        delete process.env.PROVIDER_DOMAINS;
+      }
+    });
+
+    it("should normalize internationalized domain names", async () => {
+      process.env.PROVIDER_DOMAINS = "bücher.example";
+
+      try {
+        const response = await handler({
+          queryStringParameters: { url: "https://xn--bcher-kva.example/video/123" },
+        });
+
+        expect(response.statusCode).toBe(200);
+      } finally {
+        delete process.env.PROVIDER_DOMAINS;
+      }
+    });
+
     it("should handle successful video response", async () => {
       const event = {
         queryStringParameters: {
@@ -96,16 +155,39 @@ describe("oEmbed Lambda Function", () => {
         thumbnail_width: 320,
         thumbnail_height: 180,
         width: 800,
-        height: 600,
+        height: 450,
       });
       expect(body.html).toContain("<iframe");
       expect(body.html).toContain('width="800"');
-      expect(body.html).toContain('height="600"');
+      expect(body.html).toContain('height="450"');
       expect(body.html).toContain(
         'sandbox="allow-scripts allow-same-origin allow-presentation"'
       );
     });
 
+    it("should scale video and thumbnail proportionally within both bounds", async () => {
+      const event = {
+        queryStringParameters: {
+          url: "https://mybusiness.com/video/123",
+          maxwidth: "1000",
+          maxheight: "90",
+        },
+      };
+
+      const response = await handler(event);
+
+      expect(response.statusCode).toBe(200);
+      const body = JSON.parse(response.body);
+      expect(body).toMatchObject({
+        width: 160,
+        height: 90,
+        thumbnail_width: 160,
+        thumbnail_height: 90,
+      });
+      expect(body.html).toContain('width="160"');
+      expect(body.html).toContain('height="90"');
+    });
+
     it("should handle successful rich content response", async () => {
       const event = {
         queryStringParameters: {
@@ -152,6 +234,68 @@ describe("oEmbed Lambda Function", () => {
       expect(response.body).toContain("&amp;");
     });
 
+    it("should serialize extension fields in both JSON and XML", async () => {
+      const url = "https://mybusiness.com/content/123";
+
+      const jsonResponse = await handler({ queryStringParameters: { url } });
+      const xmlResponse = await handler({
+        queryStringParameters: { url, format: "xml" },
+      });
+
+      expect(JSON.parse(jsonResponse.body).application_info).toEqual({
+        type: "widget",
+        features: ["live_editing", "sharing"],
+      });
+      expect(xmlResponse.body).not.toContain("[object Object]");
+      expect(xmlResponse.body).toMatch(
+        /<application_info>\s*<type>widget<\/type>\s*<features>\s*<item>live_editing<\/item>\s*<item>sharing<\/item>\s*<\/features>\s*<\/application_info>/
+      );
+    });
+
+    it("should sanitize XML element names derived from keys", () => {
+      const xml = generateXmlBody({
+        "bad key<>": "a",
+        "2fast": "b",
+        xmlStuff: "c",
+      });
+
+      expect(xml).toContain("<bad_key__>a</bad_key__>");
+      expect(xml).toContain("<_2fast>b</_2fast>");
+      expect(xml).toContain("<_xmlStuff>c</_xmlStuff>");
+    });
+
+    it("should negotiate XML from the Accept header", async () => {
+      const event = {
+        headers: { accept: "application/json+oembed;q=0.5, text/xml+oembed" },
+        queryStringParameters: { url: "https://mybusiness.com/video/123" },
+      };
+
+      const response = await handler(event);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers["Content-Type"]).toBe("text/xml");
+      expect(response.headers.Vary).toBe("Accept");
+    });
+
+    it("should prefer path suffix, then format parameter, over Accept", async () => {
+      const url = "https://mybusiness.com/video/123";
+
+      const suffixResponse = await handler({
+        path: "/oembed.xml",
+        headers: { Accept: "application/json" },
+        queryStringParameters: { url, format: "json" },
+      });
+      const queryResponse = await handler({
+        path: "/oembed",
+        headers: { Accept: "text/xml+oembed" },
+        queryStringParameters: { url, format: "json" },
+      });
+
+      expect(suffixResponse.headers["Content-Type"]).toBe("text/xml");
+      expect(queryResponse.headers["Content-Type"]).toBe("application/json");
+      expect(queryResponse.headers.Vary).toBe("Accept");
+    });
+
     it("should return error response in XML format when requested", async () => {
       const event = {
         queryStringParameters: {
@@ -174,6 +318,88 @@ describe("oEmbed Lambda Function", () => {
       expect(response.body).toContain("<code>MISSING_URL</code>");
     });
 
+    it.each([
+      ["missing", 404, "CONTENT_NOT_FOUND"],
+      ["private", 401, "CONTENT_UNAUTHORIZED"],
+      ["removed", 410, "CONTENT_GONE"],
+    ])(
+      "should return %s content errors with status %i",
+      async (fixture, statusCode, code) => {
+        const event = {
+          queryStringParameters: {
+            url: `https://mybusiness.com/video/${fixture}`,
+          },
+        };
+
+        const response = await handler(event);
+
+        expect(response.statusCode).toBe(statusCode);
+        const body = JSON.parse(response.body);
+        expect(body.error).toHaveProperty("code", code);
+      }
+    );
+
+    it("should return content errors in XML format when requested", async () => {
+      const event = {
+        queryStringParameters: {
+          url: "https://mybusiness.com/video/removed",
+          format: "xml",
+        },
+      };
+
+      const response = await handler(event);
+
+      expect(response.statusCode).toBe(410);
+      expect(response.headers["Content-Type"]).toBe("text/xml");
+      expect(response.body).toContain("<code>CONTENT_GONE</code>");
+      expect(response.body).toContain(
+        "<message>Content has been removed</message>"
+      );
+    });
+
+    it("should wrap JSON in a JSONP callback when requested", async () => {
+      const event = {
+        queryStringParameters: {
+          url: "https://mybusiness.com/video/123",
+          callback: "jQuery123_456.done",
+        },
+      };
+
+      const response = await handler(event);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers["Content-Type"]).toBe("application/javascript");
+      expect(response.headers["X-Content-Type-Options"]).toBe("nosniff");
+      const match = response.body.match(
+        /^\/\*\*\/ jQuery123_456\.done\((.*)\);$/s
+      );
+      expect(match).not.toBeNull();
+      expect(JSON.parse(match[1])).toHaveProperty("type", "video");
+    });
+
+    it.each([
+      ["alert(1)//", "json"],
+      ["eval", "json"],
+      ["a.__proto__", "json"],
+      ["cb", "xml"],
+    ])(
+      "should reject JSONP callback %s with format %s",
+      async (callback, format) => {
+        const event = {
+          queryStringParameters: {
+            url: "https://mybusiness.com/video/123",
+            callback,
+            format,
+          },
+        };
+
+        const response = await handler(event);
+
+        expect(response.statusCode).toBe(400);
+        expect(response.body).toContain("INVALID_CALLBACK");
+      }
+    );
+
     it("should validate maxwidth parameter", async () => {
       const event = {
         queryStringParameters: {
@@ -236,5 +462,284 @@ describe("oEmbed Lambda Function", () => {
       expect(response.headers).toHaveProperty("Cache-Control");
       expect(response.headers["Cache-Control"]).toMatch(/max-age=\d+/);
     });
+
+    it("should apply per-type cache policies to success and error responses", async () => {
+      const video = await handler({
+        queryStringParameters: { url: "https://mybusiness.com/video/123" },
+      });
+      expect(video.headers["Cache-Control"]).toBe(
+        "public, max-age=3600, s-maxage=14400, stale-while-revalidate=600, stale-if-error=86400"
+      );
+
+      const missing = await handler({
+        queryStringParameters: { url: "https://mybusiness.com/video/missing" },
+      });
+      expect(missing.statusCode).toBe(404);
+      expect(missing.headers["Cache-Control"]).toBe(
+        "public, max-age=60, s-maxage=300"
+      );
+
+      const invalid = await handler({ queryStringParameters: {} });
+      expect(invalid.headers["Cache-Control"]).toBe("no-cache");
+    });
+
+    it("should return a stable ETag and Last-Modified from the backend", async () => {
+      const event = {
+        queryStringParameters: { url: "https://mybusiness.com/video/123" },
+      };
+
+      const first = await handler(event);
+      const second = await handler(event);
+
+      expect(first.headers.ETag).toMatch(/^"[A-Za-z0-9_-]+"$/);
+      expect(second.headers.ETag).toBe(first.headers.ETag);
+      expect(first.headers["Last-Modified"]).toBe(
+        "Mon, 15 Jan 2024 10:30:00 GMT"
+      );
+
+      const xml = await handler({
+        queryStringParameters: { ...event.queryStringParameters, format: "xml" },
+      });
+      expect(xml.headers.ETag).not.toBe(first.headers.ETag);
+    });
+
+    it("should return 304 for matching conditional requests", async () => {
+      const url = "https://mybusiness.com/video/123";
+      const full = await handler({ queryStringParameters: { url } });
+
+      const byETag = await handler({
+        queryStringParameters: { url },
+        headers: { "if-none-match": `W/${full.headers.ETag}` },
+      });
+      expect(byETag.statusCode).toBe(304);
+      expect(byETag.body).toBe("");
+      expect(byETag.headers.ETag).toBe(full.headers.ETag);
+      expect(byETag.headers["Cache-Control"]).toBe(
+        full.headers["Cache-Control"]
+      );
+
+      const byDate = await handler({
+        queryStringParameters: { url },
+        headers: { "If-Modified-Since": "Tue, 16 Jan 2024 00:00:00 GMT" },
+      });
+      expect(byDate.statusCode).toBe(304);
+
+      const stale = await handler({
+        queryStringParameters: { url },
+        headers: {
+          "If-None-Match": '"outdated"',
+          "If-Modified-Since": "Tue, 16 Jan 2024 00:00:00 GMT",
+        },
+      });
+      expect(stale.statusCode).toBe(200);
+      expect(stale.body).toBe(full.body);
+    });
+  });
+
+  describe("discovery", () => {
+    it("should return discovery links and Link header for a page", async () => {
+      const event = {
+        httpMethod: "GET",
+        path: "/oembed/discovery",
+        queryStringParameters: {
+          url: "https://mybusiness.com/video/123",
+          title: "Launch Video",
+        },
+        requestContext: {
+          domainName: "abc123.execute-api.us-east-1.amazonaws.com",
+          stage: "dev",
+        },
+      };
+
+      const response = await handler(event);
+
+      expect(response.statusCode).toBe(200);
+      const body = JSON.parse(response.body);
+      const endpoint =
+        "https://abc123.execute-api.us-east-1.amazonaws.com/dev/oembed";
+      const encodedUrl = encodeURIComponent("https://mybusiness.com/video/123");
+      expect(body.links).toEqual([
+        {
+          rel: "alternate",
+          type: "application/json+oembed",
+          href: `${endpoint}?url=${encodedUrl}&format=json`,
+          title: "Launch Video",
+        },
+        {
+          rel: "alternate",
+          type: "text/xml+oembed",
+          href: `${endpoint}?url=${encodedUrl}&format=xml`,
+          title: "Launch Video",
+        },
+      ]);
+      expect(body.html).toContain('type="application/json+oembed"');
+      expect(response.headers.Link).toBe(
+        `<${endpoint}?url=${encodedUrl}&format=json>; rel="alternate"; type="application/json+oembed"; title="Launch Video", ` +
+          `<${endpoint}?url=${encodedUrl}&format=xml>; rel="alternate"; type="text/xml+oembed"; title="Launch Video"`
+      );
+    });
+
+    it("should reject discovery for unauthorized domains", async () => {
+      const event = {
+        httpMethod: "GET",
+        path: "/dev/oembed/discovery",
+        queryStringParameters: { url: "https://unauthorized.com/video/123" },
+      };
+
+      const response = await handler(event);
+
+      expect(response.statusCode).toBe(404);
+      const body = JSON.parse(response.body);
+      expect(body.error).toHaveProperty("code", "UNAUTHORIZED_DOMAIN");
+    });
+
+    it("should use the configured endpoint URL and escape titles", () => {
+      process.env.OEMBED_ENDPOINT_URL = "https://oembed.mybusiness.com/oembed";
+
+      try {
+        const discovery = buildDiscoveryLinks(
+          "https://mybusiness.com/content/123",
+          { title: 'Say "hi" <now>' }
+        );
+
+        expect(discovery.isValid).toBe(true);
+        expect(discovery.links[0].href).toMatch(
+          /^https:\/\/oembed\.mybusiness\.com\/oembed\?url=/
+        );
+        expect(discovery.html).toContain(
+          'title="Say &quot;hi&quot; &lt;now&gt;"'
+        );
+        expect(discovery.linkHeader).toContain('title="Say \\"hi\\" <now>"');
+      } finally {
+        delete process.env.OEMBED_ENDPOINT_URL;
+      }
+    });
+  });
+
+  describe("providers.json", () => {
+    it("should publish a registry entry derived from configuration", async () => {
+      const event = {
+        httpMethod: "GET",
+        path: "/providers.json",
+        requestContext: { domainName: "oembed.mybusiness.com", stage: "prod" },
+      };
+
+      const response = await handler(event);
+
+      expect(response.statusCode).toBe(200);
+      const body = JSON.parse(response.body);
+      expect(body).toHaveLength(1);
+      expect(body[0]).toMatchObject({
+        provider_name: "Example Provider",
+        provider_url: "https://mybusiness.com",
+      });
+      expect(body[0].endpoints[0]).toMatchObject({
+        url: "https://oembed.mybusiness.com/oembed",
+        discovery: true,
+        formats: ["json", "xml"],
+      });
+
+      const { schemes } = body[0].endpoints[0];
+      expect(schemes).toContain("https://mybusiness.com/video/*");
+      expect(schemes).toContain("https://*.mybusiness.com/video/*");
+      expect(schemes).toContain("https://mybusiness.com/*?v=*");
+      expect(schemes).toContain("https://mybusiness.com/*.jpg");
+      expect(schemes).not.toContain("https://mybusiness.com/*");
+    });
+
+    it("should not advertise excluded domains", async () => {
+      process.env.PROVIDER_DOMAINS = "mybusiness.com,!shop.mybusiness.com";
+
+      try {
+        const response = await handler({
+          httpMethod: "GET",
+          path: "/dev/providers.json",
+        });
+
+        const { schemes } = JSON.parse(response.body)[0].endpoints[0];
+        expect(schemes.every((scheme) => !scheme.includes("shop."))).toBe(true);
+        expect(schemes.every((scheme) => !scheme.includes("*.mybusiness"))).toBe(
+          true
+        );
+      } finally {
+        delete process.env.PROVIDER_DOMAINS;
+      }
+    });
+  });
+
+  describe("batch", () => {
+    it("should resolve items with per-item parameters and errors", async () => {
+      const response = await handler({
+        httpMethod: "POST",
+        path: "/oembed/batch",
+        body: JSON.stringify({
+          maxwidth: 400,
+          items: [
+            "https://mybusiness.com/video/123",
+            { url: "https://mybusiness.com/content/123", format: "xml" },
+            { url: "https://mybusiness.com/video/missing" },
+            { url: "https://evil.com/video/123" },
+          ],
+        }),
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers["Cache-Control"]).toBe("no-store");
+
+      const { results } = JSON.parse(response.body);
+      expect(results).toHaveLength(4);
+      expect(results[0]).toMatchObject({ index: 0, status: 200, format: "json" });
+      expect(results[0].data).toMatchObject({ type: "video", width: 400 });
+      expect(results[1]).toMatchObject({ index: 1, status: 200, format: "xml" });
+      expect(results[1].body).toContain("<type>rich</type>");
+      expect(results[2]).toMatchObject({
+        status: 404,
+        error: { code: "CONTENT_NOT_FOUND" },
+      });
+      expect(results[3]).toMatchObject({
+        status: 404,
+        error: { code: "UNAUTHORIZED_DOMAIN" },
+      });
+    });
+
+    it("should reject malformed and oversized batches", async () => {
+      const malformed = await handler({
+        httpMethod: "POST",
+        path: "/oembed/batch",
+        body: "{not json",
+      });
+      expect(malformed.statusCode).toBe(400);
+      expect(JSON.parse(malformed.body).error.code).toBe("INVALID_BATCH_REQUEST");
+
+      process.env.BATCH_MAX_ITEMS = "2";
+      try {
+        const oversized = await handler({
+          httpMethod: "POST",
+          path: "/oembed/batch",
+          isBase64Encoded: true,
+          body: Buffer.from(
+            JSON.stringify({ items: ["a", "b", "c"] })
+          ).toString("base64"),
+        });
+        expect(oversized.statusCode).toBe(413);
+        expect(JSON.parse(oversized.body).error.code).toBe(
+          "BATCH_LIMIT_EXCEEDED"
+        );
+      } finally {
+        delete process.env.BATCH_MAX_ITEMS;
+      }
+    });
+
+    it("should measure the body size limit in bytes", async () => {
+      // 140,000 characters, but 280,000 bytes in UTF-8
+      const response = await handler({
+        httpMethod: "POST",
+        path: "/oembed/batch",
+        body: JSON.stringify({ items: ["é".repeat(140000)] }),
+      });
+
+      expect(response.statusCode).toBe(413);
+      expect(JSON.parse(response.body).error.code).toBe("BATCH_LIMIT_EXCEEDED");
+    });
   });
 });
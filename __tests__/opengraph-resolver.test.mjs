@@ -0,0 +1,127 @@
+import http from "node:http";
+import { fetchOpenGraphMetadata } from "../src/integration/resolvers/opengraph.mjs";
+import { fetchJsonLdMetadata } from "../src/integration/resolvers/jsonld.mjs";
+
+process.env.NODE_ENV = "test";
+process.env.LOG_LEVEL = "ERROR"; // Reduce log noise in tests
+
+// Fixture pages served by the local test server, by path
+const PAGES = {
+  "/watch/launch": `<!doctype html>
+    <html><head>
+      <title>Launch | MyBusiness</title>
+      <meta property="og:type" content="video.other">
+      <meta property="og:title" content="Launch Keynote &amp; Demo">
+      <meta property="og:image" content="/thumbs/launch.jpg">
+      <meta property="og:image:width" content="1280">
+      <meta property="og:image:height" content="720">
+      <meta property="og:video" content="https://cdn.mybusiness.com/launch.mp4">
+      <meta name="twitter:player" content="https://mybusiness.com/embed/launch">
+      <meta name="twitter:player:width" content="640">
+      <meta name="twitter:player:height" content="360">
+      <meta property="article:author" content="https://mybusiness.com/team/jane">
+      <meta name="author" content="Jane Doe">
+    </head><body></body></html>`,
+  "/gallery/sunset": `<html><head>
+      <meta property='og:type' content='photo'>
+      <meta property='og:title' content='Sunset'>
+      <meta property='og:image' content='https://cdn.mybusiness.com/sunset.jpg'>
+      <meta property='og:image:width' content='2400'>
+      <meta property='og:image:height' content='1600'>
+    </head></html>`,
+  "/blog/legacy-post": `<html><head>
+      <title>A legacy post</title>
+      <meta property="article:author" content="Sam Writer">
+    </head><body><meta property="og:title" content="Ignored in body"></body></html>`,
+};
+
+describe("opengraph resolver", () => {
+  let server;
+  let baseUrl;
+  let requests = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      const page = PAGES[req.url];
+      res.statusCode = page ? 200 : 404;
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      res.end(page || "Not found");
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    const { port } = server.address();
+    baseUrl = `http://127.0.0.1:${port}`;
+    // The fixture site is local, allow it through the SSRF guard
+    process.env.OUTBOUND_ALLOWED_PRIVATE_HOSTS = "127.0.0.1";
+    process.env.OUTBOUND_ALLOWED_PORTS = String(port);
+  });
+
+  afterAll(async () => {
+    delete process.env.OUTBOUND_ALLOWED_PRIVATE_HOSTS;
+    delete process.env.OUTBOUND_ALLOWED_PORTS;
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const resolve = (path) =>
+    fetchOpenGraphMetadata(null, { url: `${baseUrl}${path}` }, "test");
+
+  it("should map video pages to a player embed", async () => {
+    const metadata = await resolve("/watch/launch");
+
+    expect(metadata).toEqual({
+      type: "video",
+      title: "Launch Keynote & Demo",
+      author_name: "Jane Doe",
+      author_url: "https://mybusiness.com/team/jane",
+      embedUrl: "https://mybusiness.com/embed/launch",
+      width: 640,
+      height: 360,
+      thumbnail_url: `${baseUrl}/thumbs/launch.jpg`,
+      thumbnail_width: 1280,
+      thumbnail_height: 720,
+    });
+  });
+
+  it("should map photo pages to the image", async () => {
+    const metadata = await resolve("/gallery/sunset");
+
+    expect(metadata).toEqual({
+      type: "photo",
+      title: "Sunset",
+      url: "https://cdn.mybusiness.com/sunset.jpg",
+      width: 2400,
+      height: 1600,
+    });
+  });
+
+  it("should fall back to a link with the document title", async () => {
+    const metadata = await resolve("/blog/legacy-post");
+
+    expect(metadata).toEqual({
+      type: "link",
+      title: "A legacy post",
+      author_name: "Sam Writer",
+    });
+  });
+
+  it("should report missing pages as not found", async () => {
+    await expect(resolve("/blog/missing")).rejects.toMatchObject({
+      code: "CONTENT_NOT_FOUND",
+    });
+  });
+
+  it("should share the page download with other page resolvers of a lookup", async () => {
+    const contentParams = { url: `${baseUrl}/blog/legacy-post` };
+    requests = [];
+
+    await expect(
+      fetchJsonLdMetadata(null, contentParams, "test")
+    ).rejects.toMatchObject({ code: "CONTENT_NOT_FOUND" });
+    const metadata = await fetchOpenGraphMetadata(null, contentParams, "test");
+
+    expect(metadata.title).toBe("A legacy post");
+    expect(requests).toEqual(["/blog/legacy-post"]);
+  });
+});
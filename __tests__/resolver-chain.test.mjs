@@ -0,0 +1,140 @@
+import { resolveChain } from "../src/integration/resolver-chain.mjs";
+import {
+  BackendTimeoutError,
+  CircuitOpenError,
+  ContentGoneError,
+  ContentNotFoundError,
+} from "../src/utils/errors.mjs";
+
+process.env.NODE_ENV = "test";
+process.env.LOG_LEVEL = "ERROR"; // Reduce log noise in tests
+
+describe("resolveChain", () => {
+  // Builds a step runner from resolver results (or errors to throw) by name
+  const createSteps = (results) => {
+    const calls = [];
+    const runStep = async (name) => {
+      calls.push(name);
+      const result = results[name];
+      if (result instanceof Error) throw result;
+      return result;
+    };
+    return { calls, runStep };
+  };
+
+  it("should skip resolvers that don't have the content", async () => {
+    const { calls, runStep } = createSteps({
+      dynamodb: new ContentNotFoundError(),
+      jsonld: {
+        type: "video",
+        title: "Launch Keynote",
+        embedUrl: "https://mybusiness.com/embed/launch",
+      },
+      opengraph: { type: "link", title: "Unused" },
+    });
+
+    const metadata = await resolveChain(
+      ["dynamodb", "jsonld", "opengraph"],
+      runStep
+    );
+
+    expect(metadata).toEqual({
+      type: "video",
+      title: "Launch Keynote",
+      embedUrl: "https://mybusiness.com/embed/launch",
+    });
+    expect(calls).toEqual(["dynamodb", "jsonld"]);
+  });
+
+  it("should merge partial metadata, earlier resolvers first", async () => {
+    const { runStep } = createSteps({
+      jsonld: {
+        type: "video",
+        embedUrl: "https://mybusiness.com/embed/launch",
+        author_name: "Jane Doe",
+        duration: 272,
+      },
+      opengraph: {
+        type: "link",
+        title: "Launch Keynote",
+        author_name: "Site Team",
+        author_url: "https://mybusiness.com/team",
+        thumbnail_url: "https://cdn.mybusiness.com/launch.jpg",
+        description: "Link only",
+      },
+    });
+
+    const metadata = await resolveChain(["jsonld", "opengraph"], runStep);
+
+    // Authors are taken as a group, link-only fields don't join a video
+    expect(metadata).toEqual({
+      type: "video",
+      title: "Launch Keynote",
+      embedUrl: "https://mybusiness.com/embed/launch",
+      author_name: "Jane Doe",
+      duration: 272,
+      thumbnail_url: "https://cdn.mybusiness.com/launch.jpg",
+    });
+  });
+
+  it("should answer as a link when no resolver supplies the media", async () => {
+    const { runStep } = createSteps({
+      jsonld: { type: "photo", title: "Sunset", width: 2400 },
+      link: { type: "link", title: "Unused" },
+    });
+
+    const metadata = await resolveChain(["jsonld", "link"], runStep);
+
+    expect(metadata).toEqual({ type: "link", title: "Sunset" });
+  });
+
+  it("should fall through retryable errors to later resolvers", async () => {
+    const { calls, runStep } = createSteps({
+      dynamodb: new BackendTimeoutError(),
+      jsonld: new CircuitOpenError(),
+      opengraph: { type: "link", title: "Launch Keynote" },
+    });
+
+    const metadata = await resolveChain(
+      ["dynamodb", "jsonld", "opengraph"],
+      runStep
+    );
+
+    expect(metadata).toEqual({ type: "link", title: "Launch Keynote" });
+    expect(calls).toEqual(["dynamodb", "jsonld", "opengraph"]);
+  });
+
+  it("should throw the first retryable error when no resolver answers", async () => {
+    const { runStep } = createSteps({
+      dynamodb: new BackendTimeoutError(),
+      opengraph: new ContentNotFoundError(),
+    });
+
+    await expect(
+      resolveChain(["dynamodb", "opengraph"], runStep)
+    ).rejects.toMatchObject({ code: "BACKEND_TIMEOUT" });
+  });
+
+  it("should stop at errors that are not retryable", async () => {
+    const { calls, runStep } = createSteps({
+      dynamodb: new ContentGoneError(),
+      opengraph: { type: "link", title: "Unused" },
+    });
+
+    await expect(
+      resolveChain(["dynamodb", "opengraph"], runStep)
+    ).rejects.toMatchObject({ code: "CONTENT_GONE" });
+    expect(calls).toEqual(["dynamodb"]);
+  });
+
+  it("should report content no resolver has as not found", async () => {
+    const { runStep } = createSteps({
+      dynamodb: new ContentNotFoundError(),
+      link: { type: "link", title: "Placeholder", _placeholder: true },
+    });
+
+    await expect(
+      resolveChain(["dynamodb", "link"], runStep)
+    ).rejects.toMatchObject({ code: "CONTENT_NOT_FOUND" });
+  });
+});
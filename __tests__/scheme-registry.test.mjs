@@ -0,0 +1,132 @@
+import {
+  createSchemeRegistry,
+  matchUrlScheme,
+} from "../src/core/scheme-registry.mjs";
+import { parseContentUrl } from "../src/core/parser.mjs";
+
+process.env.LOG_LEVEL = "ERROR"; // Reduce log noise in tests
+
+describe("URL scheme registry", () => {
+  const registry = createSchemeRegistry([
+    {
+      name: "brand-video",
+      type: "video",
+      resolver: "video",
+      schemes: ["https://*.mybusiness.com/clips/*"],
+    },
+    {
+      name: "catalog",
+      type: "rich",
+      resolver: "catalog",
+      schemes: ["/shop/:category/:sku"],
+    },
+    {
+      name: "watch",
+      type: "video",
+      schemes: ["/*"],
+      params: ["v"],
+    },
+    { name: "default", type: "link", schemes: ["/*"], fallback: true },
+  ]);
+
+  it("should match oEmbed-style schemes with subdomain wildcards", () => {
+    const match = matchUrlScheme(
+      "https://media.mybusiness.com/clips/launch-day",
+      registry
+    );
+
+    expect(match).toMatchObject({
+      name: "brand-video",
+      contentType: "video",
+      contentId: "launch-day",
+    });
+  });
+
+  it("should not match scheme hosts outside the wildcard", () => {
+    const match = matchUrlScheme(
+      "https://evilmybusiness.com/clips/launch-day",
+      registry
+    );
+
+    expect(match.name).toBe("default");
+    expect(match.fallback).toBe(true);
+  });
+
+  it("should capture named path parameters", () => {
+    const match = matchUrlScheme(
+      "https://mybusiness.com/shop/shoes/SKU-42/",
+      registry
+    );
+
+    expect(match).toMatchObject({
+      name: "catalog",
+      resolver: "catalog",
+      contentId: "SKU-42",
+      params: { category: "shoes", sku: "SKU-42" },
+    });
+  });
+
+  it("should require declared query parameters", () => {
+    expect(
+      matchUrlScheme("https://mybusiness.com/watch?v=abc123", registry)
+    ).toMatchObject({ name: "watch", contentId: "abc123" });
+    expect(
+      matchUrlScheme("https://mybusiness.com/watch", registry).name
+    ).toBe("default");
+  });
+
+  it("should order fallback entries after explicit entries", () => {
+    const ordered = createSchemeRegistry([
+      { name: "default", type: "link", schemes: ["/*"], fallback: true },
+      { name: "video", type: "video", schemes: ["/video/:id"] },
+    ]);
+
+    expect(
+      matchUrlScheme("https://mybusiness.com/video/9", ordered).name
+    ).toBe("video");
+  });
+
+  it("should reject entries with invalid content types", () => {
+    expect(() =>
+      createSchemeRegistry([{ name: "bad", type: "audio", schemes: ["/*"] }])
+    ).toThrow("invalid type");
+  });
+
+  it("should accept resolver chains and reject empty ones", () => {
+    const chained = createSchemeRegistry([
+      {
+        name: "articles",
+        type: "link",
+        resolver: ["dynamodb", "jsonld", "opengraph", "link"],
+        schemes: ["/articles/:id"],
+      },
+    ]);
+
+    expect(
+      matchUrlScheme("https://mybusiness.com/articles/42", chained).resolver
+    ).toEqual(["dynamodb", "jsonld", "opengraph", "link"]);
+    expect(() =>
+      createSchemeRegistry([
+        { name: "bad", type: "link", resolver: [], schemes: ["/*"] },
+      ])
+    ).toThrow("resolver chain");
+  });
+
+  it("should use the URL_SCHEMES override in the parser", () => {
+    process.env.URL_SCHEMES = JSON.stringify([
+      { name: "clips", type: "video", schemes: ["/clips/:id"] },
+    ]);
+
+    try {
+      const parsed = parseContentUrl("https://mybusiness.com/clips/77");
+      expect(parsed).toMatchObject({
+        contentType: "video",
+        contentId: "77",
+        scheme: "clips",
+        resolver: "video",
+      });
+    } finally {
+      delete process.env.URL_SCHEMES;
+    }
+  });
+});
@@ -0,0 +1,67 @@
+import { createSingleFlight } from "../src/utils/single-flight.mjs";
+
+describe("createSingleFlight", () => {
+  it("should share one in-flight call between concurrent callers", async () => {
+    const settled = [];
+    const flights = createSingleFlight({
+      onSettle: (key, flight) => settled.push([key, flight]),
+    });
+    let calls = 0;
+    let release;
+    const fetchVideo = () => {
+      calls++;
+      return new Promise((resolve) => {
+        release = resolve;
+      });
+    };
+
+    const pending = [
+      flights.run("video:123", fetchVideo),
+      flights.run("video:123", fetchVideo),
+      flights.run("video:123", fetchVideo),
+    ];
+    expect(flights.inFlight()).toBe(1);
+
+    release({ title: "Shared" });
+    const results = await Promise.all(pending);
+
+    expect(calls).toBe(1);
+    expect(results.every((result) => result.title === "Shared")).toBe(true);
+    expect(settled).toEqual([["video:123", { followers: 2, success: true }]]);
+    expect(flights.getStats()).toEqual({ leaders: 1, followers: 2, inFlight: 0 });
+  });
+
+  it("should share failures and release the key afterwards", async () => {
+    const flights = createSingleFlight();
+    let calls = 0;
+    const failing = async () => {
+      calls++;
+      throw new Error("Backend down");
+    };
+
+    const results = await Promise.allSettled([
+      flights.run("video:123", failing),
+      flights.run("video:123", failing),
+    ]);
+    expect(results.map((result) => result.status)).toEqual([
+      "rejected",
+      "rejected",
+    ]);
+    expect(calls).toBe(1);
+
+    await expect(flights.run("video:123", async () => "ok")).resolves.toBe("ok");
+    expect(flights.inFlight()).toBe(0);
+  });
+
+  it("should not coalesce different keys", async () => {
+    const flights = createSingleFlight();
+    const [video, photo] = await Promise.all([
+      flights.run("video:1", async () => "video"),
+      flights.run("photo:1", async () => "photo"),
+    ]);
+
+    expect(video).toBe("video");
+    expect(photo).toBe("photo");
+    expect(flights.getStats().leaders).toBe(2);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Bounded LRU cache module
+ *
+ * This module provides a small in-memory cache with least-recently-used
+ * eviction and per-entry time-to-live, used to keep resolved data in warm
+ * Lambda containers between invocations.
+ *
+ * Performance optimizations:
+ * - Map insertion order tracks recency, so get/set/evict are O(1)
+ * - Expired entries are dropped lazily on access or when evicting
+ *
+ * Entries may carry a stale window past their TTL: get() no longer returns
+ * them, but getStale() does until the window ends, so callers can fall back
+ * to the last good value when refreshing it fails.
+ *
+ * @module cache/lru-cache
+ */
+
+/**
+ * Creates a bounded LRU cache with per-entry TTL
+ *
+ * @param {Object} [options={}] - Cache options
+ * @param {number} [options.maxEntries=500] - Maximum number of entries
+ * @param {Function} [options.now=Date.now] - Clock returning milliseconds
+ * @param {Function} [options.onEvict] - Called as (key, reason) when an entry
+ *   is evicted for capacity ("capacity") or dropped after expiry ("expired")
+ * @returns {Object} Cache with get, getStale, set, delete, clear and size
+ */
+export function createLruCache(options = {}) {
+  const { maxEntries = 500, now = Date.now, onEvict = () => {} } = options;
+  const entries = new Map();
+
+  /**
+   * Gets a live entry and marks it most recently used
+   * @param {string} key - Cache key
+   * @returns {any} Cached value or undefined if missing or expired
+   */
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+
+    const time = now();
+    if (entry.expiresAt <= time) {
+      // Keep stale entries in place for getStale() until their window ends
+      if (entry.staleUntil <= time) {
+        entries.delete(key);
+        onEvict(key, "expired");
+      }
+      return undefined;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Gets an entry that may be past its TTL but is within its stale window
+   * @param {string} key - Cache key
+   * @returns {any} Cached value or undefined if missing or past the stale window
+   */
+  function getStale(key) {
+    const entry = entries.get(key);
+    return entry && entry.staleUntil > now() ? entry.value : undefined;
+  }
+
+  /**
+   * Stores a value, evicting the least recently used entry when full
+   * @param {string} key - Cache key
+   * @param {any} value - Value to store
+   * @param {number} ttlMs - Time to live in milliseconds (non-positive skips caching)
+   * @param {number} [staleMs=0] - Stale window after the TTL in milliseconds
+   * @returns {boolean} True if the value was stored
+   */
+  function set(key, value, ttlMs, staleMs = 0) {
+    if (maxEntries <= 0 || !(ttlMs > 0)) return false;
+
+    entries.delete(key);
+
+    while (entries.size >= maxEntries) {
+      const oldestKey = entries.keys().next().value;
+      const oldest = entries.get(oldestKey);
+      entries.delete(oldestKey);
+      onEvict(oldestKey, oldest.expiresAt <= now() ? "expired" : "capacity");
+    }
+
+    const expiresAt = now() + ttlMs;
+    entries.set(key, {
+      value,
+      expiresAt,
+      staleUntil: expiresAt + Math.max(0, staleMs || 0),
+    });
+    return true;
+  }
+
+  return {
+    get,
+    getStale,
+    set,
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+    get size() {
+      return entries.size;
+    },
+  };
+}
@@ -0,0 +1,223 @@
+/**
+ * Resolved metadata cache module
+ *
+ * This module sits between the request pipeline and getContentMetadata and
+ * keeps resolved metadata in two tiers:
+ * 1. A bounded in-memory LRU cache, so repeated lookups of the same URL on a
+ *    warm container don't reach the backend
+ * 2. An optional DynamoDB table shared by all containers (see
+ *    cache/shared-cache), so cold containers reuse metadata resolved elsewhere
+ *
+ * Caching rules:
+ * - Entries are keyed by canonical URL plus maxwidth/maxheight
+ * - Each entry lives for its metadata's cache_age; cache_age 0 is not cached
+ * - Shared hits fill the in-memory tier for their remaining lifetime
+ * - Entries outlive their cache_age by the content type's stale-if-error
+ *   window; when the backend fails (retries exhausted, timeout or placeholder
+ *   metadata) the last good metadata is served instead, flagged as _stale
+ *   and reported in logs and X-Ray
+ * - Missing, private and removed content evicts the entry and is never
+ *   answered from cache
+ * - Placeholder metadata from failed lookups and thrown errors are not cached
+ * - Hits return a copy, so callers can't alter the cached entry
+ *
+ * Hits, misses, stores and evictions are reported through logCacheMetrics.
+ * METADATA_CACHE_MAX_ENTRIES sets the capacity (0 disables the cache).
+ *
+ * @module cache/metadata-cache
+ */
+
+import { createLruCache } from "./lru-cache.mjs";
+import { getSharedMetadata, putSharedMetadata } from "./shared-cache.mjs";
+import { getContentMetadata } from "../integration/getContentMetadata.mjs";
+import { getCachePolicy } from "../core/cache-policy.mjs";
+import { getConfigValue } from "../config/environment.mjs";
+import { canonicalizeUrl, deepClone } from "../utils/helpers.mjs";
+import { isRetryableError } from "../utils/errors.mjs";
+import { logCacheMetrics, logWarn } from "../utils/logger.mjs";
+import { addXRayAnnotations } from "../utils/xray.mjs";
+import { CACHE_CONTROL, ENV_VARS } from "../utils/constants.mjs";
+
+let cachedStore = null;
+let cachedCapacity = null;
+
+/**
+ * Gets content metadata through the in-memory and shared caches
+ *
+ * @param {string} url - Content URL
+ * @param {number} [maxwidth] - Maximum width constraint
+ * @param {number} [maxheight] - Maximum height constraint
+ * @param {string} [correlationId] - Request correlation ID
+ * @param {Object} [options={}] - Lookup options for getContentMetadata
+ * @param {number|null} [options.deadline] - Request deadline in epoch milliseconds
+ * @returns {Promise<Object>} Content metadata (flagged with _stale when a
+ *   stale entry was served because the backend failed)
+ * @throws {OembedError} Typed content errors from getContentMetadata
+ */
+export async function getCachedContentMetadata(
+  url,
+  maxwidth,
+  maxheight,
+  correlationId = null,
+  options = {}
+) {
+  const store = getMetadataStore();
+  const key = getMetadataCacheKey(url, maxwidth, maxheight);
+  const startTime = Date.now();
+
+  const cached = store.get(key);
+  if (cached !== undefined) {
+    logCacheMetrics("hit", key, Date.now() - startTime, correlationId);
+    return deepClone(cached);
+  }
+
+  logCacheMetrics("miss", key, Date.now() - startTime, correlationId);
+
+  const sharedStartTime = Date.now();
+  const shared = await getSharedMetadata(key, correlationId);
+  if (shared && shared.ttlSeconds > 0) {
+    logCacheMetrics(
+      "shared_hit",
+      key,
+      Date.now() - sharedStartTime,
+      correlationId
+    );
+    store.set(
+      key,
+      deepClone(shared.metadata),
+      shared.ttlSeconds * 1000,
+      shared.staleSeconds * 1000
+    );
+    return shared.metadata;
+  }
+
+  // Last good metadata to fall back on if the backend fails
+  const getStale = () => store.getStale(key) || (shared && shared.metadata);
+
+  let metadata;
+  try {
+    metadata = await getContentMetadata(url, maxwidth, maxheight, options);
+  } catch (error) {
+    if (isRetryableError(error)) {
+      const stale = getStale();
+      if (stale) return serveStale(key, stale, error.code, correlationId);
+    } else {
+      // Missing, private or removed content must not be served from cache
+      store.delete(key);
+    }
+    throw error;
+  }
+
+  if (!metadata || metadata._placeholder) {
+    const stale = getStale();
+    return stale
+      ? serveStale(key, stale, "PLACEHOLDER", correlationId)
+      : metadata;
+  }
+
+  const ttlSeconds = Number(metadata.cache_age);
+  const staleSeconds = getStaleIfErrorSeconds(metadata.type);
+
+  if (
+    store.set(key, deepClone(metadata), ttlSeconds * 1000, staleSeconds * 1000)
+  ) {
+    logCacheMetrics("set", key, 0, correlationId);
+  }
+  const sharedStored = await putSharedMetadata(
+    key,
+    metadata,
+    ttlSeconds,
+    staleSeconds,
+    correlationId
+  );
+  if (sharedStored) {
+    logCacheMetrics("shared_set", key, 0, correlationId);
+  }
+
+  return metadata;
+}
+
+/**
+ * Gets how long metadata may be served stale when the backend fails
+ *
+ * METADATA_STALE_IF_ERROR (seconds, 0 disables) overrides the content
+ * type's stale-if-error window from CACHE_POLICIES.
+ *
+ * @param {string} [contentType] - oEmbed content type
+ * @returns {number} Stale-if-error window in seconds
+ */
+export function getStaleIfErrorSeconds(contentType) {
+  return getConfigValue(
+    ENV_VARS.METADATA_STALE_IF_ERROR,
+    getCachePolicy(contentType).staleIfError,
+    "number"
+  );
+}
+
+/**
+ * Builds the cache key for a metadata lookup
+ *
+ * @param {string} url - Content URL
+ * @param {number} [maxwidth] - Maximum width constraint
+ * @param {number} [maxheight] - Maximum height constraint
+ * @returns {string} Cache key
+ */
+export function getMetadataCacheKey(url, maxwidth, maxheight) {
+  return `${canonicalizeUrl(url)}|w=${maxwidth || ""}|h=${maxheight || ""}`;
+}
+
+/**
+ * Serves stale metadata in place of a failed backend lookup
+ * @param {string} key - Metadata cache key
+ * @param {Object} metadata - Last good metadata
+ * @param {string} reason - Error code (or PLACEHOLDER) of the failed lookup
+ * @param {string} [correlationId] - Request correlation ID
+ * @returns {Object} Copy of the metadata flagged with _stale
+ */
+function serveStale(key, metadata, reason, correlationId) {
+  logCacheMetrics("stale_hit", key, 0, correlationId);
+  logWarn(
+    "STALE_METADATA_SERVED",
+    "Backend lookup failed, serving stale metadata",
+    { reason, contentType: metadata.type },
+    correlationId
+  );
+  addXRayAnnotations({ staleMetadata: true, staleReason: reason });
+
+  return { ...deepClone(metadata), _stale: true };
+}
+
+/**
+ * Clears the in-memory metadata cache
+ */
+export function resetMetadataCache() {
+  cachedStore = null;
+  cachedCapacity = null;
+}
+
+/**
+ * Gets the cache instance, recreating it when the configured capacity changes
+ *
+ * Evictions outlive the request that stored the entry, so they are logged
+ * without a correlation ID.
+ *
+ * @returns {Object} LRU cache
+ */
+function getMetadataStore() {
+  const capacity = getConfigValue(
+    ENV_VARS.METADATA_CACHE_MAX_ENTRIES,
+    CACHE_CONTROL.METADATA_CACHE_MAX_ENTRIES,
+    "number"
+  );
+
+  if (!cachedStore || cachedCapacity !== capacity) {
+    cachedStore = createLruCache({
+      maxEntries: capacity,
+      onEvict: (key, reason) =>
+        logCacheMetrics(reason === "expired" ? "expire" : "evict", key),
+    });
+    cachedCapacity = capacity;
+  }
+
+  return cachedStore;
+}
@@ -0,0 +1,163 @@
+/**
+ * Shared metadata cache module (DynamoDB)
+ *
+ * This module stores resolved metadata in a DynamoDB table shared by all
+ * containers, so freshly started containers (for example after a deploy)
+ * find metadata other containers already resolved instead of all calling
+ * the backend at once. It is the second tier behind the in-memory cache
+ * and is enabled by setting METADATA_CACHE_TABLE.
+ *
+ * Table layout:
+ * - cacheKey (string, partition key) - metadata cache key
+ * - metadata (map) - resolved metadata
+ * - freshUntil (number) - end of the metadata's cache_age in epoch seconds
+ * - expiresAt (number) - end of the stale-if-error window in epoch seconds,
+ *   configured as the table's TTL attribute; reads also check it because
+ *   TTL deletion is delayed
+ *
+ * Cache failures are logged and treated as misses, they never fail a request.
+ *
+ * @module cache/shared-cache
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { getConfigValue } from "../config/environment.mjs";
+import { logWarn } from "../utils/logger.mjs";
+import { traceOperation } from "../utils/xray.mjs";
+import { ENV_VARS } from "../utils/constants.mjs";
+
+let documentClient = null;
+
+/**
+ * Gets the configured shared cache table name
+ * @returns {string} Table name, empty when the shared cache is disabled
+ */
+export function getSharedCacheTableName() {
+  return getConfigValue(ENV_VARS.METADATA_CACHE_TABLE, "");
+}
+
+/**
+ * Reads metadata from the shared cache
+ *
+ * @param {string} key - Metadata cache key
+ * @param {string} [correlationId] - Request correlation ID
+ * @returns {Promise<Object|null>} Entry with metadata, the remaining fresh
+ *   lifetime in ttlSeconds (non-positive once stale) and the remaining stale
+ *   window in staleSeconds, or null on a miss, an expired entry or a failure
+ */
+export async function getSharedMetadata(key, correlationId = null) {
+  const tableName = getSharedCacheTableName();
+  if (!tableName) return null;
+
+  try {
+    const { Item } = await traceOperation(
+      "shared_cache_get",
+      () =>
+        getDocumentClient().send(
+          new GetCommand({ TableName: tableName, Key: { cacheKey: key } })
+        ),
+      { tableName },
+      correlationId
+    );
+
+    const now = nowInSeconds();
+    if (!Item || !Item.metadata || !(Item.expiresAt > now)) return null;
+
+    // Entries written without a stale window are fresh until they expire
+    const freshUntil = Item.freshUntil || Item.expiresAt;
+
+    return {
+      metadata: Item.metadata,
+      ttlSeconds: freshUntil - now,
+      staleSeconds: Item.expiresAt - Math.max(freshUntil, now),
+    };
+  } catch (error) {
+    logWarn(
+      "SHARED_CACHE_ERROR",
+      "Shared cache read failed",
+      { operation: "get", error: error.message },
+      correlationId
+    );
+    return null;
+  }
+}
+
+/**
+ * Writes metadata to the shared cache
+ *
+ * @param {string} key - Metadata cache key
+ * @param {Object} metadata - Resolved metadata
+ * @param {number} ttlSeconds - Time to live in seconds (non-positive skips caching)
+ * @param {number} [staleSeconds=0] - Stale-if-error window after the TTL in seconds
+ * @param {string} [correlationId] - Request correlation ID
+ * @returns {Promise<boolean>} True if the entry was stored
+ */
+export async function putSharedMetadata(
+  key,
+  metadata,
+  ttlSeconds,
+  staleSeconds = 0,
+  correlationId = null
+) {
+  const tableName = getSharedCacheTableName();
+  if (!tableName || !(ttlSeconds > 0)) return false;
+
+  const freshUntil = nowInSeconds() + Math.ceil(ttlSeconds);
+
+  try {
+    await traceOperation(
+      "shared_cache_put",
+      () =>
+        getDocumentClient().send(
+          new PutCommand({
+            TableName: tableName,
+            Item: {
+              cacheKey: key,
+              // JSON round trip drops undefined values and serializes dates
+              metadata: JSON.parse(JSON.stringify(metadata)),
+              freshUntil,
+              expiresAt: freshUntil + Math.max(0, Math.ceil(staleSeconds || 0)),
+            },
+          })
+        ),
+      { tableName },
+      correlationId
+    );
+    return true;
+  } catch (error) {
+    logWarn(
+      "SHARED_CACHE_ERROR",
+      "Shared cache write failed",
+      { operation: "put", error: error.message },
+      correlationId
+    );
+    return false;
+  }
+}
+
+/**
+ * Gets the DynamoDB document client, created on first use
+ * @returns {DynamoDBDocumentClient} Document client
+ */
+function getDocumentClient() {
+  if (!documentClient) {
+    documentClient = DynamoDBDocumentClient.from(
+      new DynamoDBClient({ maxAttempts: 2 }),
+      { marshallOptions: { removeUndefinedValues: true } }
+    );
+  }
+  return documentClient;
+}
+
+/**
+ * Gets the current time in epoch seconds
+ * @returns {number} Epoch seconds
+ */
+function nowInSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
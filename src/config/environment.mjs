@@ -8,6 +8,7 @@
  * @module config/environment
  */
 
+import { domainToASCII } from "node:url";
 import { ENV_VARS } from "../utils/constants.mjs";
 
 /**
@@ -21,6 +22,10 @@ export const config = {
   providerName: process.env[ENV_VARS.PROVIDER_NAME] || "oEmbed Provider",
   providerUrl: process.env[ENV_VARS.PROVIDER_URL] || "https://example.com",
   providerDomain: process.env[ENV_VARS.PROVIDER_DOMAIN] || "example.com",
+  // Optional comma-separated domain rules (exact, *.subdomain, !excluded)
+  providerDomains: process.env[ENV_VARS.PROVIDER_DOMAINS] || "",
+  // Optional public oEmbed endpoint URL advertised in discovery links
+  oembedEndpointUrl: process.env[ENV_VARS.OEMBED_ENDPOINT_URL] || "",
 
   // Logging configuration
   logLevel: process.env[ENV_VARS.LOG_LEVEL] || "INFO",
@@ -81,6 +86,33 @@ export function validateConfig() {
     });
   }
 
+  // Validate provider domain rules format
+  if (config.providerDomains) {
+    config.providerDomains
+      .split(",")
+      .map((rule) => rule.trim())
+      .filter(Boolean)
+      .forEach((rule) => {
+        const domain = rule.replace(/^!/, "").replace(/^\*\./, "");
+        if (!isValidDomain(domainToASCII(domain.toLowerCase()))) {
+          errors.push({
+            variable: "PROVIDER_DOMAINS",
+            message: `PROVIDER_DOMAINS entry "${rule}" is not a valid domain rule`,
+            severity: "warning",
+          });
+        }
+      });
+  }
+
+  // Validate advertised oEmbed endpoint URL format
+  if (config.oembedEndpointUrl && !isValidUrl(config.oembedEndpointUrl)) {
+    errors.push({
+      variable: "OEMBED_ENDPOINT_URL",
+      message: "OEMBED_ENDPOINT_URL must be a valid URL",
+      severity: "warning",
+    });
+  }
+
   // Validate log level
   const validLogLevels = ["ERROR", "WARN", "INFO", "DEBUG"];
   if (!validLogLevels.includes(config.logLevel)) {
@@ -242,6 +274,8 @@ export function logConfiguration() {
     providerName: config.providerName,
     providerUrl: config.providerUrl,
     providerDomain: config.providerDomain,
+    providerDomains: config.providerDomains,
+    oembedEndpointUrl: config.oembedEndpointUrl,
     logLevel: config.logLevel,
     nodeEnv: config.nodeEnv,
     isTest: config.isTest,
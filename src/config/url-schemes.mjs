@@ -0,0 +1,98 @@
+/**
+ * URL scheme registry configuration
+ *
+ * This module declares which content URLs the provider understands, as data.
+ * Each entry pairs one or more URL schemes with an oEmbed content type and
+ * the name of the resolver that fetches metadata for matching URLs. Entries
+ * are evaluated in order and the first match wins.
+ *
+ * Scheme syntax:
+ * - Path templates start with "/" and match any authorized host,
+ *   e.g. "/video/:id" or "/media/:collection/:id"
+ * - oEmbed-style schemes include protocol and host,
+ *   e.g. "https://*.mybusiness.com/video/*"
+ * - ":name" captures a single path segment as a named parameter
+ * - "*" in a path matches anything (including "/"); "*." at the start of a
+ *   host matches one or more subdomain labels
+ * - Matching is case-insensitive and ignores a trailing slash
+ *
+ * Entry fields:
+ * - name: Unique identifier used in logs and tracing
+ * - type: oEmbed content type (photo|video|rich|link)
+ * - schemes: Array of schemes or path templates
+ * - resolver: Resolver name registered in getContentMetadata (defaults to type),
+ *   or an array of names tried in order as a fallback chain,
+ *   e.g. ["dynamodb", "jsonld", "opengraph", "link"]
+ * - params: Query parameter names that must be present; the first one found
+ *   supplies the content ID (e.g. ["v"] for /watch?v=abc123)
+ * - fallback: Marks a catch-all entry that is only used when nothing else matches
+ *
+ * To adapt the provider to your URL layout, edit URL_SCHEMES below or set the
+ * URL_SCHEMES environment variable to a JSON array of entries, which replaces
+ * these defaults entirely.
+ *
+ * @module config/url-schemes
+ */
+
+import { CONTENT_TYPES } from "../utils/constants.mjs";
+
+/**
+ * Default URL scheme registry entries
+ */
+export const URL_SCHEMES = Object.freeze([
+  {
+    name: "video",
+    type: CONTENT_TYPES.VIDEO,
+    resolver: "video",
+    schemes: ["/video/:id", "/watch/:id", "/embed/:id", "/v/:id", "/player/:id"],
+  },
+  {
+    name: "video-query",
+    type: CONTENT_TYPES.VIDEO,
+    resolver: "video",
+    schemes: ["/*"],
+    params: ["v", "video"],
+  },
+  {
+    name: "photo",
+    type: CONTENT_TYPES.PHOTO,
+    resolver: "photo",
+    schemes: [
+      "/photo/:id",
+      "/image/:id",
+      "/gallery/:id",
+      "/img/:id",
+      "/pictures/:id",
+      "/*.jpg",
+      "/*.jpeg",
+      "/*.png",
+      "/*.gif",
+      "/*.webp",
+    ],
+  },
+  {
+    name: "rich",
+    type: CONTENT_TYPES.RICH,
+    resolver: "rich",
+    schemes: [
+      "/widget/:id",
+      "/interactive/:id",
+      "/app/:id",
+      "/content/:id",
+      "/embed-widget/:id",
+    ],
+  },
+  {
+    name: "link",
+    type: CONTENT_TYPES.LINK,
+    resolver: "link",
+    schemes: ["/article/:id", "/post/:id", "/blog/:id", "/news/:id", "/story/:id"],
+  },
+  {
+    name: "default",
+    type: CONTENT_TYPES.LINK,
+    resolver: "link",
+    schemes: ["/*"],
+    fallback: true,
+  },
+]);
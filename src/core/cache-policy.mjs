@@ -0,0 +1,105 @@
+/**
+ * Cache policy module
+ *
+ * This module builds the Cache-Control header for oEmbed responses so
+ * browsers, CDNs and consumers cache each outcome appropriately:
+ * - Success: browser lifetime from the content's cache_age, a separate
+ *   shared-cache (CDN) lifetime, stale-while-revalidate and stale-if-error,
+ *   configured per content type in CACHE_POLICIES
+ * - Stale metadata served while the backend fails: short caching only, so
+ *   caches recover quickly once the backend does
+ * - 404/410: short negative caching so repeated lookups of missing or
+ *   removed content don't all reach the backend
+ * - Other 4xx: no-cache, the request itself is wrong
+ * - 5xx: no-store, transient failures must never be cached
+ *
+ * Performance optimizations:
+ * - Error directives are pre-computed and frozen
+ *
+ * @module core/cache-policy
+ */
+
+import {
+  CACHE_CONTROL,
+  CACHE_POLICIES,
+  HTTP_STATUS,
+} from "../utils/constants.mjs";
+
+// Negative caching for content that doesn't exist (or no longer does)
+const NEGATIVE_CACHE_CONTROL = `public, max-age=${CACHE_CONTROL.NEGATIVE_MAX_AGE}, s-maxage=${CACHE_CONTROL.ERROR_MAX_AGE}`;
+
+// Pre-computed error directives by status code
+const ERROR_CACHE_CONTROL = Object.freeze({
+  [HTTP_STATUS.NOT_FOUND]: NEGATIVE_CACHE_CONTROL,
+  [HTTP_STATUS.GONE]: NEGATIVE_CACHE_CONTROL,
+});
+
+// Stale metadata should be refreshed as soon as the backend recovers
+const STALE_CACHE_CONTROL = `public, max-age=${CACHE_CONTROL.STALE_MAX_AGE}, s-maxage=${CACHE_CONTROL.STALE_MAX_AGE}`;
+
+const CLIENT_ERROR_CACHE_CONTROL = "no-cache";
+const SERVER_ERROR_CACHE_CONTROL = "no-store";
+
+/**
+ * Gets the cache policy for a content type
+ * @param {string} [contentType] - oEmbed content type
+ * @returns {Object} Policy with sMaxAge, staleWhileRevalidate and staleIfError
+ */
+export function getCachePolicy(contentType) {
+  return CACHE_POLICIES[contentType] || CACHE_POLICIES.default;
+}
+
+/**
+ * Builds the Cache-Control header for a success response
+ *
+ * @param {string} [contentType] - oEmbed content type
+ * @param {number} [cacheAge] - Browser lifetime in seconds (the response's cache_age)
+ * @returns {string} Cache-Control header value
+ */
+export function getCacheControl(contentType, cacheAge) {
+  const policy = getCachePolicy(contentType);
+  const maxAge = toSeconds(cacheAge, CACHE_CONTROL.DEFAULT_MAX_AGE);
+
+  return [
+    "public",
+    `max-age=${maxAge}`,
+    `s-maxage=${toSeconds(policy.sMaxAge, maxAge)}`,
+    `stale-while-revalidate=${toSeconds(policy.staleWhileRevalidate, 0)}`,
+    `stale-if-error=${toSeconds(policy.staleIfError, 0)}`,
+  ].join(", ");
+}
+
+/**
+ * Gets the Cache-Control header for a response built from stale metadata
+ * @returns {string} Cache-Control header value
+ */
+export function getStaleCacheControl() {
+  return STALE_CACHE_CONTROL;
+}
+
+/**
+ * Builds the Cache-Control header for an error response
+ *
+ * @param {number} statusCode - HTTP error status code
+ * @returns {string} Cache-Control header value
+ */
+export function getErrorCacheControl(statusCode) {
+  if (ERROR_CACHE_CONTROL[statusCode]) {
+    return ERROR_CACHE_CONTROL[statusCode];
+  }
+
+  return statusCode >= HTTP_STATUS.INTERNAL_SERVER_ERROR
+    ? SERVER_ERROR_CACHE_CONTROL
+    : CLIENT_ERROR_CACHE_CONTROL;
+}
+
+/**
+ * Normalizes a lifetime to a non-negative integer number of seconds
+ * @param {number} value - Lifetime in seconds
+ * @param {number} fallback - Value used when the lifetime is missing or invalid
+ * @returns {number} Lifetime in whole seconds
+ */
+function toSeconds(value, fallback) {
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds >= 0 ? Math.floor(seconds) : fallback;
+}
@@ -0,0 +1,119 @@
+/**
+ * Conditional request module
+ *
+ * This module evaluates If-None-Match and If-Modified-Since request headers
+ * against the validators (ETag, Last-Modified) of a formatted success
+ * response, so CDNs and consumers revalidating an expired response get a
+ * bodiless 304 Not Modified instead of the full body.
+ *
+ * Evaluation follows RFC 7232:
+ * - If-None-Match takes precedence; If-Modified-Since is only evaluated
+ *   when If-None-Match is absent
+ * - ETags are compared weakly (a W/ prefix is ignored) and "*" matches
+ * - If-Modified-Since matches when Last-Modified is not later than it
+ *
+ * @module core/conditional
+ */
+
+import { getHeader } from "../utils/helpers.mjs";
+import { HTTP_STATUS } from "../utils/constants.mjs";
+
+// Upper bound on If-None-Match length to keep parsing cheap
+const MAX_IF_NONE_MATCH_LENGTH = 2048;
+
+// Response headers repeated on 304 responses (RFC 7232, section 4.1)
+const NOT_MODIFIED_HEADERS = Object.freeze([
+  "Cache-Control",
+  "ETag",
+  "Last-Modified",
+  "Vary",
+  "Access-Control-Allow-Origin",
+]);
+
+/**
+ * Returns a 304 response if the request's validators match the response
+ *
+ * @param {Object} [requestHeaders] - Request headers (any casing)
+ * @param {Object} response - Formatted success response with ETag/Last-Modified
+ * @returns {Object|null} 304 Not Modified response, or null to send the full response
+ */
+export function getNotModifiedResponse(requestHeaders, response) {
+  if (!response || response.statusCode !== HTTP_STATUS.OK) return null;
+
+  return isNotModified(requestHeaders, response.headers)
+    ? createNotModifiedResponse(response)
+    : null;
+}
+
+/**
+ * Checks whether conditional request headers match the response validators
+ *
+ * @param {Object} [requestHeaders] - Request headers (any casing)
+ * @param {Object} [responseHeaders] - Response headers with ETag/Last-Modified
+ * @returns {boolean} True if the client's cached copy is still current
+ */
+export function isNotModified(requestHeaders, responseHeaders) {
+  const ifNoneMatch = getHeader(requestHeaders, "if-none-match");
+  if (ifNoneMatch) {
+    return matchesETag(ifNoneMatch, getHeader(responseHeaders, "etag"));
+  }
+
+  const ifModifiedSince = getHeader(requestHeaders, "if-modified-since");
+  const lastModified = getHeader(responseHeaders, "last-modified");
+  if (!ifModifiedSince || !lastModified) return false;
+
+  const since = Date.parse(ifModifiedSince);
+  const modified = Date.parse(lastModified);
+  if (isNaN(since) || isNaN(modified)) return false;
+
+  return modified <= since;
+}
+
+/**
+ * Checks an If-None-Match header against an ETag using weak comparison
+ * @param {string} ifNoneMatch - If-None-Match header value
+ * @param {string} [etag] - Response ETag
+ * @returns {boolean} True if any listed tag matches
+ */
+function matchesETag(ifNoneMatch, etag) {
+  if (!etag) return false;
+
+  const target = stripWeakPrefix(etag);
+
+  return ifNoneMatch
+    .slice(0, MAX_IF_NONE_MATCH_LENGTH)
+    .split(",")
+    .map((tag) => tag.trim())
+    .some((tag) => tag === "*" || stripWeakPrefix(tag) === target);
+}
+
+/**
+ * Removes the weak validator prefix from an ETag
+ * @param {string} tag - ETag value
+ * @returns {string} Opaque tag
+ */
+function stripWeakPrefix(tag) {
+  return tag.startsWith("W/") ? tag.slice(2) : tag;
+}
+
+/**
+ * Creates a 304 response carrying the original response's cache headers
+ * @param {Object} response - Full success response
+ * @returns {Object} 304 Not Modified response with an empty body
+ */
+function createNotModifiedResponse(response) {
+  const headers = {};
+
+  for (const name of NOT_MODIFIED_HEADERS) {
+    const value = getHeader(response.headers, name);
+    if (value !== undefined) {
+      headers[name] = value;
+    }
+  }
+
+  return {
+    statusCode: HTTP_STATUS.NOT_MODIFIED,
+    headers,
+    body: "",
+  };
+}
@@ -11,6 +11,10 @@
  * - Memory-conscious error response construction
  * - Cached content-type constants for header efficiency
  *
+ * Success responses carry validators for conditional requests: an ETag
+ * hashed from the response body and, when the backend supplies an update
+ * timestamp, Last-Modified (see core/conditional for 304 handling).
+ *
  * Security features:
  * - XML character escaping to prevent injection attacks
  * - CORS headers for controlled cross-origin access
@@ -19,7 +23,13 @@
  * @module core/formatter
  */
 
-import { escapeXml } from "../utils/helpers.mjs";
+import { createHash } from "node:crypto";
+import { escapeXml, toHttpDate } from "../utils/helpers.mjs";
+import {
+  getCacheControl,
+  getErrorCacheControl,
+  getStaleCacheControl,
+} from "./cache-policy.mjs";
 import { CORS, CACHE_CONTROL } from "../utils/constants.mjs";
 
 // Pre-compiled response headers for performance optimization
@@ -28,27 +38,54 @@ const JSON_HEADERS = Object.freeze({
   "Access-Control-Allow-Origin": CORS.ALLOW_ORIGIN,
 });
 
+const JSONP_HEADERS = Object.freeze({
+  "Content-Type": "application/javascript",
+  "Access-Control-Allow-Origin": CORS.ALLOW_ORIGIN,
+  "X-Content-Type-Options": "nosniff",
+});
+
 const XML_HEADERS = Object.freeze({
   "Content-Type": "text/xml",
   "Access-Control-Allow-Origin": CORS.ALLOW_ORIGIN,
 });
 
+// Responses vary by Accept because it can select the response format
+const VARY_HEADER = "Accept";
+
+// Length of the base64url body hash used in ETags (32 chars = 192 bits)
+const ETAG_HASH_LENGTH = 32;
+
+// Element name for array entries in XML, e.g. <features><item>a</item></features>
+const XML_ARRAY_ITEM = "item";
+
+// Maximum nesting depth serialized to XML; deeper values are omitted
+const XML_MAX_DEPTH = 10;
+
 // XML declaration for consistent XML responses
 const XML_DECLARATION =
   '<?xml version="1.0" encoding="utf-8" standalone="yes"?>';
 
 /**
  * Formats an oEmbed response in the requested format
+ *
+ * The format may have been negotiated from the Accept header, so every
+ * response carries "Vary: Accept" for correct caching by shared caches.
+ *
  * @param {Object} data - The oEmbed response data
  * @param {string} format - Response format ('json' or 'xml')
+ * @param {Object} [options={}] - Formatting options
+ * @param {string} [options.callback] - Validated JSONP callback (json only)
+ * @param {Date|number|string} [options.lastModified] - Content update timestamp
+ * @param {boolean} [options.stale] - Data is stale metadata served while the backend fails
  * @returns {Object} Formatted HTTP response
  */
-export function formatResponse(data, format = "json") {
-  if (format === "xml") {
-    return formatXmlResponse(data);
-  }
+export function formatResponse(data, format = "json", options = {}) {
+  const response =
+    format === "xml"
+      ? formatXmlResponse(data, options)
+      : formatJsonResponse(data, options);
 
-  return formatJsonResponse(data);
+  return withVaryHeader(response);
 }
 
 /**
@@ -56,25 +93,84 @@ export function formatResponse(data, format = "json") {
  *
  * Creates a JSON HTTP response with proper oEmbed formatting:
  * - Uses pre-compiled headers for performance
- * - Applies cache control based on content cache_age
+ * - Applies the content type's cache policy with cache_age as browser lifetime
  * - Ensures proper JSON serialization
  *
+ * When a JSONP callback is given, the JSON body is wrapped in a call to
+ * it and served as application/javascript. The callback must already be
+ * validated (see isValidCallbackName in core/validator); the leading empty
+ * comment guards against content-sniffing attacks such as Rosetta Flash.
+ *
  * @param {Object} data - The oEmbed response data
  * @param {number} [data.cache_age] - Cache age in seconds (default: 3600)
+ * @param {Object} [options={}] - Formatting options
+ * @param {string} [options.callback] - Validated JSONP callback name
+ * @param {Date|number|string} [options.lastModified] - Content update timestamp
+ * @param {boolean} [options.stale] - Data is stale metadata served while the backend fails
  * @returns {Object} JSON HTTP response object
  * @returns {number} returns.statusCode - HTTP status code (200)
  * @returns {Object} returns.headers - Response headers with content-type and CORS
  * @returns {string} returns.body - JSON stringified response body
  */
-export function formatJsonResponse(data) {
+export function formatJsonResponse(data, options = {}) {
   // Use cache_age from data or default to 1 hour
   const cacheAge = data.cache_age || CACHE_CONTROL.DEFAULT_MAX_AGE;
 
+  if (options.callback) {
+    // Escape line separators, which are not valid in older JavaScript string literals
+    const json = JSON.stringify(data)
+      .replace(/\u2028/g, "\\u2028")
+      .replace(/\u2029/g, "\\u2029");
+
+    const body = `/**/ ${options.callback}(${json});`;
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...JSONP_HEADERS,
+        "Cache-Control": getResponseCacheControl(data, cacheAge, options),
+        ...generateValidatorHeaders(body, options.lastModified),
+      },
+      body,
+    };
+  }
+
+  const body = JSON.stringify(data);
+
+  return {
+    statusCode: 200,
+    headers: {
+      ...JSON_HEADERS,
+      "Cache-Control": getResponseCacheControl(data, cacheAge, options),
+      ...generateValidatorHeaders(body, options.lastModified),
+    },
+    body,
+  };
+}
+
+/**
+ * Formats a non-oEmbed JSON document response
+ *
+ * Used by auxiliary routes (such as discovery) that return plain JSON
+ * documents rather than oEmbed responses:
+ * - Uses pre-compiled headers for performance
+ * - Allows route-specific headers (e.g. Link) to be added
+ *
+ * @param {Object} data - JSON document to serialize
+ * @param {Object} [options={}] - Formatting options
+ * @param {number} [options.cacheAge] - Cache age in seconds (default: 3600)
+ * @param {Object} [options.headers] - Additional response headers
+ * @returns {Object} JSON HTTP response object
+ */
+export function formatJsonDocumentResponse(data, options = {}) {
+  const cacheAge = options.cacheAge || CACHE_CONTROL.DEFAULT_MAX_AGE;
+
   return {
     statusCode: 200,
     headers: {
       ...JSON_HEADERS,
       "Cache-Control": `max-age=${cacheAge}`,
+      ...(options.headers || {}),
     },
     body: JSON.stringify(data),
   };
@@ -85,17 +181,20 @@ export function formatJsonResponse(data) {
  *
  * Creates an XML HTTP response with proper oEmbed formatting:
  * - Uses pre-compiled headers for performance
- * - Applies cache control based on content cache_age
+ * - Applies the content type's cache policy with cache_age as browser lifetime
  * - Ensures proper XML structure and encoding
  *
  * @param {Object} data - The oEmbed response data
  * @param {number} [data.cache_age] - Cache age in seconds (default: 3600)
+ * @param {Object} [options={}] - Formatting options
+ * @param {Date|number|string} [options.lastModified] - Content update timestamp
+ * @param {boolean} [options.stale] - Data is stale metadata served while the backend fails
  * @returns {Object} XML HTTP response object
  * @returns {number} returns.statusCode - HTTP status code (200)
  * @returns {Object} returns.headers - Response headers with content-type and CORS
  * @returns {string} returns.body - XML formatted response body
  */
-export function formatXmlResponse(data) {
+export function formatXmlResponse(data, options = {}) {
   // Use cache_age from data or default to 1 hour
   const cacheAge = data.cache_age || CACHE_CONTROL.DEFAULT_MAX_AGE;
 
@@ -105,18 +204,39 @@ export function formatXmlResponse(data) {
     statusCode: 200,
     headers: {
       ...XML_HEADERS,
-      "Cache-Control": `max-age=${cacheAge}`,
+      "Cache-Control": getResponseCacheControl(data, cacheAge, options),
+      ...generateValidatorHeaders(xmlBody, options.lastModified),
     },
     body: xmlBody,
   };
 }
 
+/**
+ * Gets the Cache-Control header for a success response
+ *
+ * Stale metadata served while the backend fails is cached only briefly,
+ * so caches pick up fresh metadata soon after the backend recovers.
+ *
+ * @param {Object} data - The oEmbed response data
+ * @param {number} cacheAge - Browser lifetime in seconds
+ * @param {Object} options - Formatting options
+ * @returns {string} Cache-Control header value
+ */
+function getResponseCacheControl(data, cacheAge, options) {
+  return options.stale
+    ? getStaleCacheControl()
+    : getCacheControl(data.type, cacheAge);
+}
+
 /**
  * Generates XML body from oEmbed data with optimized string construction
  *
  * Creates well-formed XML according to oEmbed specification:
  * - Filters out null/undefined values for clean XML
  * - Escapes XML special characters for security
+ * - Serializes nested objects as child elements and arrays as repeated
+ *   <item> elements, so extension fields carry the same data as JSON
+ * - Sanitizes element names derived from keys to valid XML names
  * - Uses efficient string concatenation
  * - Maintains consistent XML structure
  *
@@ -125,10 +245,7 @@ export function formatXmlResponse(data) {
  */
 export function generateXmlBody(data) {
   // Filter and transform data entries to XML elements efficiently
-  const xmlElements = Object.entries(data)
-    .filter(([, value]) => value !== undefined && value !== null)
-    .map(([key, value]) => `  <${key}>${escapeXml(String(value))}</${key}>`)
-    .join("\n");
+  const xmlElements = serializeXmlChildren(data, 1);
 
   // Use pre-compiled XML declaration for consistency
   return `${XML_DECLARATION}
@@ -137,8 +254,71 @@ ${xmlElements}
 </oembed>`;
 }
 
+/**
+ * Serializes the entries of an object or array as XML child elements
+ * @param {Object|Array} value - Object or array to serialize
+ * @param {number} depth - Nesting depth, used for indentation and limits
+ * @returns {string} Child elements separated by newlines
+ */
+function serializeXmlChildren(value, depth) {
+  const entries = Array.isArray(value)
+    ? value.map((item) => [XML_ARRAY_ITEM, item])
+    : Object.entries(value);
+
+  return entries
+    .filter(([, child]) => child !== undefined && child !== null)
+    .map(([key, child]) => serializeXmlElement(key, child, depth))
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Serializes a single value as an XML element
+ * @param {string} key - Field name
+ * @param {*} value - Field value
+ * @param {number} depth - Nesting depth
+ * @returns {string} XML element, or an empty string past the depth limit
+ */
+function serializeXmlElement(key, value, depth) {
+  if (depth > XML_MAX_DEPTH) return "";
+
+  const name = toXmlElementName(key);
+  const indent = "  ".repeat(depth);
+
+  if (typeof value !== "object") {
+    return `${indent}<${name}>${escapeXml(String(value))}</${name}>`;
+  }
+
+  const children = serializeXmlChildren(value, depth + 1);
+  return children
+    ? `${indent}<${name}>\n${children}\n${indent}</${name}>`
+    : `${indent}<${name}/>`;
+}
+
+/**
+ * Converts a field name into a valid XML element name
+ *
+ * Characters outside the XML name production are replaced with "_", and
+ * names that don't start with a letter or "_", or that start with the
+ * reserved "xml" prefix, are prefixed with "_".
+ *
+ * @param {string} key - Field name
+ * @returns {string} Valid XML element name
+ */
+function toXmlElementName(key) {
+  const name = String(key).replace(/[^A-Za-z0-9_.-]/g, "_");
+
+  if (!name) return "_";
+  if (!/^[A-Za-z_]/.test(name) || /^xml/i.test(name)) return `_${name}`;
+  return name;
+}
+
 /**
  * Formats error response in the requested format
+ *
+ * Like successful responses, error responses carry "Vary: Accept", plus
+ * the status code's Cache-Control policy (see core/cache-policy).
+ *
  * @param {number} statusCode - HTTP status code
  * @param {string} message - Error message
  * @param {string} format - Response format ('json' or 'xml')
@@ -169,11 +349,18 @@ export function formatErrorResponse(
     errorData.error.details = details;
   }
 
-  if (format === "xml") {
-    return formatXmlErrorResponse(statusCode, errorData);
-  }
+  const response =
+    format === "xml"
+      ? formatXmlErrorResponse(statusCode, errorData)
+      : formatJsonErrorResponse(statusCode, errorData);
 
-  return formatJsonErrorResponse(statusCode, errorData);
+  return withVaryHeader({
+    ...response,
+    headers: {
+      ...response.headers,
+      "Cache-Control": getErrorCacheControl(statusCode),
+    },
+  });
 }
 
 /**
@@ -250,13 +437,59 @@ function getErrorCodeFromStatus(statusCode) {
     400: "BAD_REQUEST",
     401: "UNAUTHORIZED",
     404: "NOT_FOUND",
+    410: "GONE",
     501: "NOT_IMPLEMENTED",
     500: "INTERNAL_SERVER_ERROR",
+    502: "BAD_GATEWAY",
+    504: "GATEWAY_TIMEOUT",
   };
 
   return statusCodes[statusCode] || "UNKNOWN_ERROR";
 }
 
+/**
+ * Generates a strong ETag from a response body
+ *
+ * The tag only depends on the body bytes, so identical responses produce
+ * the same ETag across invocations and function instances.
+ *
+ * @param {string} body - Response body
+ * @returns {string} Quoted ETag value
+ */
+export function generateETag(body) {
+  const hash = createHash("sha256").update(body, "utf8").digest("base64url");
+  return `"${hash.substring(0, ETAG_HASH_LENGTH)}"`;
+}
+
+/**
+ * Generates ETag and Last-Modified headers for a success response
+ * @param {string} body - Response body
+ * @param {Date|number|string} [lastModified] - Content update timestamp
+ * @returns {Object} Validator headers
+ */
+function generateValidatorHeaders(body, lastModified) {
+  const headers = { ETag: generateETag(body) };
+  const httpDate = toHttpDate(lastModified);
+
+  if (httpDate) {
+    headers["Last-Modified"] = httpDate;
+  }
+
+  return headers;
+}
+
+/**
+ * Adds the Vary header for Accept-based format negotiation
+ * @param {Object} response - HTTP response object
+ * @returns {Object} Response with Vary: Accept added
+ */
+function withVaryHeader(response) {
+  return {
+    ...response,
+    headers: { ...response.headers, Vary: VARY_HEADER },
+  };
+}
+
 /**
  * Generates a unique request ID for error tracking
  * @returns {string} Unique request identifier
@@ -0,0 +1,120 @@
+/**
+ * Response format negotiation module
+ *
+ * This module determines the response format of an oEmbed request from the
+ * request path, the format query parameter and the Accept header, so
+ * consumers that negotiate via headers or format-specific endpoints get the
+ * format they asked for.
+ *
+ * Precedence (first match wins):
+ * 1. Path suffix: /oembed.json or /oembed.xml
+ * 2. The format query parameter (validated later by validateOembedParams)
+ * 3. The Accept header, honoring quality values
+ * 4. The default format (json)
+ *
+ * Responses whose format may depend on the Accept header must carry
+ * "Vary: Accept"; the formatter adds it to all oEmbed responses.
+ *
+ * Performance optimizations:
+ * - Media type mapping is pre-compiled and frozen
+ * - Accept headers are length-bounded before parsing
+ *
+ * @module core/negotiation
+ */
+
+import { getHeader } from "../utils/helpers.mjs";
+import { OEMBED } from "../utils/constants.mjs";
+
+// Media types mapped to oEmbed formats
+const MEDIA_TYPE_FORMATS = Object.freeze({
+  "application/json+oembed": "json",
+  "application/json": "json",
+  "text/xml+oembed": "xml",
+  "text/xml": "xml",
+  "application/xml": "xml",
+});
+
+// Format-specific endpoint paths, e.g. /oembed.json
+const PATH_SUFFIX_PATTERN = /\/oembed\.(json|xml)\/?$/i;
+
+// Upper bound on Accept header length to keep parsing cheap
+const MAX_ACCEPT_LENGTH = 1024;
+
+/**
+ * Negotiates the response format for an API Gateway event
+ *
+ * @param {Object} event - API Gateway event object
+ * @param {string} [event.path] - Request path (REST API payload)
+ * @param {string} [event.rawPath] - Request path (HTTP API payload)
+ * @param {Object} [event.headers] - Request headers (any casing)
+ * @param {Object} [event.queryStringParameters] - Query string parameters
+ * @returns {Object} Negotiation result
+ * @returns {string} returns.format - Selected format (may be invalid if taken from the query)
+ * @returns {string} returns.source - Where the format came from (path|query|accept|default)
+ */
+export function negotiateFormat(event) {
+  const path = event.path || event.rawPath || "";
+  const pathMatch = path.match(PATH_SUFFIX_PATTERN);
+  if (pathMatch) {
+    return { format: pathMatch[1].toLowerCase(), source: "path" };
+  }
+
+  const queryFormat = (event.queryStringParameters || {}).format;
+  if (queryFormat) {
+    return { format: queryFormat, source: "query" };
+  }
+
+  const acceptFormat = getFormatFromAccept(getHeader(event.headers, "accept"));
+  if (acceptFormat) {
+    return { format: acceptFormat, source: "accept" };
+  }
+
+  return { format: OEMBED.DEFAULT_FORMAT, source: "default" };
+}
+
+/**
+ * Selects the preferred oEmbed format from an Accept header
+ *
+ * Picks the supported media type with the highest quality value; ties are
+ * resolved by header order. Wildcards and unsupported types express no
+ * preference.
+ *
+ * @param {string} [accept] - Accept header value
+ * @returns {string|null} Preferred format or null if none is expressed
+ */
+export function getFormatFromAccept(accept) {
+  if (!accept || typeof accept !== "string") return null;
+
+  let best = null;
+  let bestQuality = 0;
+
+  for (const range of accept.slice(0, MAX_ACCEPT_LENGTH).split(",")) {
+    const [mediaType, ...params] = range.split(";");
+    const format = MEDIA_TYPE_FORMATS[mediaType.trim().toLowerCase()];
+    if (!format) continue;
+
+    const quality = parseQuality(params);
+    if (quality > bestQuality) {
+      best = format;
+      bestQuality = quality;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Parses the quality value from media range parameters
+ * @param {Array<string>} params - Parameters following the media type
+ * @returns {number} Quality between 0 and 1 (defaults to 1)
+ */
+function parseQuality(params) {
+  for (const param of params) {
+    const [name, value] = param.split("=");
+    if (name.trim().toLowerCase() === "q") {
+      const quality = parseFloat(value);
+      return Number.isFinite(quality) ? Math.min(Math.max(quality, 0), 1) : 0;
+    }
+  }
+  return 1;
+}
@@ -0,0 +1,269 @@
+/**
+ * oEmbed resolution pipeline module
+ *
+ * This module runs a single oEmbed request through the processing phases
+ * shared by the GET /oembed handler and the batch route:
+ * 1. Parameter sanitization and validation
+ * 2. URL validation and domain authorization
+ * 3. Content metadata retrieval (through the metadata cache)
+ * 4. oEmbed response construction
+ *
+ * Expected failures (invalid parameters, unauthorized domains, typed
+ * content errors) are returned as results with an HTTP status code rather
+ * than thrown, so callers can format them individually. Unexpected errors
+ * are thrown.
+ *
+ * Performance optimizations:
+ * - Error status mapping is pre-computed and cached
+ * - Early returns minimize processing overhead
+ *
+ * @module core/pipeline
+ */
+
+import {
+  validateOembedParams,
+  validateAndAuthorizeUrl,
+  sanitizeParams,
+} from "./validator.mjs";
+import { createTypeSpecificResponse } from "../oembed/response-builder.mjs";
+import { getCachedContentMetadata } from "../cache/metadata-cache.mjs";
+import {
+  logValidationErrors,
+  logWarn,
+  logPerformanceMetrics,
+  logBackendIntegration,
+} from "../utils/logger.mjs";
+import {
+  traceBackendIntegration,
+  traceResponseConstruction,
+  traceValidation,
+  addXRayAnnotations,
+} from "../utils/xray.mjs";
+import { isOembedError } from "../utils/errors.mjs";
+import { HTTP_STATUS, ERROR_CODES } from "../utils/constants.mjs";
+
+// Pre-computed error status mapping for performance optimization
+// This avoids function calls during request processing
+const ERROR_STATUS_MAP = Object.freeze({
+  [ERROR_CODES.MISSING_URL]: HTTP_STATUS.BAD_REQUEST,
+  [ERROR_CODES.INVALID_URL]: HTTP_STATUS.BAD_REQUEST,
+  [ERROR_CODES.MALFORMED_URL]: HTTP_STATUS.BAD_REQUEST,
+  [ERROR_CODES.INVALID_FORMAT]: HTTP_STATUS.NOT_IMPLEMENTED,
+  [ERROR_CODES.INVALID_MAXWIDTH]: HTTP_STATUS.BAD_REQUEST,
+  [ERROR_CODES.INVALID_MAXHEIGHT]: HTTP_STATUS.BAD_REQUEST,
+  [ERROR_CODES.INVALID_CALLBACK]: HTTP_STATUS.BAD_REQUEST,
+  [ERROR_CODES.UNAUTHORIZED_DOMAIN]: HTTP_STATUS.NOT_FOUND,
+  [ERROR_CODES.CONTENT_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
+  [ERROR_CODES.CONTENT_UNAUTHORIZED]: HTTP_STATUS.UNAUTHORIZED,
+  [ERROR_CODES.CONTENT_GONE]: HTTP_STATUS.GONE,
+  [ERROR_CODES.BACKEND_ERROR]: HTTP_STATUS.BAD_GATEWAY,
+  [ERROR_CODES.BACKEND_TIMEOUT]: HTTP_STATUS.GATEWAY_TIMEOUT,
+  [ERROR_CODES.BACKEND_UNAVAILABLE]: HTTP_STATUS.SERVICE_UNAVAILABLE,
+  [ERROR_CODES.MISSING_PROVIDER_DOMAIN]: HTTP_STATUS.INTERNAL_SERVER_ERROR,
+});
+
+/**
+ * Resolves an oEmbed request into an oEmbed response object
+ *
+ * @param {Object} queryParams - oEmbed request parameters
+ * @param {string} queryParams.url - Content URL (required)
+ * @param {string} [queryParams.format] - Response format (json|xml)
+ * @param {string} [queryParams.maxwidth] - Maximum width constraint
+ * @param {string} [queryParams.maxheight] - Maximum height constraint
+ * @param {string} [queryParams.callback] - JSONP callback (json format only)
+ * @param {string} correlationId - Request correlation ID
+ * @param {Object} [options={}] - Resolution options
+ * @param {number|null} [options.deadline] - Request deadline in epoch
+ *   milliseconds; backend lookups still running at it fail with BACKEND_TIMEOUT
+ * @returns {Promise<Object>} Resolution result
+ * @returns {boolean} returns.success - Whether an oEmbed response was built
+ * @returns {Object} [returns.sanitized] - Sanitized parameters (on success)
+ * @returns {Object} [returns.oembedResponse] - oEmbed response object (on success)
+ * @returns {Date|number|string|null} [returns.lastModified] - Content update
+ *   timestamp from the internal _last_modified metadata field (on success)
+ * @returns {boolean} [returns.stale] - Whether stale metadata was served
+ *   because the backend failed (on success)
+ * @returns {number} [returns.statusCode] - HTTP status code (on failure)
+ * @returns {string} [returns.format] - Format for the error response (on failure)
+ * @returns {Object} [returns.error] - Error code, message and details (on failure)
+ * @throws {Error} On unexpected errors
+ */
+export async function resolveOembedRequest(
+  queryParams,
+  correlationId,
+  options = {}
+) {
+  // Phase 1: Input sanitization and validation with X-Ray tracing
+  const { sanitized, validation } = await traceValidation(
+    "params",
+    async () => {
+      const sanitized = sanitizeParams(queryParams);
+      const validation = validateOembedParams(queryParams);
+      return { sanitized, validation };
+    },
+    { paramCount: Object.keys(queryParams).length },
+    correlationId
+  );
+
+  // Early return for validation failures to minimize processing
+  if (!validation.isValid) {
+    logValidationErrors(validation.errors, correlationId);
+    const firstError = validation.errors[0];
+
+    // Add X-Ray annotation for validation failure
+    addXRayAnnotations({ validationError: firstError.code });
+
+    return createFailure(validation.format, firstError.code, firstError.message);
+  }
+
+  // Phase 2: URL validation and domain authorization with X-Ray tracing
+  const urlValidation = await traceValidation(
+    "url",
+    async () => validateAndAuthorizeUrl(sanitized.url, correlationId),
+    { url: sanitized.url },
+    correlationId
+  );
+
+  // Early return for URL validation failures
+  if (!urlValidation.isValid) {
+    // Add X-Ray annotation for URL validation failure
+    addXRayAnnotations({ urlValidationError: urlValidation.code });
+
+    return createFailure(
+      sanitized.format,
+      urlValidation.code,
+      urlValidation.error,
+      urlValidation.details
+    );
+  }
+
+  // Phase 3: Content metadata retrieval with X-Ray tracing and performance tracking
+  let metadata;
+  try {
+    metadata = await fetchMetadata(sanitized, correlationId, options.deadline);
+  } catch (error) {
+    if (!isOembedError(error)) throw error;
+
+    // Typed content errors (missing, private, removed, backend unavailable)
+    // map to their oEmbed status codes instead of a generic 500
+    addXRayAnnotations({ success: false, contentError: error.code });
+    logWarn(
+      "CONTENT_ERROR",
+      error.message,
+      { url: sanitized.url, code: error.code },
+      correlationId
+    );
+
+    return createFailure(
+      sanitized.format,
+      error.code,
+      error.message,
+      error.details
+    );
+  }
+
+  // Phase 4: oEmbed response construction with X-Ray tracing and performance tracking
+  const oembedResponse = await traceResponseConstruction(
+    metadata.type || "unknown",
+    async () => {
+      const responseStartTime = Date.now();
+      const response = await createTypeSpecificResponse(
+        metadata,
+        sanitized.maxwidth,
+        sanitized.maxheight
+      );
+      const responseDuration = Date.now() - responseStartTime;
+
+      logPerformanceMetrics(
+        "response_construction",
+        responseDuration,
+        {
+          contentType: response.type,
+          hasHtml: !!response.html,
+          hasThumbnail: !!response.thumbnail_url,
+        },
+        correlationId
+      );
+
+      return response;
+    },
+    correlationId
+  );
+
+  return {
+    success: true,
+    sanitized,
+    oembedResponse,
+    lastModified: metadata._last_modified || null,
+    stale: !!metadata._stale,
+  };
+}
+
+/**
+ * Gets the HTTP status code for an error code
+ * @param {string} code - Error code from ERROR_CODES
+ * @returns {number} HTTP status code (500 for unmapped codes)
+ */
+export function getStatusForErrorCode(code) {
+  return ERROR_STATUS_MAP[code] || HTTP_STATUS.INTERNAL_SERVER_ERROR;
+}
+
+/**
+ * Retrieves content metadata with backend tracing and integration logging
+ * @param {Object} sanitized - Sanitized request parameters
+ * @param {string} correlationId - Request correlation ID
+ * @param {number|null} [deadline] - Request deadline in epoch milliseconds
+ * @returns {Promise<Object>} Content metadata
+ */
+async function fetchMetadata(sanitized, correlationId, deadline = null) {
+  return traceBackendIntegration(
+    sanitized.url,
+    async () => {
+      const backendStartTime = Date.now();
+      let backendSuccess = true;
+      let backendError = null;
+
+      try {
+        const result = await getCachedContentMetadata(
+          sanitized.url,
+          sanitized.maxwidth,
+          sanitized.maxheight,
+          correlationId,
+          { deadline }
+        );
+        return result;
+      } catch (error) {
+        backendSuccess = false;
+        backendError = error.message;
+        throw error;
+      } finally {
+        const backendDuration = Date.now() - backendStartTime;
+        logBackendIntegration(
+          sanitized.url,
+          backendDuration,
+          backendSuccess,
+          backendError,
+          correlationId
+        );
+      }
+    },
+    correlationId
+  );
+}
+
+/**
+ * Creates a failed resolution result
+ * @param {string} format - Format for the error response
+ * @param {string} code - Error code from ERROR_CODES
+ * @param {string} message - Error message
+ * @param {string} [details] - Additional error details
+ * @returns {Object} Failure result with status code and error
+ */
+function createFailure(format, code, message, details = null) {
+  return {
+    success: false,
+    statusCode: getStatusForErrorCode(code),
+    format,
+    error: { code, message, details },
+  };
+}
@@ -0,0 +1,356 @@
+/**
+ * URL scheme registry module
+ *
+ * This module compiles the declarative URL scheme configuration from
+ * config/url-schemes.mjs into matchers and resolves content URLs to a
+ * registry entry, content type, content ID and resolver name. It is the
+ * single place where URLs are mapped to content, shared by the parser and
+ * the backend integration layer.
+ *
+ * Performance optimizations:
+ * - Schemes are compiled to regular expressions once and cached
+ * - The cache is only rebuilt when the URL_SCHEMES override changes
+ * - Explicit entries are ordered before catch-all fallbacks at compile time
+ *
+ * @module core/scheme-registry
+ */
+
+import { URL_SCHEMES } from "../config/url-schemes.mjs";
+import { OEMBED } from "../utils/constants.mjs";
+import { logError } from "../utils/logger.mjs";
+
+// Query parameters that commonly carry a content ID when no scheme captures one
+const ID_QUERY_PARAMS = Object.freeze(["id", "content"]);
+
+// Path segments that look like content IDs (ReDoS-safe, bounded length)
+const ID_SEGMENT_PATTERN = /^[a-zA-Z0-9_-]{1,100}$/;
+
+// Tokenizer for path templates: named parameters and wildcards
+const PATH_TOKEN_PATTERN = /(:[A-Za-z_][A-Za-z0-9_]*|\*)/;
+
+// Compiled registry cache keyed by the raw URL_SCHEMES override value
+let cachedRegistry = null;
+let cachedSource = null;
+
+/**
+ * Compiles a single URL scheme or path template into matchers
+ *
+ * Supports two forms:
+ * - Path templates starting with "/" (e.g. "/video/:id"), matched against
+ *   the URL pathname on any host
+ * - oEmbed-style schemes (e.g. "https://*.mybusiness.com/video/*"), which
+ *   additionally constrain the protocol and hostname
+ *
+ * @param {string} scheme - URL scheme or path template
+ * @returns {Object} Compiled scheme
+ * @returns {string|null} returns.protocol - Required protocol (e.g. "https:") or null for any
+ * @returns {RegExp|null} returns.host - Hostname matcher or null for any authorized host
+ * @returns {RegExp} returns.path - Pathname matcher
+ * @returns {Array<string>} returns.paramNames - Named parameters in capture order
+ * @throws {Error} When the scheme is not a valid scheme or path template
+ */
+export function compileUrlScheme(scheme) {
+  if (typeof scheme !== "string" || scheme.length === 0) {
+    throw new Error("URL scheme must be a non-empty string");
+  }
+
+  let protocol = null;
+  let host = null;
+  let pathTemplate = scheme;
+
+  // Full oEmbed-style scheme: split into protocol, host and path
+  if (!scheme.startsWith("/")) {
+    const match = scheme.match(/^(https?|\*):\/\/([^/]+)(\/.*)?$/i);
+    if (!match) {
+      throw new Error(`Invalid URL scheme: ${scheme}`);
+    }
+
+    protocol = match[1] === "*" ? null : `${match[1].toLowerCase()}:`;
+    host = compileHostPattern(match[2]);
+    pathTemplate = match[3] || "/*";
+  }
+
+  // Ignore a trailing slash in the template, it is optional when matching
+  if (pathTemplate.length > 1 && pathTemplate.endsWith("/")) {
+    pathTemplate = pathTemplate.slice(0, -1);
+  }
+
+  const paramNames = [];
+  const pathSource = pathTemplate
+    .split(PATH_TOKEN_PATTERN)
+    .map((token) => {
+      if (token === "*") return ".*";
+      if (PATH_TOKEN_PATTERN.test(token)) {
+        paramNames.push(token.slice(1));
+        return "([^/]+)";
+      }
+      return escapeRegex(token);
+    })
+    .join("");
+
+  return {
+    protocol,
+    host,
+    path: new RegExp(`^${pathSource}/?$`, "i"),
+    paramNames,
+  };
+}
+
+/**
+ * Compiles a registry entry and validates its configuration
+ * @param {Object} entry - URL scheme registry entry
+ * @param {number} index - Entry position, used for default naming and errors
+ * @returns {Object} Frozen compiled entry
+ * @throws {Error} When the entry is malformed
+ */
+export function compileSchemeEntry(entry, index = 0) {
+  if (!entry || typeof entry !== "object") {
+    throw new Error(`URL scheme entry ${index} must be an object`);
+  }
+
+  const name = entry.name || `scheme_${index}`;
+
+  if (!OEMBED.CONTENT_TYPES.includes(entry.type)) {
+    throw new Error(`URL scheme entry ${name} has invalid type: ${entry.type}`);
+  }
+
+  if (!Array.isArray(entry.schemes) || entry.schemes.length === 0) {
+    throw new Error(`URL scheme entry ${name} must declare at least one scheme`);
+  }
+
+  // A list of resolver names is a fallback chain, tried in order
+  const chain = Array.isArray(entry.resolver);
+  if (
+    chain &&
+    (entry.resolver.length === 0 ||
+      !entry.resolver.every((step) => typeof step === "string" && step))
+  ) {
+    throw new Error(
+      `URL scheme entry ${name} resolver chain must list resolver names`
+    );
+  }
+
+  return Object.freeze({
+    name,
+    type: entry.type,
+    resolver: chain
+      ? Object.freeze([...entry.resolver])
+      : entry.resolver || entry.type,
+    params: Array.isArray(entry.params) ? [...entry.params] : [],
+    fallback: !!entry.fallback,
+    schemes: entry.schemes.map((source) => ({
+      source,
+      ...compileUrlScheme(source),
+    })),
+  });
+}
+
+/**
+ * Creates a compiled registry from an array of scheme entries
+ *
+ * Explicit entries keep their configured order and always take precedence
+ * over entries marked as fallback.
+ *
+ * @param {Array<Object>} entries - URL scheme registry entries
+ * @returns {Array<Object>} Frozen compiled registry
+ * @throws {Error} When any entry is malformed
+ */
+export function createSchemeRegistry(entries) {
+  if (!Array.isArray(entries)) {
+    throw new Error("URL scheme registry must be an array of entries");
+  }
+
+  const compiled = entries.map((entry, index) =>
+    compileSchemeEntry(entry, index)
+  );
+
+  return Object.freeze([
+    ...compiled.filter((entry) => !entry.fallback),
+    ...compiled.filter((entry) => entry.fallback),
+  ]);
+}
+
+/**
+ * Gets the active scheme registry
+ *
+ * Uses the URL_SCHEMES environment variable (a JSON array of entries) when
+ * set, otherwise the defaults from config/url-schemes.mjs. An invalid
+ * override is logged and the defaults are used instead.
+ *
+ * @returns {Array<Object>} Compiled registry
+ */
+export function getSchemeRegistry() {
+  const source = process.env.URL_SCHEMES || "";
+
+  if (cachedRegistry && cachedSource === source) {
+    return cachedRegistry;
+  }
+
+  let registry;
+  try {
+    registry = createSchemeRegistry(source ? JSON.parse(source) : URL_SCHEMES);
+  } catch (error) {
+    logError(
+      "URL_SCHEMES_CONFIG_ERROR",
+      "Invalid URL_SCHEMES configuration, falling back to defaults",
+      error
+    );
+    registry = createSchemeRegistry(URL_SCHEMES);
+  }
+
+  cachedRegistry = registry;
+  cachedSource = source;
+  return registry;
+}
+
+/**
+ * Matches a URL against the scheme registry
+ *
+ * Content ID resolution order:
+ * 1. The entry's required query parameter (e.g. ?v=abc123)
+ * 2. The ":id" path parameter, then the last named path parameter
+ * 3. Generic "id" or "content" query parameters
+ * 4. The last path segment if it looks like an identifier
+ *
+ * @param {string|URL} url - The URL to match
+ * @param {Array<Object>} [registry] - Compiled registry (defaults to the active one)
+ * @returns {Object|null} Match result or null if no entry matches
+ * @returns {string} returns.name - Matched entry name
+ * @returns {string} returns.contentType - Content type of the entry
+ * @returns {string|Array<string>} returns.resolver - Resolver name of the
+ *   entry, or the resolver names of its fallback chain
+ * @returns {string|null} returns.contentId - Extracted content ID
+ * @returns {Object} returns.params - Named path parameters
+ * @returns {string} returns.scheme - The scheme source that matched
+ * @returns {boolean} returns.fallback - Whether a catch-all entry matched
+ */
+export function matchUrlScheme(url, registry = getSchemeRegistry()) {
+  const urlObj = url instanceof URL ? url : new URL(url);
+  const hostname = urlObj.hostname.toLowerCase();
+
+  for (const entry of registry) {
+    const queryId = findQueryParam(urlObj.searchParams, entry.params);
+
+    // Entries with required query parameters only match when one is present
+    if (entry.params.length > 0 && queryId === null) continue;
+
+    for (const scheme of entry.schemes) {
+      const params = matchCompiledScheme(scheme, urlObj, hostname);
+      if (!params) continue;
+
+      return {
+        name: entry.name,
+        contentType: entry.type,
+        resolver: entry.resolver,
+        contentId: resolveContentId(urlObj, params, queryId),
+        params,
+        scheme: scheme.source,
+        fallback: entry.fallback,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Matches a compiled scheme against a parsed URL
+ * @param {Object} scheme - Compiled scheme
+ * @param {URL} urlObj - Parsed URL
+ * @param {string} hostname - Lowercased hostname
+ * @returns {Object|null} Named path parameters or null if not matched
+ */
+function matchCompiledScheme(scheme, urlObj, hostname) {
+  if (scheme.protocol && scheme.protocol !== urlObj.protocol) return null;
+  if (scheme.host && !scheme.host.test(hostname)) return null;
+
+  const match = urlObj.pathname.match(scheme.path);
+  if (!match) return null;
+
+  const params = {};
+  scheme.paramNames.forEach((name, index) => {
+    params[name] = safeDecode(match[index + 1]);
+  });
+
+  return params;
+}
+
+/**
+ * Resolves the content ID for a matched URL
+ * @param {URL} urlObj - Parsed URL
+ * @param {Object} params - Named path parameters
+ * @param {string|null} queryId - Value of the entry's required query parameter
+ * @returns {string|null} Content ID or null if none could be determined
+ */
+function resolveContentId(urlObj, params, queryId) {
+  if (queryId !== null) return queryId;
+  if (params.id) return params.id;
+
+  const paramValues = Object.values(params);
+  if (paramValues.length > 0) return paramValues[paramValues.length - 1];
+
+  const genericId = findQueryParam(urlObj.searchParams, ID_QUERY_PARAMS);
+  if (genericId !== null) return genericId;
+
+  const segments = urlObj.pathname.split("/").filter(Boolean);
+  const lastSegment = segments[segments.length - 1];
+  return lastSegment && ID_SEGMENT_PATTERN.test(lastSegment)
+    ? lastSegment
+    : null;
+}
+
+/**
+ * Finds the first present query parameter from a list of names
+ * @param {URLSearchParams} searchParams - URL query parameters
+ * @param {Array<string>} names - Parameter names in priority order
+ * @returns {string|null} Parameter value or null if none is present
+ */
+function findQueryParam(searchParams, names) {
+  for (const name of names) {
+    const value = searchParams.get(name);
+    if (value) return value;
+  }
+  return null;
+}
+
+/**
+ * Compiles a scheme host pattern into a hostname matcher
+ * @param {string} host - Host pattern (e.g. "*.mybusiness.com")
+ * @returns {RegExp} Hostname matcher
+ */
+function compileHostPattern(host) {
+  const lowerHost = host.toLowerCase();
+
+  // Leading "*." matches one or more subdomain labels
+  if (lowerHost.startsWith("*.")) {
+    return new RegExp(
+      `^(?:[a-z0-9-]+\\.)+${escapeRegex(lowerHost.slice(2))}$`
+    );
+  }
+
+  return new RegExp(
+    `^${lowerHost.split("*").map(escapeRegex).join("[a-z0-9-]*")}$`
+  );
+}
+
+/**
+ * Escapes regular expression special characters in a literal string
+ * @param {string} value - Literal string
+ * @returns {string} Escaped string safe for use in a RegExp
+ */
+function escapeRegex(value) {
+  return value.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Decodes a URI component, returning the raw value if decoding fails
+ * @param {string} value - Encoded value
+ * @returns {string} Decoded value
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
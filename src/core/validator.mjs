@@ -15,14 +15,23 @@
  * @module core/validator
  */
 
-import { OEMBED, ERROR_CODES, ERROR_MESSAGES } from "../utils/constants.mjs";
+import { domainToASCII } from "node:url";
+import {
+  OEMBED,
+  ERROR_CODES,
+  ERROR_MESSAGES,
+  REGEX_PATTERNS,
+  JSONP_RESERVED_WORDS,
+} from "../utils/constants.mjs";
 import { validateAndSanitizeUrl, sanitizeText, validateNumeric } from "../utils/security.mjs";
+import { logSecurityEvent } from "../utils/logger.mjs";
 
 // Pre-compiled validation constants for performance
 const VALID_FORMATS = Object.freeze(OEMBED.FORMATS);
 const MIN_DIMENSION = OEMBED.MIN_DIMENSION;
 const MAX_WIDTH_LIMIT = OEMBED.MAX_WIDTH_LIMIT;
 const MAX_HEIGHT_LIMIT = OEMBED.MAX_HEIGHT_LIMIT;
+const RESERVED_CALLBACK_WORDS = new Set(JSONP_RESERVED_WORDS);
 
 /**
  * Validates oEmbed request parameters according to oEmbed 1.0 specification
@@ -31,6 +40,7 @@ const MAX_HEIGHT_LIMIT = OEMBED.MAX_HEIGHT_LIMIT;
  * - URL parameter presence and basic format validation
  * - Format parameter validation (json/xml only)
  * - Dimension constraints validation (maxwidth/maxheight)
+ * - JSONP callback validation (JSON format only)
  * - Returns structured error information for debugging
  *
  * @param {Object|null} queryParams - Query string parameters from the request
@@ -38,6 +48,7 @@ const MAX_HEIGHT_LIMIT = OEMBED.MAX_HEIGHT_LIMIT;
  * @param {string} [queryParams.format] - Response format (json|xml, default: json)
  * @param {string} [queryParams.maxwidth] - Maximum width constraint (1-2048)
  * @param {string} [queryParams.maxheight] - Maximum height constraint (1-2048)
+ * @param {string} [queryParams.callback] - JSONP callback function name
  * @returns {Object} Validation result object
  * @returns {boolean} returns.isValid - Whether all validations passed
  * @returns {Array<Object>} returns.errors - Array of validation errors
@@ -96,6 +107,20 @@ export function validateOembedParams(queryParams) {
     if (maxheightError) errors.push(maxheightError);
   }
 
+  // Phase 4: JSONP callback validation
+  // Only strict identifiers are accepted to prevent script injection
+  if (params.callback !== undefined) {
+    if (format !== "json" || !isValidCallbackName(params.callback)) {
+      errors.push(
+        createValidationError(
+          "callback",
+          ERROR_MESSAGES[ERROR_CODES.INVALID_CALLBACK],
+          ERROR_CODES.INVALID_CALLBACK
+        )
+      );
+    }
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
@@ -141,20 +166,45 @@ function validateDimension(value, fieldName, errorCode) {
 }
 
 /**
- * Validates and authorizes a URL against the provider domain
+ * Checks whether a JSONP callback is a safe JavaScript function name
+ *
+ * Accepts an ASCII identifier or a dotted path of identifiers (e.g.
+ * "jQuery123_456" or "app.embeds.load"). Reserved words and dangerous
+ * globals such as "eval" or "__proto__" are rejected in any segment.
+ *
+ * @param {string} callback - Callback name from the request
+ * @returns {boolean} True if the callback is safe to emit
+ */
+export function isValidCallbackName(callback) {
+  if (
+    typeof callback !== "string" ||
+    !REGEX_PATTERNS.JSONP_CALLBACK.test(callback)
+  ) {
+    return false;
+  }
+
+  return callback
+    .split(".")
+    .every((segment) => !RESERVED_CALLBACK_WORDS.has(segment));
+}
+
+/**
+ * Validates and authorizes a URL against the authorized provider domains
  *
  * Performs comprehensive URL validation and domain authorization:
  * - URL format validation using native URL constructor
  * - Provider domain configuration check
- * - Domain authorization against configured provider domain
+ * - Domain authorization against the configured domain rules
  * - Returns detailed validation results for error handling
  *
  * Security considerations:
- * - Prevents unauthorized domain access
- * - Validates URL format to prevent malformed URL attacks
- * - Provides detailed error information for debugging
+ * - Prevents unauthorized domain access, including look-alike hosts such
+ *   as evilmybusiness.com for mybusiness.com
+ * - Compares punycode-normalized hostnames so IDN spellings cannot bypass rules
+ * - Logs rejected hosts as security events for monitoring
  *
  * @param {string} url - The URL to validate and authorize
+ * @param {string} [correlationId] - Request correlation ID for security logging
  * @returns {Object} Validation result object
  * @returns {boolean} returns.isValid - Whether URL is valid and authorized
  * @returns {string} [returns.error] - Error message if validation failed
@@ -164,7 +214,7 @@ function validateDimension(value, fieldName, errorCode) {
  * @returns {string} [returns.hostname] - URL hostname if valid
  * @returns {string} [returns.pathname] - URL pathname if valid
  */
-export function validateAndAuthorizeUrl(url) {
+export function validateAndAuthorizeUrl(url, correlationId = null) {
   // Phase 1: URL format validation using security utility
   const urlValidation = validateAndSanitizeUrl(url);
   if (!urlValidation.isValid) {
@@ -177,8 +227,8 @@ export function validateAndAuthorizeUrl(url) {
   }
 
   // Phase 2: Provider domain configuration check
-  const providerDomain = process.env.PROVIDER_DOMAIN;
-  if (!providerDomain) {
+  const domainRules = getAuthorizedDomainRules();
+  if (!domainRules.some((rule) => !rule.exclude)) {
     return {
       isValid: false,
       error: ERROR_MESSAGES[ERROR_CODES.MISSING_PROVIDER_DOMAIN],
@@ -186,14 +236,25 @@ export function validateAndAuthorizeUrl(url) {
     };
   }
 
-  // Phase 3: Domain authorization check
-  // Use endsWith for subdomain support (e.g., api.example.com matches example.com)
-  if (!urlValidation.hostname.endsWith(providerDomain)) {
+  // Phase 3: Domain authorization check against exact, subdomain and excluded rules
+  const authorization = authorizeHostname(urlValidation.hostname, domainRules);
+  if (!authorization.authorized) {
+    logSecurityEvent(
+      "unauthorized_domain",
+      "URL hostname rejected by provider domain rules",
+      {
+        hostname: authorization.hostname,
+        reason: authorization.reason,
+        rule: authorization.rule ? authorization.rule.source : null,
+      },
+      correlationId
+    );
+
     return {
       isValid: false,
       error: ERROR_MESSAGES[ERROR_CODES.UNAUTHORIZED_DOMAIN],
       code: ERROR_CODES.UNAUTHORIZED_DOMAIN,
-      details: `URL hostname ${urlValidation.hostname} does not match provider domain ${providerDomain}`,
+      details: `URL hostname ${urlValidation.hostname} is not an authorized provider domain`,
     };
   }
 
@@ -206,6 +267,122 @@ export function validateAndAuthorizeUrl(url) {
   };
 }
 
+/**
+ * Gets the authorized domain rules from the environment
+ *
+ * PROVIDER_DOMAINS takes a comma-separated list of rules:
+ * - "mybusiness.com" authorizes exactly that host
+ * - "*.mybusiness.com" authorizes any subdomain (but not the apex)
+ * - "!internal.mybusiness.com" or "!*.staging.mybusiness.com" excludes hosts
+ *
+ * When PROVIDER_DOMAINS is not set, PROVIDER_DOMAIN authorizes its apex
+ * domain and all of its subdomains.
+ *
+ * @returns {Array<Object>} Parsed domain rules
+ */
+export function getAuthorizedDomainRules() {
+  const providerDomains = process.env.PROVIDER_DOMAINS;
+  if (providerDomains && providerDomains.trim()) {
+    return parseDomainRules(providerDomains.split(","));
+  }
+
+  const providerDomain = process.env.PROVIDER_DOMAIN;
+  if (providerDomain) {
+    return parseDomainRules([providerDomain, `*.${providerDomain}`]);
+  }
+
+  return [];
+}
+
+/**
+ * Parses domain rule strings into normalized rule objects
+ *
+ * Domains are lowercased, stripped of a trailing dot and converted to
+ * punycode so they compare equal to WHATWG URL hostnames. Entries that
+ * are not valid domain names are ignored.
+ *
+ * @param {Array<string>} entries - Domain rule strings
+ * @returns {Array<Object>} Rules with source, domain, subdomains and exclude flags
+ */
+export function parseDomainRules(entries) {
+  const rules = [];
+
+  for (const entry of entries) {
+    let value = String(entry || "").trim();
+    if (!value) continue;
+
+    const exclude = value.startsWith("!");
+    if (exclude) value = value.slice(1);
+
+    const subdomains = value.startsWith("*.");
+    if (subdomains) value = value.slice(2);
+
+    const domain = normalizeHostname(value);
+    if (!domain) continue;
+
+    rules.push({ source: entry.trim(), domain, subdomains, exclude });
+  }
+
+  return rules;
+}
+
+/**
+ * Checks a hostname against domain rules
+ *
+ * Exclusion rules always take precedence over allow rules.
+ *
+ * @param {string} hostname - Hostname to check
+ * @param {Array<Object>} rules - Parsed domain rules
+ * @returns {Object} Authorization result with authorized flag, normalized hostname, reason and rule
+ */
+export function authorizeHostname(hostname, rules) {
+  const normalized = normalizeHostname(hostname);
+  if (!normalized) {
+    return { authorized: false, hostname, reason: "invalid_hostname", rule: null };
+  }
+
+  const excludedBy = rules.find(
+    (rule) => rule.exclude && matchesDomainRule(normalized, rule)
+  );
+  if (excludedBy) {
+    return { authorized: false, hostname: normalized, reason: "excluded", rule: excludedBy };
+  }
+
+  const allowedBy = rules.find(
+    (rule) => !rule.exclude && matchesDomainRule(normalized, rule)
+  );
+  if (!allowedBy) {
+    return { authorized: false, hostname: normalized, reason: "not_listed", rule: null };
+  }
+
+  return { authorized: true, hostname: normalized, reason: null, rule: allowedBy };
+}
+
+/**
+ * Checks whether a normalized hostname matches a single domain rule
+ * @param {string} hostname - Normalized hostname
+ * @param {Object} rule - Parsed domain rule
+ * @returns {boolean} True if the hostname matches
+ */
+function matchesDomainRule(hostname, rule) {
+  if (rule.subdomains) {
+    // Label boundary check: "a.example.com" matches, "evilexample.com" does not
+    return hostname.endsWith(`.${rule.domain}`);
+  }
+  return hostname === rule.domain;
+}
+
+/**
+ * Normalizes a hostname for comparison (lowercase, no trailing dot, punycode)
+ * @param {string} hostname - Hostname or domain to normalize
+ * @returns {string} Normalized ASCII hostname, or empty string if invalid
+ */
+function normalizeHostname(hostname) {
+  const trimmed = String(hostname || "").trim().toLowerCase().replace(/\.$/, "");
+  if (!trimmed) return "";
+  return domainToASCII(trimmed);
+}
+
 /**
  * Sanitizes input parameters by decoding and validating them
  *
@@ -225,11 +402,13 @@ export function validateAndAuthorizeUrl(url) {
  * @param {string} [queryParams.format] - Response format (json|xml)
  * @param {string} [queryParams.maxwidth] - Maximum width (will be parsed as integer)
  * @param {string} [queryParams.maxheight] - Maximum height (will be parsed as integer)
+ * @param {string} [queryParams.callback] - JSONP callback name (passed through)
  * @returns {Object} Sanitized parameters object
  * @returns {string} [returns.url] - Decoded URL parameter
  * @returns {string} returns.format - Validated format parameter (defaults to 'json')
  * @returns {number|null} [returns.maxwidth] - Parsed maxwidth or null if invalid
  * @returns {number|null} [returns.maxheight] - Parsed maxheight or null if invalid
+ * @returns {string} [returns.callback] - JSONP callback name
  */
 export function sanitizeParams(queryParams) {
   // Initialize sanitized object for efficient memory usage
@@ -264,6 +443,11 @@ export function sanitizeParams(queryParams) {
     sanitized.maxheight = safeParseInteger(params.maxheight);
   }
 
+  // Phase 4: JSONP callback (validated by validateOembedParams)
+  if (params.callback !== undefined) {
+    sanitized.callback = params.callback;
+  }
+
   return sanitized;
 }
 
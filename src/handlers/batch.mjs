@@ -0,0 +1,279 @@
+/**
+ * Batch oEmbed route handler
+ *
+ * Handles POST /oembed/batch requests. The JSON body lists up to
+ * BATCH_MAX_ITEMS content URLs, each with optional maxwidth, maxheight and
+ * format. Every item runs through the same validation, metadata retrieval
+ * and response construction pipeline as GET /oembed, with at most
+ * BATCH_CONCURRENCY items in flight, and the per-item results and errors
+ * are returned together in a single JSON body.
+ *
+ * Request body:
+ *   { "maxwidth": 600, "items": ["https://...", { "url": "https://...", "format": "xml" }] }
+ * Top-level maxwidth, maxheight and format apply to items that omit them.
+ *
+ * Response body:
+ *   { "results": [{ "index": 0, "url": "...", "status": 200, "format": "json", "data": {...} }, ...] }
+ * XML items carry the XML document in "body" instead of "data"; failed
+ * items carry "error" with the code and message GET /oembed would return.
+ *
+ * The route is dispatched from the main oEmbed handler.
+ *
+ * @module handlers/batch
+ */
+
+import {
+  formatJsonDocumentResponse,
+  formatErrorResponse,
+  generateXmlBody,
+} from "../core/formatter.mjs";
+import { resolveOembedRequest } from "../core/pipeline.mjs";
+import { getConfigValue } from "../config/environment.mjs";
+import { mapWithConcurrency } from "../utils/helpers.mjs";
+import {
+  logRequestStart,
+  logRequestEnd,
+  logError,
+} from "../utils/logger.mjs";
+import { addXRayAnnotations } from "../utils/xray.mjs";
+import {
+  HTTP_STATUS,
+  ERROR_CODES,
+  ERROR_MESSAGES,
+  BATCH,
+  ENV_VARS,
+} from "../utils/constants.mjs";
+
+// Per-item parameters accepted from the body; callback is not supported
+// because batch results are always returned in a JSON envelope
+const ITEM_PARAMS = Object.freeze(["url", "maxwidth", "maxheight", "format"]);
+
+/**
+ * Handles a batch oEmbed request
+ *
+ * @param {Object} event - API Gateway event object
+ * @param {string} event.body - JSON request body
+ * @param {boolean} [event.isBase64Encoded] - Whether the body is base64 encoded
+ * @param {string} correlationId - Request correlation ID
+ * @param {Object} [options={}] - Route options
+ * @param {number|null} [options.deadline] - Request deadline shared by all items
+ * @returns {Promise<Object>} HTTP response with per-item results
+ */
+export async function handleBatchRequest(event, correlationId, options = {}) {
+  const startTime = logRequestStart("batch", {}, correlationId);
+
+  try {
+    const parsed = parseBatchBody(event);
+
+    if (!parsed.isValid) {
+      const statusCode =
+        parsed.code === ERROR_CODES.BATCH_LIMIT_EXCEEDED
+          ? HTTP_STATUS.PAYLOAD_TOO_LARGE
+          : HTTP_STATUS.BAD_REQUEST;
+
+      logRequestEnd(startTime, statusCode, correlationId);
+      return formatErrorResponse(
+        statusCode,
+        parsed.error,
+        "json",
+        parsed.code,
+        parsed.details
+      );
+    }
+
+    const concurrency = getConfigValue(
+      ENV_VARS.BATCH_CONCURRENCY,
+      BATCH.DEFAULT_CONCURRENCY,
+      "number"
+    );
+
+    addXRayAnnotations({
+      route: "batch",
+      batchSize: parsed.items.length,
+      batchConcurrency: concurrency,
+    });
+
+    const results = await mapWithConcurrency(
+      parsed.items,
+      concurrency,
+      (item, index) =>
+        resolveBatchItem(item, index, correlationId, options.deadline)
+    );
+
+    addXRayAnnotations({
+      batchFailures: results.filter((result) => result.error).length,
+    });
+
+    // Batch results are specific to the request body and must not be cached
+    const response = formatJsonDocumentResponse(
+      { results },
+      { headers: { "Cache-Control": "no-store" } }
+    );
+
+    logRequestEnd(startTime, HTTP_STATUS.OK, correlationId);
+    return response;
+  } catch (error) {
+    logError(
+      "BATCH_ERROR",
+      "Unhandled error in batch handler",
+      error,
+      correlationId
+    );
+
+    logRequestEnd(startTime, HTTP_STATUS.INTERNAL_SERVER_ERROR, correlationId);
+    return formatErrorResponse(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Internal server error",
+      "json",
+      ERROR_CODES.INTERNAL_ERROR
+    );
+  }
+}
+
+/**
+ * Parses and validates the batch request body
+ *
+ * @param {Object} event - API Gateway event object
+ * @returns {Object} Parse result
+ * @returns {boolean} returns.isValid - Whether the body is a valid batch request
+ * @returns {Array<Object>} [returns.items] - Per-item query parameters (if valid)
+ * @returns {string} [returns.error] - Error message (if invalid)
+ * @returns {string} [returns.code] - Error code (if invalid)
+ * @returns {string} [returns.details] - Additional error details (if invalid)
+ */
+export function parseBatchBody(event) {
+  const invalid = (code, details) => ({
+    isValid: false,
+    error: ERROR_MESSAGES[code],
+    code,
+    details,
+  });
+
+  const decoded = event.isBase64Encoded
+    ? Buffer.from(event.body || "", "base64")
+    : null;
+  const size = decoded ? decoded.length : Buffer.byteLength(event.body || "");
+
+  // Size check before parsing to bound memory and CPU usage
+  if (size > BATCH.MAX_BODY_LENGTH) {
+    return invalid(
+      ERROR_CODES.BATCH_LIMIT_EXCEEDED,
+      `Request body exceeds ${BATCH.MAX_BODY_LENGTH} bytes`
+    );
+  }
+
+  const raw = decoded ? decoded.toString("utf8") : event.body || "";
+
+  let body;
+  try {
+    body = JSON.parse(raw);
+  } catch {
+    return invalid(ERROR_CODES.INVALID_BATCH_REQUEST, "Body is not valid JSON");
+  }
+
+  if (!body || !Array.isArray(body.items) || body.items.length === 0) {
+    return invalid(ERROR_CODES.INVALID_BATCH_REQUEST);
+  }
+
+  const maxItems = getConfigValue(
+    ENV_VARS.BATCH_MAX_ITEMS,
+    BATCH.DEFAULT_MAX_ITEMS,
+    "number"
+  );
+  if (body.items.length > maxItems) {
+    return invalid(
+      ERROR_CODES.BATCH_LIMIT_EXCEEDED,
+      `A batch may contain at most ${maxItems} items`
+    );
+  }
+
+  const items = body.items.map((item) =>
+    toQueryParams(typeof item === "string" ? { url: item } : item, body)
+  );
+
+  return { isValid: true, items };
+}
+
+/**
+ * Converts a batch item into oEmbed query parameters
+ *
+ * Values are stringified so items go through the same validation as query
+ * string parameters; top-level values fill in omitted per-item values.
+ *
+ * @param {Object} item - Batch item
+ * @param {Object} defaults - Top-level request body
+ * @returns {Object} Query parameters for resolveOembedRequest
+ */
+function toQueryParams(item, defaults) {
+  const params = {};
+  const source = item && typeof item === "object" ? item : {};
+
+  for (const name of ITEM_PARAMS) {
+    const value =
+      source[name] !== undefined && source[name] !== null
+        ? source[name]
+        : name === "url"
+          ? undefined
+          : defaults[name];
+
+    if (value !== undefined && value !== null && typeof value !== "object") {
+      params[name] = String(value);
+    }
+  }
+
+  return params;
+}
+
+/**
+ * Resolves a single batch item into its result entry
+ *
+ * @param {Object} queryParams - Item query parameters
+ * @param {number} index - Item position in the request
+ * @param {string} correlationId - Request correlation ID
+ * @param {number|null} [deadline] - Request deadline in epoch milliseconds
+ * @returns {Promise<Object>} Result entry with status and data, body or error
+ */
+async function resolveBatchItem(queryParams, index, correlationId, deadline) {
+  const entry = { index, url: queryParams.url || null };
+
+  try {
+    const result = await resolveOembedRequest(queryParams, correlationId, {
+      deadline,
+    });
+
+    if (!result.success) {
+      return {
+        ...entry,
+        status: result.statusCode,
+        error: {
+          code: result.error.code,
+          message: result.error.message,
+          ...(result.error.details ? { details: result.error.details } : {}),
+        },
+      };
+    }
+
+    const { sanitized, oembedResponse } = result;
+    const success = { ...entry, status: HTTP_STATUS.OK, format: sanitized.format };
+    return sanitized.format === "xml"
+      ? { ...success, body: generateXmlBody(oembedResponse) }
+      : { ...success, data: oembedResponse };
+  } catch (error) {
+    // Unexpected errors fail the item, not the batch
+    logError(
+      "BATCH_ITEM_ERROR",
+      "Unhandled error resolving batch item",
+      error,
+      correlationId
+    );
+
+    return {
+      ...entry,
+      status: HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      error: {
+        code: ERROR_CODES.INTERNAL_ERROR,
+        message: ERROR_MESSAGES[ERROR_CODES.INTERNAL_ERROR],
+      },
+    };
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * oEmbed discovery route handler
+ *
+ * Handles GET /oembed/discovery requests. Given a content page URL, it
+ * returns the oEmbed discovery <link> tags for that page as JSON and sets
+ * the equivalent HTTP Link header, so site teams can fetch the exact tags
+ * the provider accepts instead of building them by hand.
+ *
+ * The route is dispatched from the main oEmbed handler and shares its URL
+ * validation and domain authorization rules.
+ *
+ * @module handlers/discovery
+ */
+
+import { formatJsonDocumentResponse, formatErrorResponse } from "../core/formatter.mjs";
+import {
+  buildDiscoveryLinks,
+  getOembedEndpointUrl,
+} from "../oembed/discovery.mjs";
+import { sanitizeText } from "../utils/security.mjs";
+import {
+  logRequestStart,
+  logRequestEnd,
+  logError,
+} from "../utils/logger.mjs";
+import { addXRayAnnotations } from "../utils/xray.mjs";
+import {
+  HTTP_STATUS,
+  ERROR_CODES,
+  ERROR_MESSAGES,
+  CACHE_CONTROL,
+} from "../utils/constants.mjs";
+
+// Status codes for discovery validation failures, aligned with the oEmbed route
+const DISCOVERY_STATUS_MAP = Object.freeze({
+  [ERROR_CODES.MISSING_URL]: HTTP_STATUS.BAD_REQUEST,
+  [ERROR_CODES.INVALID_URL]: HTTP_STATUS.BAD_REQUEST,
+  [ERROR_CODES.MALFORMED_URL]: HTTP_STATUS.BAD_REQUEST,
+  [ERROR_CODES.UNAUTHORIZED_DOMAIN]: HTTP_STATUS.NOT_FOUND,
+  [ERROR_CODES.MISSING_PROVIDER_DOMAIN]: HTTP_STATUS.INTERNAL_SERVER_ERROR,
+});
+
+/**
+ * Handles an oEmbed discovery request
+ *
+ * @param {Object} event - API Gateway event object
+ * @param {Object} event.queryStringParameters - URL query parameters
+ * @param {string} event.queryStringParameters.url - Content page URL (required)
+ * @param {string} [event.queryStringParameters.title] - Optional link title
+ * @param {Object} [event.requestContext] - API Gateway request context
+ * @param {string} correlationId - Request correlation ID
+ * @returns {Promise<Object>} HTTP response with discovery links and Link header
+ */
+export async function handleDiscoveryRequest(event, correlationId) {
+  const queryParams = event.queryStringParameters || {};
+  const startTime = logRequestStart(
+    queryParams.url || "unknown",
+    queryParams,
+    correlationId
+  );
+
+  try {
+    addXRayAnnotations({ route: "discovery", url: queryParams.url || "unknown" });
+
+    if (!queryParams.url) {
+      logRequestEnd(startTime, HTTP_STATUS.BAD_REQUEST, correlationId);
+      return formatErrorResponse(
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_MESSAGES[ERROR_CODES.MISSING_URL],
+        "json",
+        ERROR_CODES.MISSING_URL
+      );
+    }
+
+    const discovery = buildDiscoveryLinks(queryParams.url.trim(), {
+      title: queryParams.title ? sanitizeText(queryParams.title) : undefined,
+      endpointUrl: getOembedEndpointUrl(event.requestContext),
+      correlationId,
+    });
+
+    if (!discovery.isValid) {
+      addXRayAnnotations({ urlValidationError: discovery.code });
+
+      const statusCode =
+        DISCOVERY_STATUS_MAP[discovery.code] ||
+        HTTP_STATUS.INTERNAL_SERVER_ERROR;
+      logRequestEnd(startTime, statusCode, correlationId);
+      return formatErrorResponse(
+        statusCode,
+        discovery.error,
+        "json",
+        discovery.code,
+        discovery.details
+      );
+    }
+
+    const response = formatJsonDocumentResponse(
+      {
+        url: discovery.url,
+        links: discovery.links,
+        html: discovery.html,
+      },
+      {
+        cacheAge: CACHE_CONTROL.DEFAULT_MAX_AGE,
+        headers: { Link: discovery.linkHeader },
+      }
+    );
+
+    logRequestEnd(startTime, HTTP_STATUS.OK, correlationId);
+    return response;
+  } catch (error) {
+    logError(
+      "DISCOVERY_ERROR",
+      "Unhandled error in discovery handler",
+      error,
+      correlationId
+    );
+
+    logRequestEnd(startTime, HTTP_STATUS.INTERNAL_SERVER_ERROR, correlationId);
+    return formatErrorResponse(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Internal server error",
+      "json",
+      ERROR_CODES.INTERNAL_ERROR
+    );
+  }
+}
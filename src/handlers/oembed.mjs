@@ -8,53 +8,59 @@
  *
  * Performance optimizations:
  * - Imports are cached at module level for cold start efficiency
- * - Error status mapping is pre-computed and cached
  * - Early returns minimize processing overhead
  * - Memory-efficient object destructuring and reuse
  *
  * @module handlers/oembed
  */
 
-import {
-  validateOembedParams,
-  validateAndAuthorizeUrl,
-  sanitizeParams,
-} from "../core/validator.mjs";
 import { formatResponse, formatErrorResponse } from "../core/formatter.mjs";
-import { createTypeSpecificResponse } from "../oembed/response-builder.mjs";
-import { getContentMetadata } from "../integration/getContentMetadata.mjs";
+import { negotiateFormat } from "../core/negotiation.mjs";
+import { getNotModifiedResponse } from "../core/conditional.mjs";
+import { resolveOembedRequest } from "../core/pipeline.mjs";
+import { handleDiscoveryRequest } from "./discovery.mjs";
+import { handleProvidersRequest } from "./providers.mjs";
+import { handleBatchRequest } from "./batch.mjs";
 import {
   logRequestStart,
   logRequestEnd,
-  logValidationErrors,
   logError,
   logBusinessMetrics,
-  logPerformanceMetrics,
-  logBackendIntegration,
   generateCorrelationId,
 } from "../utils/logger.mjs";
-import {
-  traceBackendIntegration,
-  traceResponseConstruction,
-  traceValidation,
-  addXRayAnnotations,
-  addXRayMetadata,
-} from "../utils/xray.mjs";
+import { addXRayAnnotations, addXRayMetadata } from "../utils/xray.mjs";
+import { getRequestDeadline } from "../utils/deadline.mjs";
 import { HTTP_STATUS, ERROR_CODES } from "../utils/constants.mjs";
 
-// Pre-computed error status mapping for performance optimization
-// This avoids function calls during request processing
-const ERROR_STATUS_MAP = Object.freeze({
-  [ERROR_CODES.MISSING_URL]: HTTP_STATUS.BAD_REQUEST,
-  [ERROR_CODES.INVALID_URL]: HTTP_STATUS.BAD_REQUEST,
-  [ERROR_CODES.MALFORMED_URL]: HTTP_STATUS.BAD_REQUEST,
-  [ERROR_CODES.INVALID_FORMAT]: HTTP_STATUS.NOT_IMPLEMENTED,
-  [ERROR_CODES.INVALID_MAXWIDTH]: HTTP_STATUS.BAD_REQUEST,
-  [ERROR_CODES.INVALID_MAXHEIGHT]: HTTP_STATUS.BAD_REQUEST,
-  [ERROR_CODES.UNAUTHORIZED_DOMAIN]: HTTP_STATUS.NOT_FOUND,
-  [ERROR_CODES.CONTENT_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
-  [ERROR_CODES.MISSING_PROVIDER_DOMAIN]: HTTP_STATUS.INTERNAL_SERVER_ERROR,
-});
+// Auxiliary routes served by this function, matched by path suffix so they
+// work behind both the default stage path and a custom domain mapping
+const ROUTES = Object.freeze([
+  { method: "GET", suffix: "/oembed/discovery", handle: handleDiscoveryRequest },
+  { method: "GET", suffix: "/providers.json", handle: handleProvidersRequest },
+  { method: "POST", suffix: "/oembed/batch", handle: handleBatchRequest },
+]);
+
+/**
+ * Finds the auxiliary route for an API Gateway event
+ * @param {Object} event - API Gateway event (REST or HTTP API payload)
+ * @returns {Object|null} Matching route or null for the oEmbed endpoint
+ */
+function findRoute(event) {
+  const path = event.path || event.rawPath || event.resource || "";
+  const method = (
+    event.httpMethod ||
+    event.requestContext?.http?.method ||
+    "GET"
+  ).toUpperCase();
+  const normalizedPath =
+    path.length > 1 && path.endsWith("/") ? path.slice(0, -1) : path;
+
+  return (
+    ROUTES.find(
+      (route) => route.method === method && normalizedPath.endsWith(route.suffix)
+    ) || null
+  );
+}
 
 /**
  * Main Lambda handler function
@@ -65,20 +71,46 @@ const ERROR_STATUS_MAP = Object.freeze({
  * - Memory-conscious object handling and reuse
  * - Comprehensive logging for observability
  *
+ * Requests for auxiliary routes (GET /oembed/discovery, GET /providers.json,
+ * POST /oembed/batch) are dispatched to their route handlers before oEmbed
+ * processing starts.
+ *
  * @param {Object} event - API Gateway event object containing query parameters
+ * @param {string} [event.path] - Request path, used for route dispatch and
+ *   format suffixes (/oembed.json, /oembed.xml)
+ * @param {Object} [event.headers] - Request headers; Accept selects the format
+ *   when neither a path suffix nor the format parameter is given, and
+ *   If-None-Match/If-Modified-Since turn matching requests into 304 responses
  * @param {Object} event.queryStringParameters - URL query parameters
  * @param {string} event.queryStringParameters.url - Content URL (required)
  * @param {string} [event.queryStringParameters.format] - Response format (json|xml)
  * @param {string} [event.queryStringParameters.maxwidth] - Maximum width constraint
  * @param {string} [event.queryStringParameters.maxheight] - Maximum height constraint
+ * @param {string} [event.queryStringParameters.callback] - JSONP callback (json format only)
+ * @param {Object} [context] - Lambda context; its remaining time sets the
+ *   deadline for backend lookups, which answer with 504 once it passes
  * @returns {Promise<Object>} HTTP response object with statusCode, headers, and body
  */
-export const handler = async (event) => {
+export const handler = async (event, context) => {
   // Generate correlation ID for request tracking across all logs
   const correlationId = generateCorrelationId();
 
-  // Extract query parameters once for efficiency
-  const queryParams = event.queryStringParameters || {};
+  // Leave time to build a response before Lambda times out
+  const deadline = getRequestDeadline(context);
+
+  // Dispatch auxiliary routes before oEmbed processing
+  const route = findRoute(event);
+  if (route) {
+    return route.handle(event, correlationId, { deadline });
+  }
+
+  // Resolve the response format from path suffix, format param and Accept
+  // header, then validate it together with the other query parameters
+  const negotiation = negotiateFormat(event);
+  const queryParams = {
+    ...(event.queryStringParameters || {}),
+    format: negotiation.format,
+  };
 
   // Start performance timing and logging
   const startTime = logRequestStart(
@@ -91,137 +123,51 @@ export const handler = async (event) => {
     // Add X-Ray annotations for request tracking
     addXRayAnnotations({
       url: queryParams.url || "unknown",
-      format: queryParams.format || "json",
+      format: queryParams.format,
+      formatSource: negotiation.source,
       hasMaxWidth: !!queryParams.maxwidth,
       hasMaxHeight: !!queryParams.maxheight,
     });
 
-    // Phase 1: Input sanitization and validation with X-Ray tracing
-    const { sanitized, validation } = await traceValidation(
-      "params",
-      async () => {
-        const sanitized = sanitizeParams(queryParams);
-        const validation = validateOembedParams(queryParams);
-        return { sanitized, validation };
-      },
-      { paramCount: Object.keys(queryParams).length },
-      correlationId
-    );
-
-    // Early return for validation failures to minimize processing
-    if (!validation.isValid) {
-      logValidationErrors(validation.errors, correlationId);
-      const firstError = validation.errors[0];
-
-      // Add X-Ray annotation for validation failure
-      addXRayAnnotations({ validationError: firstError.code });
+    // Phases 1-4: validation, authorization, metadata retrieval and
+    // response construction
+    const result = await resolveOembedRequest(queryParams, correlationId, {
+      deadline,
+    });
 
-      // Use pre-computed status mapping for performance
-      const statusCode =
-        ERROR_STATUS_MAP[firstError.code] || HTTP_STATUS.INTERNAL_SERVER_ERROR;
+    // Early return for expected failures with their mapped status code
+    if (!result.success) {
+      const { statusCode, error } = result;
       const response = formatErrorResponse(
         statusCode,
-        firstError.message,
-        validation.format,
-        firstError.code
+        error.message,
+        result.format,
+        error.code,
+        error.details
       );
 
       logRequestEnd(startTime, statusCode, correlationId);
       return response;
     }
 
-    // Phase 2: URL validation and domain authorization with X-Ray tracing
-    const urlValidation = await traceValidation(
-      "url",
-      async () => validateAndAuthorizeUrl(sanitized.url),
-      { url: sanitized.url },
-      correlationId
-    );
+    const { sanitized, oembedResponse } = result;
 
-    // Early return for URL validation failures
-    if (!urlValidation.isValid) {
-      // Add X-Ray annotation for URL validation failure
-      addXRayAnnotations({ urlValidationError: urlValidation.code });
-
-      const statusCode =
-        ERROR_STATUS_MAP[urlValidation.code] ||
-        HTTP_STATUS.INTERNAL_SERVER_ERROR;
-      const response = formatErrorResponse(
-        statusCode,
-        urlValidation.error,
-        sanitized.format,
-        urlValidation.code,
-        urlValidation.details
-      );
+    // Phase 5: Response formatting and delivery
+    const response = formatResponse(oembedResponse, sanitized.format, {
+      callback: sanitized.callback,
+      lastModified: result.lastModified,
+      stale: result.stale,
+    });
 
-      logRequestEnd(startTime, statusCode, correlationId);
-      return response;
+    // Answer revalidation requests whose cached copy is still current
+    // with a bodiless 304 instead of the full response
+    const notModified = getNotModifiedResponse(event.headers, response);
+    if (notModified) {
+      addXRayAnnotations({ success: true, notModified: true });
+      logRequestEnd(startTime, HTTP_STATUS.NOT_MODIFIED, correlationId);
+      return notModified;
     }
 
-    // Phase 3: Content metadata retrieval with X-Ray tracing and performance tracking
-    const metadata = await traceBackendIntegration(
-      sanitized.url,
-      async () => {
-        const backendStartTime = Date.now();
-        let backendSuccess = true;
-        let backendError = null;
-
-        try {
-          const result = await getContentMetadata(
-            sanitized.url,
-            sanitized.maxwidth,
-            sanitized.maxheight
-          );
-          return result;
-        } catch (error) {
-          backendSuccess = false;
-          backendError = error.message;
-          throw error;
-        } finally {
-          const backendDuration = Date.now() - backendStartTime;
-          logBackendIntegration(
-            sanitized.url,
-            backendDuration,
-            backendSuccess,
-            backendError,
-            correlationId
-          );
-        }
-      },
-      correlationId
-    );
-
-    // Phase 4: oEmbed response construction with X-Ray tracing and performance tracking
-    const oembedResponse = await traceResponseConstruction(
-      metadata.type || "unknown",
-      async () => {
-        const responseStartTime = Date.now();
-        const response = await createTypeSpecificResponse(
-          metadata,
-          sanitized.maxwidth,
-          sanitized.maxheight
-        );
-        const responseDuration = Date.now() - responseStartTime;
-
-        logPerformanceMetrics(
-          "response_construction",
-          responseDuration,
-          {
-            contentType: response.type,
-            hasHtml: !!response.html,
-            hasThumbnail: !!response.thumbnail_url,
-          },
-          correlationId
-        );
-
-        return response;
-      },
-      correlationId
-    );
-
-    // Phase 5: Response formatting and delivery
-    const response = formatResponse(oembedResponse, sanitized.format);
-
     // Add X-Ray annotations for successful request
     addXRayAnnotations({
       success: true,
@@ -281,7 +227,7 @@ export const handler = async (event) => {
     const response = formatErrorResponse(
       HTTP_STATUS.INTERNAL_SERVER_ERROR,
       "Internal server error",
-      queryParams.format || "json",
+      queryParams.format,
       ERROR_CODES.INTERNAL_ERROR
     );
 
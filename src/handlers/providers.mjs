@@ -0,0 +1,71 @@
+/**
+ * Provider registry route handler
+ *
+ * Handles GET /providers.json requests by emitting this provider's entry
+ * in the oembed.com registry format, generated from configuration so it
+ * always matches the URLs the oEmbed endpoint accepts.
+ *
+ * The route is dispatched from the main oEmbed handler.
+ *
+ * @module handlers/providers
+ */
+
+import {
+  formatJsonDocumentResponse,
+  formatErrorResponse,
+} from "../core/formatter.mjs";
+import { buildProviderRegistry } from "../oembed/provider-registry.mjs";
+import { getOembedEndpointUrl } from "../oembed/discovery.mjs";
+import {
+  logRequestStart,
+  logRequestEnd,
+  logError,
+} from "../utils/logger.mjs";
+import { addXRayAnnotations } from "../utils/xray.mjs";
+import {
+  HTTP_STATUS,
+  ERROR_CODES,
+  CACHE_CONTROL,
+} from "../utils/constants.mjs";
+
+/**
+ * Handles a providers.json request
+ *
+ * @param {Object} event - API Gateway event object
+ * @param {Object} [event.requestContext] - API Gateway request context
+ * @param {string} correlationId - Request correlation ID
+ * @returns {Promise<Object>} HTTP response with the provider registry document
+ */
+export async function handleProvidersRequest(event, correlationId) {
+  const startTime = logRequestStart("providers.json", {}, correlationId);
+
+  try {
+    addXRayAnnotations({ route: "providers" });
+
+    const registry = buildProviderRegistry({
+      endpointUrl: getOembedEndpointUrl(event.requestContext),
+    });
+
+    const response = formatJsonDocumentResponse(registry, {
+      cacheAge: CACHE_CONTROL.DEFAULT_MAX_AGE,
+    });
+
+    logRequestEnd(startTime, HTTP_STATUS.OK, correlationId);
+    return response;
+  } catch (error) {
+    logError(
+      "PROVIDERS_ERROR",
+      "Unhandled error in providers handler",
+      error,
+      correlationId
+    );
+
+    logRequestEnd(startTime, HTTP_STATUS.INTERNAL_SERVER_ERROR, correlationId);
+    return formatErrorResponse(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Internal server error",
+      "json",
+      ERROR_CODES.INTERNAL_ERROR
+    );
+  }
+}
@@ -0,0 +1,339 @@
+/**
+ * Backend HTTP client module
+ *
+ * This module is the HTTP client resolvers use to call your content API,
+ * built on the SSRF-guarded fetch (utils/safe-fetch.mjs) so every
+ * integration handles timeouts, credentials and errors the same way:
+ * - Endpoint paths are appended to BACKEND_BASE_URL (keeping its path)
+ * - Credentials come from a registered credentials provider (for example
+ *   one reading Secrets Manager), falling back to BACKEND_BEARER_TOKEN and
+ *   BACKEND_API_KEY (sent in BACKEND_API_KEY_HEADER, default X-API-Key)
+ * - Requests time out after BACKEND_TIMEOUT_MS (default 3000) or at the
+ *   request deadline, whichever comes first
+ * - The correlation ID is sent as X-Correlation-ID
+ * - JSON responses are parsed, other responses are returned as text
+ * - Non-2xx statuses and network failures become the typed errors from
+ *   utils/errors.mjs:
+ *
+ *   | Backend response        | Error                                  |
+ *   | ----------------------- | -------------------------------------- |
+ *   | 404                     | ContentNotFoundError                   |
+ *   | 403                     | ContentUnauthorizedError               |
+ *   | 410                     | ContentGoneError                       |
+ *   | 408, 504, timeout       | BackendTimeoutError                    |
+ *   | 429, 5xx, network error | BackendError (retryable)               |
+ *   | 401, other 4xx          | BackendError (not retryable)           |
+ *   | Refused by SSRF guard   | BackendError (not retryable)           |
+ *
+ * Usage in a resolver:
+ * ```javascript
+ * const video = await makeBackendRequest(`/videos/${contentId}`, {
+ *   correlationId,
+ *   deadline: contentParams.deadline,
+ * });
+ * ```
+ *
+ * @module integration/backend-client
+ */
+
+import { getConfigValue } from "../config/environment.mjs";
+import { getRemainingTime } from "../utils/deadline.mjs";
+import { safeFetch } from "../utils/safe-fetch.mjs";
+import {
+  BackendError,
+  BlockedRequestError,
+  BackendTimeoutError,
+  ContentGoneError,
+  ContentNotFoundError,
+  ContentUnauthorizedError,
+  isOembedError,
+} from "../utils/errors.mjs";
+import { logDebug, logWarn } from "../utils/logger.mjs";
+import { BACKEND, ENV_VARS, HTTP_STATUS } from "../utils/constants.mjs";
+
+// Typed errors for backend statuses with a specific meaning
+const STATUS_ERRORS = Object.freeze({
+  [HTTP_STATUS.NOT_FOUND]: ContentNotFoundError,
+  [HTTP_STATUS.FORBIDDEN]: ContentUnauthorizedError,
+  [HTTP_STATUS.GONE]: ContentGoneError,
+  [HTTP_STATUS.REQUEST_TIMEOUT]: BackendTimeoutError,
+  [HTTP_STATUS.GATEWAY_TIMEOUT]: BackendTimeoutError,
+});
+
+let credentialsProvider = getEnvironmentCredentials;
+
+/**
+ * Registers the provider of backend credentials
+ *
+ * The provider is called for every request and should cache secrets itself.
+ * Registering null restores the environment variable provider.
+ *
+ * @param {Function|null} provider - Async function returning
+ *   { bearerToken, apiKey } (either may be omitted)
+ * @throws {Error} When provider is not a function or null
+ */
+export function registerCredentialsProvider(provider) {
+  if (provider !== null && typeof provider !== "function") {
+    throw new Error("Credentials provider must be a function");
+  }
+
+  credentialsProvider = provider || getEnvironmentCredentials;
+}
+
+/**
+ * Makes an HTTP request to your backend API
+ *
+ * @param {string} endpoint - Absolute URL, or path appended to BACKEND_BASE_URL
+ * @param {Object} [options={}] - Request options
+ * @param {string} [options.method="GET"] - HTTP method
+ * @param {Object} [options.headers] - Additional request headers
+ * @param {Object|string} [options.body] - Request body; objects are sent as JSON
+ * @param {number} [options.timeout] - Timeout in milliseconds
+ * @param {number|null} [options.deadline] - Request deadline in epoch milliseconds
+ * @param {string} [options.correlationId] - Correlation ID sent as X-Correlation-ID
+ * @param {boolean} [options.credentials=true] - Whether to send backend
+ *   credentials (disable for URLs that aren't your API, e.g. public pages)
+ * @param {number} [options.maxResponseBytes] - Response body size limit
+ *   (default 1 MB)
+ * @returns {Promise<Object|string|null>} Parsed JSON, text, or null for empty responses
+ * @throws {OembedError} Typed error for non-2xx statuses, timeouts and network failures
+ */
+export async function makeBackendRequest(endpoint, options = {}) {
+  const correlationId = options.correlationId || `req_${Date.now()}`;
+  const method = (options.method || "GET").toUpperCase();
+  const url = resolveEndpoint(endpoint);
+  const timeout = getRequestTimeout(options);
+  const startTime = Date.now();
+
+  if (timeout <= 0) {
+    throw new BackendTimeoutError(undefined, {
+      details: "Request deadline reached before the backend request started",
+    });
+  }
+
+  const authHeaders =
+    options.credentials === false ? {} : await getAuthHeaders();
+  const headers = {
+    Accept: "application/json",
+    "User-Agent": BACKEND.USER_AGENT,
+    "X-Correlation-ID": correlationId,
+    ...authHeaders,
+    ...(options.headers || {}),
+  };
+
+  let body = options.body;
+  if (body !== undefined && typeof body !== "string") {
+    body = JSON.stringify(body);
+    headers["Content-Type"] = "application/json";
+  }
+
+  logDebug(
+    "BACKEND_REQUEST_START",
+    `Making backend request to ${url.pathname}`,
+    { host: url.host, path: url.pathname, method, timeout },
+    correlationId
+  );
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await safeFetch(url, {
+      method,
+      headers,
+      body,
+      signal: controller.signal,
+      maxResponseBytes: options.maxResponseBytes,
+      // Credentials must not follow a redirect to another origin
+      credentialHeaders: Object.keys(authHeaders),
+    });
+
+    if (!response.ok) {
+      // Release the connection, error bodies are not used
+      response.body?.cancel().catch(() => {});
+      throw createStatusError(response);
+    }
+
+    const data = await parseResponseBody(response);
+
+    logDebug(
+      "BACKEND_REQUEST_SUCCESS",
+      "Backend request completed successfully",
+      {
+        host: url.host,
+        path: url.pathname,
+        status: response.status,
+        duration: Date.now() - startTime,
+      },
+      correlationId
+    );
+
+    return data;
+  } catch (error) {
+    const typedError = toTypedError(error, controller.signal.aborted, timeout);
+
+    logWarn(
+      "BACKEND_REQUEST_ERROR",
+      "Backend request failed",
+      {
+        host: url.host,
+        path: url.pathname,
+        method,
+        code: typedError.code,
+        error: typedError.message,
+        duration: Date.now() - startTime,
+      },
+      correlationId
+    );
+
+    throw typedError;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Resolves an endpoint against the configured base URL
+ * @param {string} endpoint - Absolute URL or path
+ * @returns {URL} Request URL
+ * @throws {Error} When the endpoint is relative and no base URL is configured
+ */
+function resolveEndpoint(endpoint) {
+  const baseUrl = getConfigValue(ENV_VARS.BACKEND_BASE_URL, "");
+  const isAbsolute = /^[a-z][a-z0-9+.-]*:\/\//i.test(endpoint);
+
+  try {
+    // Paths are appended to the base URL, keeping any base path (e.g. /v1)
+    return isAbsolute || !baseUrl
+      ? new URL(endpoint)
+      : new URL(`${baseUrl.replace(/\/+$/, "")}/${endpoint.replace(/^\/+/, "")}`);
+  } catch {
+    throw new Error(
+      `Invalid backend endpoint ${endpoint} (set BACKEND_BASE_URL for relative paths)`
+    );
+  }
+}
+
+/**
+ * Gets the timeout for a request, bounded by the request deadline
+ * @param {Object} options - Request options
+ * @returns {number} Timeout in milliseconds (non-positive once the deadline passed)
+ */
+function getRequestTimeout(options) {
+  const timeout =
+    options.timeout ||
+    getConfigValue(ENV_VARS.BACKEND_TIMEOUT_MS, BACKEND.DEFAULT_TIMEOUT_MS, "number");
+
+  return Math.min(timeout, getRemainingTime(options.deadline));
+}
+
+/**
+ * Builds authentication headers from the credentials provider
+ * @returns {Promise<Object>} Authorization and/or API key headers
+ */
+async function getAuthHeaders() {
+  const { bearerToken, apiKey } = (await credentialsProvider()) || {};
+  const headers = {};
+
+  if (bearerToken) {
+    headers.Authorization = `Bearer ${bearerToken}`;
+  }
+  if (apiKey) {
+    const headerName = getConfigValue(
+      ENV_VARS.BACKEND_API_KEY_HEADER,
+      BACKEND.DEFAULT_API_KEY_HEADER
+    );
+    headers[headerName] = apiKey;
+  }
+
+  return headers;
+}
+
+/**
+ * Default credentials provider reading environment variables
+ * @returns {Promise<Object>} Bearer token and API key
+ */
+async function getEnvironmentCredentials() {
+  return {
+    bearerToken: getConfigValue(ENV_VARS.BACKEND_BEARER_TOKEN, ""),
+    apiKey: getConfigValue(ENV_VARS.BACKEND_API_KEY, ""),
+  };
+}
+
+/**
+ * Parses a successful response body
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Object|string|null>} Parsed JSON, text, or null when empty
+ * @throws {BackendError} When a JSON response can't be parsed
+ */
+async function parseResponseBody(response) {
+  const text = await response.text();
+  if (!text) return null;
+
+  const contentType = response.headers.get("content-type") || "";
+  if (!/[/+]json\b/i.test(contentType)) return text;
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new BackendError("Backend returned invalid JSON", {
+      cause: error,
+      retryable: false,
+    });
+  }
+}
+
+/**
+ * Creates the typed error for a non-2xx backend response
+ * @param {Response} response - Fetch response
+ * @returns {OembedError} Typed error
+ */
+function createStatusError(response) {
+  const { status } = response;
+  const details = `Backend responded with HTTP ${status}`;
+  const ErrorClass = STATUS_ERRORS[status];
+
+  if (ErrorClass) {
+    return new ErrorClass(undefined, { details });
+  }
+
+  // Rate limiting and server errors may succeed on retry, other client
+  // errors (including rejected credentials) won't
+  const retryable =
+    status === HTTP_STATUS.TOO_MANY_REQUESTS ||
+    status >= HTTP_STATUS.INTERNAL_SERVER_ERROR;
+
+  return new BackendError(undefined, { details, retryable });
+}
+
+/**
+ * Converts a failure into a typed error
+ * @param {Error} error - Failure from fetch or response handling
+ * @param {boolean} aborted - Whether the request was aborted by the timeout
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {OembedError} Typed error
+ */
+function toTypedError(error, aborted, timeout) {
+  if (isOembedError(error)) return error;
+
+  // Refused URLs, addresses and oversized responses won't change on retry
+  if (error instanceof BlockedRequestError) {
+    return new BackendError(undefined, {
+      details: error.message,
+      cause: error,
+      retryable: false,
+    });
+  }
+
+  if (aborted) {
+    return new BackendTimeoutError(undefined, {
+      details: `Backend did not respond within ${timeout}ms`,
+      cause: error,
+    });
+  }
+
+  return new BackendError(undefined, {
+    details: error.message,
+    cause: error,
+  });
+}
@@ -8,7 +8,7 @@
  *
  * QUICK START INTEGRATION:
  * 1. Customize fetchContentFromBackend() to connect to your backend API/database
- * 2. Update URL patterns in enhancedUrlPatternMatcher() for your URL structure
+ * 2. Describe your URL structure in src/config/url-schemes.mjs (or URL_SCHEMES)
  * 3. Configure environment variables: PROVIDER_NAME, PROVIDER_URL, PROVIDER_DOMAIN
  * 4. Test with your content URLs using SAM local or the test suite
  *
@@ -33,10 +33,11 @@
  * - link: Article/post content with metadata
  *
  * FEATURES:
- * - Advanced URL pattern matching with confidence scoring
- * - Automatic content type detection
+ * - Declarative URL scheme registry shared with the request parser
+ * - Named resolvers selected per URL scheme, alone or as a fallback chain
  * - Comprehensive metadata validation and sanitization
  * - Built-in error handling and logging
+ * - Per-resolver circuit breakers that fail fast while a backend is down
  * - Test data support for development
  * - Security-focused HTML sanitization
  *
@@ -48,10 +49,69 @@
  */
 
 import { parseContentUrl, extractContentParams } from "../core/parser.mjs";
-import { logContentMetadata, logError, logInfo } from "../utils/logger.mjs";
-import { CONTENT_TYPES, DEFAULT_CACHE_AGES } from "../utils/constants.mjs";
-import { retryWithBackoff } from "../utils/helpers.mjs";
+import { matchUrlScheme } from "../core/scheme-registry.mjs";
+import {
+  logBackendIntegration,
+  logContentMetadata,
+  logError,
+  logInfo,
+} from "../utils/logger.mjs";
+import { CIRCUIT_BREAKER, ENV_VARS } from "../utils/constants.mjs";
+import { getConfigValue } from "../config/environment.mjs";
+import {
+  canonicalizeUrl,
+  retryWithBackoff,
+  deepClone,
+} from "../utils/helpers.mjs";
 import { sanitizeText } from "../utils/security.mjs";
+import { createSingleFlight } from "../utils/single-flight.mjs";
+import {
+  createCircuitBreaker,
+  CIRCUIT_STATES,
+} from "../utils/circuit-breaker.mjs";
+import { addXRayAnnotations } from "../utils/xray.mjs";
+import {
+  ContentNotFoundError,
+  ContentUnauthorizedError,
+  ContentGoneError,
+  BackendError,
+  BackendTimeoutError,
+  isOembedError,
+  isRetryableError,
+} from "../utils/errors.mjs";
+import { getRemainingTime, runWithDeadline } from "../utils/deadline.mjs";
+import { createEmptyMetadata } from "./transform.mjs";
+import { resolveChain } from "./resolver-chain.mjs";
+import { fetchDynamoDbMetadata } from "./resolvers/dynamodb.mjs";
+import { fetchManifestMetadata } from "./resolvers/manifest.mjs";
+import { fetchOpenGraphMetadata } from "./resolvers/opengraph.mjs";
+import { fetchJsonLdMetadata } from "./resolvers/jsonld.mjs";
+
+// HTTP client and data mapping for resolvers, re-exported as part of the
+// integration interface
+export { makeBackendRequest } from "./backend-client.mjs";
+export {
+  transformBackendData,
+  validateAndSanitizeMetadata,
+} from "./transform.mjs";
+
+// Concurrent lookups of the same content share one in-flight backend call
+const backendFlights = createSingleFlight({ onSettle: logCoalescingStats });
+
+// Circuit breakers by resolver name, created on first use
+const backendBreakers = new Map();
+
+// Metadata resolvers addressable by name from URL scheme registry entries
+const RESOLVERS = {
+  video: fetchVideoMetadata,
+  photo: fetchPhotoMetadata,
+  rich: fetchRichContentMetadata,
+  link: fetchLinkMetadata,
+  dynamodb: fetchDynamoDbMetadata,
+  manifest: fetchManifestMetadata,
+  opengraph: fetchOpenGraphMetadata,
+  jsonld: fetchJsonLdMetadata,
+};
 
 /**
  * Gets metadata for oEmbed request - MAIN CUSTOMIZATION POINT
@@ -63,9 +123,21 @@ import { sanitizeText } from "../utils/security.mjs";
  * @param {string} url - The URL to retrieve embedding information for (required)
  * @param {number} [maxwidth] - The maximum width of the embedded resource
  * @param {number} [maxheight] - The maximum height of the embedded resource
+ * @param {Object} [options={}] - Lookup options
+ * @param {number|null} [options.deadline] - Request deadline in epoch
+ *   milliseconds (see utils/deadline.mjs), passed to resolvers as
+ *   contentParams.deadline
  * @returns {Promise<Object>} The oEmbed metadata response
+ * @throws {OembedError} When a resolver reports missing, private, removed or
+ *   unavailable content (see utils/errors.mjs), or the deadline passes
+ *   (BackendTimeoutError); other errors degrade to a placeholder link response
  */
-export async function getContentMetadata(url, maxwidth, maxheight) {
+export async function getContentMetadata(
+  url,
+  maxwidth,
+  maxheight,
+  options = {}
+) {
   const correlationId = `meta_${Date.now()}`;
 
   try {
@@ -87,7 +159,10 @@ export async function getContentMetadata(url, maxwidth, maxheight) {
     }
 
     // Extract parameters for content retrieval
-    const contentParams = extractContentParams(parsedUrl, maxwidth, maxheight);
+    const contentParams = {
+      ...extractContentParams(parsedUrl, maxwidth, maxheight),
+      deadline: options.deadline ?? null,
+    };
 
     // Log content metadata extraction
     logContentMetadata(
@@ -103,13 +178,18 @@ export async function getContentMetadata(url, maxwidth, maxheight) {
     }
 
     // CUSTOMIZATION POINT: Replace this with your actual backend integration
-    const metadata = await fetchContentFromBackendWithRetry(
+    const metadata = await fetchContentFromBackendCoalesced(
       contentParams,
       correlationId
     );
 
     return metadata;
   } catch (error) {
+    // Typed errors carry an oEmbed status for the handler, pass them through
+    if (isOembedError(error)) {
+      throw error;
+    }
+
     logError(
       "CONTENT_METADATA_ERROR",
       "Error retrieving content metadata",
@@ -120,63 +200,309 @@ export async function getContentMetadata(url, maxwidth, maxheight) {
   }
 }
 
+/**
+ * Fetches content metadata, sharing in-flight lookups of the same content
+ *
+ * Requests for the same content that arrive while a backend call is in
+ * flight (typically right after a popular item's cache entry expires) wait
+ * for that call instead of starting their own. Lookups are keyed by content
+ * type, resolver (or resolver chain), canonical URL and maxwidth/maxheight
+ * (as the metadata cache is), so the same content ID on another host or
+ * path, or at other dimensions, is looked up separately. Every caller still
+ * gives up at its own deadline (BackendTimeoutError) while waiting.
+ *
+ * @param {Object} contentParams - Parsed content parameters
+ * @param {string} correlationId - Request correlation ID for logging
+ * @returns {Promise<Object>} Content metadata object (a copy for each caller)
+ */
+async function fetchContentFromBackendCoalesced(contentParams, correlationId) {
+  const { contentType, resolver, url, maxwidth, maxheight, deadline } =
+    contentParams;
+  const resolvers = [].concat(resolver || contentType).join(">");
+  const size = `w=${maxwidth || ""}|h=${maxheight || ""}`;
+
+  const metadata = await runWithDeadline(
+    () =>
+      backendFlights.run(
+        `${contentType}:${resolvers}:${canonicalizeUrl(url)}|${size}`,
+        () => fetchContentFromResolvers(contentParams, correlationId)
+      ),
+    deadline,
+    () =>
+      new BackendTimeoutError(undefined, {
+        details: "Request deadline reached while waiting for the backend",
+      })
+  );
+
+  // Callers may modify their metadata, so each one gets its own copy
+  return deepClone(metadata);
+}
+
+/**
+ * Logs request coalescing statistics when a shared backend call settles
+ * @param {string} key - Coalescing key
+ * @param {Object} flight - Settled flight
+ * @param {number} flight.followers - Callers that joined the in-flight call
+ * @param {boolean} flight.success - Whether the backend call succeeded
+ */
+function logCoalescingStats(key, { followers, success }) {
+  if (followers === 0) return;
+
+  logInfo("BACKEND_COALESCED", "Concurrent backend lookups shared one call", {
+    key,
+    sharedBy: followers + 1,
+    success,
+    ...backendFlights.getStats(),
+  });
+}
+
+/**
+ * Fetches content metadata from the resolver or resolver chain of a lookup
+ *
+ * URL scheme entries naming a list of resolvers run them as a fallback
+ * chain (see resolver-chain.mjs). Each step gets its own retries and
+ * circuit breaker, and all steps share the request deadline.
+ *
+ * @param {Object} contentParams - Parsed content parameters
+ * @param {string} correlationId - Request correlation ID for logging
+ * @returns {Promise<Object>} Content metadata object
+ */
+async function fetchContentFromResolvers(contentParams, correlationId) {
+  const { resolver, url } = contentParams;
+
+  if (!Array.isArray(resolver)) {
+    return fetchContentFromBackendWithRetry(contentParams, correlationId);
+  }
+
+  // Steps share contentParams, so page resolvers share the page download
+  return resolveChain(
+    resolver,
+    (name) =>
+      fetchContentFromBackendWithRetry(contentParams, correlationId, name),
+    { url, correlationId }
+  );
+}
+
 /**
  * Fetches content metadata from your backend system with retry logic
  *
  * This wrapper function adds retry capabilities with exponential backoff
- * for improved reliability when calling backend services.
+ * for improved reliability when calling backend services. Typed errors
+ * that are not retryable fail immediately.
+ *
+ * With a request deadline (contentParams.deadline), an attempt still
+ * running at the deadline and a retry that couldn't finish before it both
+ * fail with BackendTimeoutError.
  *
  * @param {Object} contentParams - Parsed content parameters
  * @param {string} correlationId - Request correlation ID for logging
+ * @param {string} [resolverName] - Resolver to use (defaults to the lookup's)
  * @returns {Promise<Object>} Content metadata object
  */
-async function fetchContentFromBackendWithRetry(contentParams, correlationId) {
-  return await retryWithBackoff(
-    () => fetchContentFromBackend(contentParams, correlationId),
-    {
-      maxRetries: 2,
-      baseDelay: 100,
-      maxDelay: 1000,
-      backoffFactor: 2,
-      jitter: true,
-    }
+async function fetchContentFromBackendWithRetry(
+  contentParams,
+  correlationId,
+  resolverName = getResolverName(contentParams)
+) {
+  const { deadline } = contentParams;
+  const deadlineError = (cause) =>
+    new BackendTimeoutError(undefined, {
+      details: "Request deadline reached before the backend responded",
+      cause,
+    });
+
+  const fetchWithRetry = () =>
+    retryWithBackoff(
+      () =>
+        runWithDeadline(
+          () =>
+            fetchContentFromBackend(contentParams, correlationId, resolverName),
+          deadline,
+          deadlineError
+        ),
+      {
+        maxRetries: 2,
+        baseDelay: 100,
+        maxDelay: 1000,
+        backoffFactor: 2,
+        jitter: true,
+        // Missing, private and removed content won't change on retry
+        shouldRetry: isRetryableError,
+        // Give up in time to answer with a 504 instead of timing out
+        deadline,
+        onDeadline: deadlineError,
+      }
+    );
+
+  const breaker = getBackendBreaker(resolverName);
+  if (!breaker) {
+    return await fetchWithRetry();
+  }
+
+  return await breaker.execute(fetchWithRetry, {
+    url: contentParams.url,
+    correlationId,
+    deadline,
+  });
+}
+
+/**
+ * Gets the circuit breaker for a resolver
+ *
+ * Each resolver (and so each backend) has its own breaker, so one failing
+ * backend doesn't block content served by the others. A lookup counts as a
+ * failure when it fails with a retryable error after its retries; missing,
+ * private and removed content means the backend is working. A timeout at
+ * the request's own deadline says nothing about the backend and is ignored.
+ *
+ * CIRCUIT_BREAKER_FAILURE_THRESHOLD sets the consecutive failures that open
+ * a circuit (0 disables circuit breaking) and CIRCUIT_BREAKER_RESET_TIMEOUT_MS
+ * how long it stays open before a trial lookup.
+ *
+ * @param {string} name - Resolver name
+ * @returns {Object|null} Circuit breaker, or null when disabled
+ */
+function getBackendBreaker(name) {
+  const failureThreshold = getConfigValue(
+    ENV_VARS.CIRCUIT_BREAKER_FAILURE_THRESHOLD,
+    CIRCUIT_BREAKER.DEFAULT_FAILURE_THRESHOLD,
+    "number"
+  );
+  const resetTimeoutMs = getConfigValue(
+    ENV_VARS.CIRCUIT_BREAKER_RESET_TIMEOUT_MS,
+    CIRCUIT_BREAKER.DEFAULT_RESET_TIMEOUT_MS,
+    "number"
+  );
+
+  if (!(failureThreshold > 0)) return null;
+
+  const existing = backendBreakers.get(name);
+  if (
+    existing &&
+    existing.failureThreshold === failureThreshold &&
+    existing.resetTimeoutMs === resetTimeoutMs
+  ) {
+    return existing.breaker;
+  }
+
+  const breaker = createCircuitBreaker(name, {
+    failureThreshold,
+    resetTimeoutMs,
+    isFailure: isRetryableError,
+    isIgnored: isOwnDeadlineTimeout,
+    onStateChange: reportCircuitStateChange,
+  });
+  backendBreakers.set(name, { breaker, failureThreshold, resetTimeoutMs });
+  return breaker;
+}
+
+/**
+ * Whether a lookup failed because the request ran out of time
+ *
+ * A lookup cut short by the request deadline would have failed against any
+ * backend. A retry skipped before the deadline still counts, the attempt
+ * before it failed.
+ *
+ * @param {Error} error - Lookup error
+ * @param {Object} context - Lookup context
+ * @param {number} [context.deadline] - Request deadline (epoch ms)
+ * @returns {boolean} True for backend timeouts at or past the deadline
+ */
+function isOwnDeadlineTimeout(error, context) {
+  return (
+    context.deadline != null &&
+    error instanceof BackendTimeoutError &&
+    getRemainingTime(context.deadline) <= 0
   );
 }
 
+/**
+ * Reports a backend circuit state change to logs and X-Ray
+ * @param {string} name - Resolver name
+ * @param {Object} change - State change
+ * @param {string} change.from - Previous state
+ * @param {string} change.to - New state
+ * @param {number} change.failures - Consecutive failures at the change
+ * @param {Object} context - Lookup that caused the change
+ */
+function reportCircuitStateChange(name, { from, to, failures }, context) {
+  const { url = null, correlationId = null } = context;
+
+  addXRayAnnotations({ circuitBreaker: name, circuitState: to });
+
+  const reasons = {
+    [CIRCUIT_STATES.OPEN]: `Circuit opened after ${failures} consecutive failures`,
+    [CIRCUIT_STATES.HALF_OPEN]: "Circuit half-open, sending a trial lookup",
+  };
+
+  logBackendIntegration(
+    url,
+    0,
+    to === CIRCUIT_STATES.CLOSED,
+    reasons[to] || null,
+    correlationId,
+    { circuit: name, circuitFrom: from, circuitState: to }
+  );
+}
+
+/**
+ * Gets the name of the resolver handling a lookup
+ * @param {Object} contentParams - Parsed content parameters
+ * @returns {string} Resolver name
+ */
+function getResolverName(contentParams) {
+  return contentParams.resolver || contentParams.contentType || "link";
+}
+
 /**
  * Fetches content metadata from your backend system
  *
- * CUSTOMIZE THIS FUNCTION to integrate with your content management system.
- * This is where you would make API calls, database queries, or other
- * operations to retrieve the actual content metadata.
+ * Dispatches to the resolver named by the matched URL scheme registry entry.
+ * Register your own resolvers with registerResolver() and reference them
+ * from src/config/url-schemes.mjs to integrate with your content system.
  *
  * @param {Object} contentParams - Parsed content parameters
+ * @param {string} contentParams.resolver - Resolver name from the scheme registry
  * @param {string} correlationId - Request correlation ID for logging
+ * @param {string} [resolverName] - Resolver to use (defaults to the lookup's)
  * @returns {Promise<Object>} Content metadata object
+ * @throws {Error} When the configured resolver is not registered
  */
-async function fetchContentFromBackend(contentParams, correlationId) {
-  // EXAMPLE IMPLEMENTATION - Replace with your actual backend integration
-  const { contentId, contentType } = contentParams;
-
-  // Example: Different handling based on content type
-  switch (contentType) {
-    case "video":
-      return await fetchVideoMetadata(contentId, contentParams, correlationId);
-
-    case "photo":
-      return await fetchPhotoMetadata(contentId, contentParams, correlationId);
-
-    case "rich":
-      return await fetchRichContentMetadata(
-        contentId,
-        contentParams,
-        correlationId
-      );
+async function fetchContentFromBackend(
+  contentParams,
+  correlationId,
+  resolverName = getResolverName(contentParams)
+) {
+  const { contentId } = contentParams;
+  const resolver = RESOLVERS[resolverName];
+
+  if (!resolver) {
+    throw new Error(`Metadata resolver not registered: ${resolverName}`);
+  }
 
-    case "link":
-    default:
-      return await fetchLinkMetadata(contentId, contentParams, correlationId);
+  return await resolver(contentId, contentParams, correlationId);
+}
+
+/**
+ * Registers a named metadata resolver
+ *
+ * Resolvers receive (contentId, contentParams, correlationId) and return
+ * a metadata object for createTypeSpecificResponse. Registering a resolver
+ * under an existing name replaces it.
+ *
+ * @param {string} name - Resolver name referenced by URL scheme entries
+ * @param {Function} resolver - Async resolver function
+ * @throws {Error} When name or resolver are invalid
+ */
+export function registerResolver(name, resolver) {
+  if (typeof name !== "string" || !name) {
+    throw new Error("Resolver name must be a non-empty string");
+  }
+  if (typeof resolver !== "function") {
+    throw new Error(`Resolver ${name} must be a function`);
   }
+
+  RESOLVERS[name] = resolver;
 }
 
 /**
@@ -198,8 +524,9 @@ async function fetchVideoMetadata(contentId, contentParams, _correlationId) {
     title: `Video Content ${contentId}`,
     author_name: "Content Creator",
     author_url: `${contentParams.protocol}//${contentParams.hostname}/creator`,
-    width: Math.min(contentParams.maxwidth || 1920, 1920),
-    height: Math.min(contentParams.maxheight || 1080, 1080),
+    // Return native dimensions; the response builder scales to maxwidth/maxheight
+    width: 1920,
+    height: 1080,
     embedUrl: `${contentParams.protocol}//${contentParams.hostname}/embed/${contentId}`,
     thumbnail_url: `${contentParams.protocol}//${contentParams.hostname}/thumb/${contentId}.jpg`,
     thumbnail_width: 320,
@@ -228,8 +555,8 @@ async function fetchPhotoMetadata(contentId, contentParams, _correlationId) {
     author_name: "Photographer",
     author_url: `${contentParams.protocol}//${contentParams.hostname}/photographer`,
     url: `${contentParams.protocol}//${contentParams.hostname}/images/${contentId}.jpg`,
-    width: Math.min(contentParams.maxwidth || 1200, 1200),
-    height: Math.min(contentParams.maxheight || 800, 800),
+    width: 1200,
+    height: 800,
     cache_age: 7200, // 2 hours
   };
 }
@@ -257,8 +584,8 @@ async function fetchRichContentMetadata(
     title: `Rich Content ${contentId}`,
     author_name: "Content Author",
     author_url: `${contentParams.protocol}//${contentParams.hostname}/author`,
-    width: Math.min(contentParams.maxwidth || 500, 500),
-    height: Math.min(contentParams.maxheight || 300, 300),
+    width: 500,
+    height: 300,
     html: `<div class="rich-content">Rich interactive content for ${sanitizeText(contentId, 50)}</div>`,
     cache_age: 1800, // 30 minutes
   };
@@ -292,8 +619,21 @@ async function fetchLinkMetadata(contentId, contentParams, _correlationId) {
  * @param {string} url - Original URL
  * @param {Object} contentParams - Content parameters
  * @returns {Object} Test metadata
+ * @throws {OembedError} For the /video/missing, /video/private, /video/removed
+ *   and /video/unavailable fixtures
  */
 function getTestMetadata(url, contentParams) {
+  // Simulate resolver errors for missing, private, removed and unreachable content
+  if (url.includes("/video/missing")) {
+    throw new ContentNotFoundError();
+  } else if (url.includes("/video/private")) {
+    throw new ContentUnauthorizedError();
+  } else if (url.includes("/video/removed")) {
+    throw new ContentGoneError();
+  } else if (url.includes("/video/unavailable")) {
+    throw new BackendError();
+  }
+
   // Return test data based on URL patterns
   if (url.includes("/video/123")) {
     return {
@@ -308,6 +648,7 @@ function getTestMetadata(url, contentParams) {
       thumbnail_width: 320,
       thumbnail_height: 180,
       cache_age: 3600,
+      _last_modified: "2024-01-15T10:30:00Z",
     };
   } else if (url.includes("/content/123")) {
     return {
@@ -319,6 +660,10 @@ function getTestMetadata(url, contentParams) {
       height: 300,
       html: "<div>Rich content</div>",
       cache_age: 3600,
+      application_info: {
+        type: "widget",
+        features: ["live_editing", "sharing"],
+      },
     };
   }
 
@@ -333,18 +678,6 @@ function getTestMetadata(url, contentParams) {
   };
 }
 
-/**
- * Creates empty metadata object for error cases
- * @returns {Object} Empty metadata object
- */
-function createEmptyMetadata() {
-  return {
-    type: "link",
-    title: "Content Not Available",
-    cache_age: 300, // Short cache for errors
-  };
-}
-
 /**
  * ENHANCED INTEGRATION HELPER FUNCTIONS
  *
@@ -353,99 +686,49 @@ function createEmptyMetadata() {
  */
 
 /**
- * Advanced URL pattern matcher for content identification
+ * URL pattern matcher for content identification
  *
- * This function provides sophisticated URL pattern matching to extract
- * content IDs and types from various URL structures. Customize the patterns
- * to match your specific URL structure.
+ * Resolves a URL through the URL scheme registry configured in
+ * src/config/url-schemes.mjs. Customize the registry rather than this
+ * function to match your URL structure.
  *
  * @param {string} url - The URL to analyze
- * @returns {Object} Enhanced parsing results with pattern matching
+ * @returns {Object} Parsing results with the matched scheme
  */
 export function enhancedUrlPatternMatcher(url) {
-  const patterns = {
-    // Video patterns - customize these for your video URLs
-    video: [
-      /\/video\/([a-zA-Z0-9_-]+)/i, // /video/abc123
-      /\/watch\?v=([a-zA-Z0-9_-]+)/i, // /watch?v=abc123
-      /\/embed\/([a-zA-Z0-9_-]+)/i, // /embed/abc123
-      /\/v\/([a-zA-Z0-9_-]+)/i, // /v/abc123
-      /\/player\/([a-zA-Z0-9_-]+)/i, // /player/abc123
-    ],
-
-    // Photo patterns - customize these for your image URLs
-    photo: [
-      /\/photo\/([a-zA-Z0-9_-]+)/i, // /photo/abc123
-      /\/image\/([a-zA-Z0-9_-]+)/i, // /image/abc123
-      /\/gallery\/([a-zA-Z0-9_-]+)/i, // /gallery/abc123
-      /\/img\/([a-zA-Z0-9_-]+)/i, // /img/abc123
-      /\/pictures\/([a-zA-Z0-9_-]+)/i, // /pictures/abc123
-    ],
-
-    // Rich content patterns - customize these for your interactive content
-    rich: [
-      /\/widget\/([a-zA-Z0-9_-]+)/i, // /widget/abc123
-      /\/interactive\/([a-zA-Z0-9_-]+)/i, // /interactive/abc123
-      /\/app\/([a-zA-Z0-9_-]+)/i, // /app/abc123
-      /\/content\/([a-zA-Z0-9_-]+)/i, // /content/abc123
-      /\/embed-widget\/([a-zA-Z0-9_-]+)/i, // /embed-widget/abc123
-    ],
-
-    // Link patterns - customize these for your article/post URLs
-    link: [
-      /\/article\/([a-zA-Z0-9_-]+)/i, // /article/abc123
-      /\/post\/([a-zA-Z0-9_-]+)/i, // /post/abc123
-      /\/blog\/([a-zA-Z0-9_-]+)/i, // /blog/abc123
-      /\/news\/([a-zA-Z0-9_-]+)/i, // /news/abc123
-      /\/story\/([a-zA-Z0-9_-]+)/i, // /story/abc123
-    ],
-  };
-
-  // Test each pattern type
-  for (const [contentType, typePatterns] of Object.entries(patterns)) {
-    for (const pattern of typePatterns) {
-      const match = url.match(pattern);
-      if (match) {
-        return {
-          success: true,
-          contentType,
-          contentId: match[1],
-          pattern: pattern.toString(),
-          matchedSegment: match[0],
-        };
-      }
-    }
-  }
+  const match = safeMatchUrlScheme(url);
 
-  // Fallback: try to extract any alphanumeric ID from the URL
-  const fallbackMatch = url.match(/\/([a-zA-Z0-9_-]{3,})\/?(?:\?|$)/);
-  if (fallbackMatch) {
+  if (!match) {
     return {
-      success: true,
-      contentType: "link", // Default to link type
-      contentId: fallbackMatch[1],
-      pattern: "fallback",
-      matchedSegment: fallbackMatch[0],
+      success: false,
+      contentType: "link",
+      contentId: null,
+      pattern: null,
+      scheme: null,
     };
   }
 
   return {
-    success: false,
-    contentType: "link",
-    contentId: null,
-    pattern: null,
-    matchedSegment: null,
+    success: true,
+    contentType: match.contentType,
+    contentId: match.contentId,
+    pattern: match.fallback ? "fallback" : match.scheme,
+    scheme: match.name,
+    params: match.params,
   };
 }
 
 /**
- * Advanced content type detector with confidence scoring
+ * Content type detector with confidence scoring
  *
- * This function analyzes URLs and provides content type detection with
- * confidence scores to help determine the most appropriate oEmbed type.
+ * Explicit URL scheme matches are fully confident. When only a catch-all
+ * fallback entry matches, optional hints (file extension or MIME type from
+ * your backend) can refine the content type.
  *
  * @param {string} url - The URL to analyze
  * @param {Object} [hints={}] - Additional hints for content type detection
+ * @param {string} [hints.fileExtension] - File extension of the resource
+ * @param {string} [hints.mimeType] - MIME type of the resource
  * @returns {Object} Content type detection results with confidence scores
  */
 export function detectContentTypeWithConfidence(url, hints = {}) {
@@ -456,524 +739,74 @@ export function detectContentTypeWithConfidence(url, hints = {}) {
     link: 0,
   };
 
-  const urlLower = url.toLowerCase();
-
-  // Video indicators
-  if (
-    urlLower.includes("/video/") ||
-    urlLower.includes("/watch/") ||
-    urlLower.includes("/embed/") ||
-    urlLower.includes("/player/")
-  ) {
-    scores.video += 50;
-  }
-  if (
-    urlLower.includes("youtube") ||
-    urlLower.includes("vimeo") ||
-    urlLower.includes("video")
-  ) {
-    scores.video += 30;
-  }
-  if (urlLower.match(/\.(mp4|webm|ogg|mov|avi)$/)) {
-    scores.video += 40;
-  }
-
-  // Photo indicators
-  if (
-    urlLower.includes("/photo/") ||
-    urlLower.includes("/image/") ||
-    urlLower.includes("/gallery/") ||
-    urlLower.includes("/img/")
-  ) {
-    scores.photo += 50;
-  }
-  if (urlLower.match(/\.(jpg|jpeg|png|gif|webp|svg|bmp)$/)) {
-    scores.photo += 60;
-  }
-  if (
-    urlLower.includes("instagram") ||
-    urlLower.includes("flickr") ||
-    urlLower.includes("photo")
-  ) {
-    scores.photo += 30;
-  }
+  const match = safeMatchUrlScheme(url);
 
-  // Rich content indicators
-  if (
-    urlLower.includes("/widget/") ||
-    urlLower.includes("/interactive/") ||
-    urlLower.includes("/app/") ||
-    urlLower.includes("/embed-widget/")
-  ) {
-    scores.rich += 50;
-  }
-  if (
-    urlLower.includes("codepen") ||
-    urlLower.includes("jsfiddle") ||
-    urlLower.includes("interactive")
-  ) {
-    scores.rich += 40;
-  }
+  if (match && !match.fallback) {
+    scores[match.contentType] = 100;
 
-  // Link indicators (articles, posts, etc.)
-  if (
-    urlLower.includes("/article/") ||
-    urlLower.includes("/post/") ||
-    urlLower.includes("/blog/") ||
-    urlLower.includes("/news/")
-  ) {
-    scores.link += 40;
+    return {
+      contentType: match.contentType,
+      confidence: 1.0,
+      scores,
+      reasoning: `Matched URL scheme '${match.name}' (${match.scheme})`,
+    };
   }
 
-  // Apply hints if provided
-  if (hints.fileExtension) {
-    const ext = hints.fileExtension.toLowerCase();
-    if (["mp4", "webm", "ogg", "mov", "avi"].includes(ext)) {
-      scores.video += 30;
-    } else if (["jpg", "jpeg", "png", "gif", "webp"].includes(ext)) {
-      scores.photo += 30;
-    }
-  }
+  // No explicit scheme matched: fall back to resource hints
+  const hintedType = detectTypeFromHints(hints);
+  if (hintedType) {
+    scores[hintedType] = 40;
 
-  if (hints.mimeType) {
-    const mime = hints.mimeType.toLowerCase();
-    if (mime.startsWith("video/")) {
-      scores.video += 40;
-    } else if (mime.startsWith("image/")) {
-      scores.photo += 40;
-    }
+    return {
+      contentType: hintedType,
+      confidence: 0.4,
+      scores,
+      reasoning: `No explicit URL scheme matched, selected '${hintedType}' from resource hints`,
+    };
   }
 
-  // Find the highest scoring type
-  const maxScore = Math.max(...Object.values(scores));
-  const detectedType = Object.keys(scores).find(
-    (key) => scores[key] === maxScore
-  );
-
-  // If no clear winner, default to link
-  const finalType = maxScore > 0 ? detectedType : "link";
-  const confidence = maxScore > 0 ? Math.min(maxScore / 100, 1.0) : 0.1;
+  const contentType = match ? match.contentType : "link";
+  scores[contentType] = 10;
 
   return {
-    contentType: finalType,
-    confidence: confidence,
-    scores: scores,
-    reasoning: generateDetectionReasoning(scores, finalType),
-  };
-}
-
-/**
- * Generates human-readable reasoning for content type detection
- * @param {Object} scores - Content type scores
- * @param {string} selectedType - The selected content type
- * @returns {string} Human-readable reasoning
- */
-function generateDetectionReasoning(scores, selectedType) {
-  const reasons = [];
-
-  if (scores.video > 0) {
-    reasons.push(`Video indicators: ${scores.video} points`);
-  }
-  if (scores.photo > 0) {
-    reasons.push(`Photo indicators: ${scores.photo} points`);
-  }
-  if (scores.rich > 0) {
-    reasons.push(`Rich content indicators: ${scores.rich} points`);
-  }
-  if (scores.link > 0) {
-    reasons.push(`Link indicators: ${scores.link} points`);
-  }
-
-  return `Selected '${selectedType}' based on: ${reasons.join(", ")}`;
-}
-
-/**
- * Enhanced metadata validator and sanitizer
- *
- * This function validates and sanitizes metadata to ensure oEmbed specification
- * compliance and security best practices.
- *
- * @param {Object} metadata - Raw metadata object
- * @param {string} contentType - Expected content type
- * @returns {Object} Validated and sanitized metadata
- */
-export function validateAndSanitizeMetadata(metadata, contentType) {
-  const sanitized = {
-    type: contentType,
-    version: "1.0", // oEmbed version is always 1.0
-  };
-
-  // Required fields validation
-  if (typeof metadata.title === "string" && metadata.title.trim()) {
-    sanitized.title = sanitizeString(metadata.title);
-  }
-
-  // Provider information (should come from environment variables)
-  sanitized.provider_name = process.env.PROVIDER_NAME || "Content Provider";
-  sanitized.provider_url = process.env.PROVIDER_URL || "https://example.com";
-
-  // Optional author information
-  if (typeof metadata.author_name === "string" && metadata.author_name.trim()) {
-    sanitized.author_name = sanitizeString(metadata.author_name);
-  }
-  if (isValidUrl(metadata.author_url)) {
-    sanitized.author_url = metadata.author_url;
-  }
-
-  // Cache age validation
-  if (typeof metadata.cache_age === "number" && metadata.cache_age > 0) {
-    sanitized.cache_age = Math.min(metadata.cache_age, 86400 * 7); // Max 7 days
-  } else {
-    sanitized.cache_age = DEFAULT_CACHE_AGES[contentType] || 3600;
-  }
-
-  // Type-specific validation
-  switch (contentType) {
-    case "photo":
-      if (isValidUrl(metadata.url)) {
-        sanitized.url = metadata.url;
-      }
-      if (isValidDimension(metadata.width)) {
-        sanitized.width = metadata.width;
-      }
-      if (isValidDimension(metadata.height)) {
-        sanitized.height = metadata.height;
-      }
-      break;
-
-    case "video":
-    case "rich":
-      if (typeof metadata.html === "string" && metadata.html.trim()) {
-        sanitized.html = sanitizeHtml(metadata.html);
-      }
-      if (isValidDimension(metadata.width)) {
-        sanitized.width = metadata.width;
-      }
-      if (isValidDimension(metadata.height)) {
-        sanitized.height = metadata.height;
-      }
-      break;
-
-    case "link":
-      // Link type only requires basic metadata
-      break;
-  }
-
-  // Thumbnail validation (optional for all types)
-  if (isValidUrl(metadata.thumbnail_url)) {
-    sanitized.thumbnail_url = metadata.thumbnail_url;
-    if (isValidDimension(metadata.thumbnail_width)) {
-      sanitized.thumbnail_width = metadata.thumbnail_width;
-    }
-    if (isValidDimension(metadata.thumbnail_height)) {
-      sanitized.thumbnail_height = metadata.thumbnail_height;
-    }
-  }
-
-  return sanitized;
-}
-
-/**
- * Makes an HTTP request to your backend API with enhanced error handling
- * @param {string} endpoint - API endpoint
- * @param {Object} options - Request options
- * @returns {Promise<Object>} API response
- */
-export async function makeBackendRequest(endpoint, options = {}) {
-  const correlationId = options.correlationId || `req_${Date.now()}`;
-
-  const defaultOptions = {
-    method: "GET",
-    headers: {
-      "Content-Type": "application/json",
-      "User-Agent": "oEmbed-Provider/2.0",
-      "X-Correlation-ID": correlationId,
-    },
-    timeout: 5000,
+    contentType,
+    confidence: 0.1,
+    scores,
+    reasoning: match
+      ? `Matched fallback URL scheme '${match.name}'`
+      : "No URL scheme matched, defaulting to 'link'",
   };
-
-  const requestOptions = { ...defaultOptions, ...options };
-
-  logInfo(
-    "BACKEND_REQUEST_START",
-    `Making backend request to ${endpoint}`,
-    { endpoint, method: requestOptions.method },
-    correlationId
-  );
-
-  try {
-    // TODO: Implement actual HTTP request logic
-    // Example with fetch (uncomment and customize):
-    /*
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), requestOptions.timeout);
-    
-    const response = await fetch(endpoint, {
-      ...requestOptions,
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeoutId);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    
-    logInfo(
-      "BACKEND_REQUEST_SUCCESS",
-      `Backend request completed successfully`,
-      { endpoint, status: response.status },
-      correlationId
-    );
-    
-    return data;
-    */
-
-    // Placeholder implementation
-    logError(
-      "BACKEND_REQUEST_NOT_IMPLEMENTED",
-      "Backend request function not implemented",
-      { endpoint },
-      correlationId
-    );
-
-    throw new Error(
-      "Backend request not implemented - customize makeBackendRequest function"
-    );
-  } catch (error) {
-    logError(
-      "BACKEND_REQUEST_ERROR",
-      "Backend request failed",
-      { endpoint, error: error.message },
-      correlationId
-    );
-    throw error;
-  }
 }
 
 /**
- * Transforms your backend data to oEmbed format with comprehensive mapping
- * @param {Object} backendData - Raw data from your backend
- * @param {string} contentType - Content type (video, photo, rich, link)
- * @param {Object} [options={}] - Transformation options
- * @returns {Object} oEmbed formatted metadata
+ * Detects content type from file extension or MIME type hints
+ * @param {Object} hints - Detection hints
+ * @returns {string|null} Content type or null if hints are inconclusive
  */
-export function transformBackendData(backendData, contentType, options = {}) {
-  if (!backendData || typeof backendData !== "object") {
-    logError(
-      "TRANSFORM_ERROR",
-      "Invalid backend data provided for transformation",
-      { backendData, contentType }
-    );
-    return createEmptyMetadata();
-  }
-
-  // Base metadata structure
-  const baseMetadata = {
-    type: contentType,
-    version: "1.0",
-    cache_age: DEFAULT_CACHE_AGES[contentType] || 3600,
-  };
-
-  try {
-    // Common field mappings - customize these for your backend structure
-    const transformed = {
-      ...baseMetadata,
-
-      // Title mapping - try multiple possible field names
-      title:
-        backendData.title ||
-        backendData.name ||
-        backendData.headline ||
-        backendData.subject ||
-        `${contentType} content`,
-
-      // Author mapping
-      author_name:
-        backendData.author?.name ||
-        backendData.creator?.name ||
-        backendData.author_name ||
-        backendData.creator,
-
-      author_url:
-        backendData.author?.url ||
-        backendData.creator?.url ||
-        backendData.author_url,
-
-      // Provider information (from environment)
-      provider_name: process.env.PROVIDER_NAME || "Content Provider",
-      provider_url: process.env.PROVIDER_URL || "https://example.com",
-
-      // Cache age
-      cache_age:
-        backendData.cache_age ||
-        backendData.ttl ||
-        DEFAULT_CACHE_AGES[contentType] ||
-        3600,
-    };
-
-    // Type-specific transformations
-    switch (contentType) {
-      case "photo":
-        Object.assign(transformed, {
-          url:
-            backendData.imageUrl ||
-            backendData.url ||
-            backendData.src ||
-            backendData.image?.url,
-          width:
-            backendData.width ||
-            backendData.dimensions?.width ||
-            backendData.image?.width,
-          height:
-            backendData.height ||
-            backendData.dimensions?.height ||
-            backendData.image?.height,
-        });
-        break;
-
-      case "video":
-        Object.assign(transformed, {
-          width: backendData.width || backendData.dimensions?.width || 1920,
-          height: backendData.height || backendData.dimensions?.height || 1080,
-          html:
-            backendData.embedCode ||
-            backendData.html ||
-            generateVideoEmbed(backendData, options),
-        });
-        break;
-
-      case "rich":
-        Object.assign(transformed, {
-          width: backendData.width || backendData.dimensions?.width || 500,
-          height: backendData.height || backendData.dimensions?.height || 300,
-          html:
-            backendData.embedCode ||
-            backendData.html ||
-            backendData.content ||
-            `<div>${backendData.description || "Rich content"}</div>`,
-        });
-        break;
-
-      case "link":
-        // Link type only needs basic metadata
-        if (backendData.description) {
-          transformed.description = backendData.description;
-        }
-        break;
-    }
+function detectTypeFromHints(hints) {
+  const ext = (hints.fileExtension || "").toLowerCase();
+  const mime = (hints.mimeType || "").toLowerCase();
 
-    // Thumbnail mapping (optional for all types)
-    if (backendData.thumbnail || backendData.thumb) {
-      const thumb = backendData.thumbnail || backendData.thumb;
-      transformed.thumbnail_url = thumb.url || thumb.src || thumb;
-      if (thumb.width) transformed.thumbnail_width = thumb.width;
-      if (thumb.height) transformed.thumbnail_height = thumb.height;
-    }
-
-    // Validate and sanitize the transformed data
-    return validateAndSanitizeMetadata(transformed, contentType);
-  } catch (error) {
-    logError("TRANSFORM_ERROR", "Error transforming backend data", {
-      error: error.message,
-      backendData,
-      contentType,
-    });
-    return createEmptyMetadata();
+  if (["mp4", "webm", "ogg", "mov", "avi"].includes(ext) || mime.startsWith("video/")) {
+    return "video";
   }
-}
 
-/**
- * Generates a secure video embed HTML for video content
- * @param {Object} videoData - Video data from backend
- * @param {Object} options - Generation options
- * @returns {string} Video embed HTML
- */
-function generateVideoEmbed(videoData, options = {}) {
-  const videoUrl = videoData.videoUrl || videoData.embedUrl || videoData.url;
-  const width = Math.min(Math.max(parseInt(options.maxwidth || videoData.width || 1920, 10), 100), 2048);
-  const height = Math.min(Math.max(parseInt(options.maxheight || videoData.height || 1080, 10), 100), 2048);
-
-  if (!videoUrl || !isValidUrl(videoUrl)) {
-    return "<div>Video not available</div>";
+  if (["jpg", "jpeg", "png", "gif", "webp"].includes(ext) || mime.startsWith("image/")) {
+    return "photo";
   }
 
-  // Ensure HTTPS for security
-  const secureUrl = videoUrl.replace(/^http:/, 'https:');
-
-  // Escape HTML attributes to prevent injection
-  const escapedUrl = secureUrl.replace(/"/g, '&quot;').replace(/'/g, '&#x27;');
-
-  return `<iframe src="${escapedUrl}" width="${width}" height="${height}" frameborder="0" allowfullscreen sandbox="allow-scripts allow-same-origin allow-presentation"></iframe>`;
+  return null;
 }
 
 /**
- * Utility functions for validation and sanitization
+ * Matches a URL against the scheme registry, tolerating malformed URLs
+ * @param {string} url - The URL to match
+ * @returns {Object|null} Scheme match or null
  */
-
-/**
- * Validates if a string is a valid URL
- * @param {string} url - URL to validate
- * @returns {boolean} True if valid URL
- */
-function isValidUrl(url) {
-  if (typeof url !== "string") return false;
+function safeMatchUrlScheme(url) {
   try {
-    new URL(url);
-    return true;
+    return matchUrlScheme(url);
   } catch {
-    return false;
+    return null;
   }
 }
-
-/**
- * Validates if a value is a valid dimension (positive integer)
- * @param {*} value - Value to validate
- * @returns {boolean} True if valid dimension
- */
-function isValidDimension(value) {
-  return typeof value === "number" && value > 0 && Number.isInteger(value);
-}
-
-/**
- * Sanitizes a string by removing potentially harmful content
- * @param {string} str - String to sanitize
- * @returns {string} Sanitized string
- */
-function sanitizeString(str) {
-  if (typeof str !== "string") return "";
-
-  // Enhanced string sanitization
-  return str
-    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, "") // Remove control characters
-    .replace(/<[^>]*>/g, "") // Remove HTML tags
-    .replace(/javascript:/gi, "") // Remove javascript: URLs
-    .replace(/data:/gi, "") // Remove data: URLs
-    .trim()
-    .substring(0, 500); // Limit length and trim whitespace
-}
-
-/**
- * Enhanced HTML sanitization for embed content
- * @param {string} html - HTML to sanitize
- * @returns {string} Sanitized HTML
- */
-function sanitizeHtml(html) {
-  if (typeof html !== "string") return "";
-
-  // Enhanced sanitization to prevent XSS attacks
-  return html
-    .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, "") // Remove scripts
-    .replace(/<iframe\b[^>]*(?:(?!src=["']https?:\/\/)[^>])*>/gi, "") // Remove non-HTTPS iframes
-    .replace(/javascript:/gi, "") // Remove javascript: URLs
-    .replace(/data:/gi, "") // Remove data: URLs
-    .replace(/vbscript:/gi, "") // Remove vbscript: URLs
-    .replace(/on\w+\s*=/gi, "") // Remove event handlers
-    .replace(/<(object|embed|applet|form|input|textarea|select|button)\b[^>]*>/gi, "") // Remove dangerous tags
-    .replace(/<\/?(object|embed|applet|form|input|textarea|select|button)\b[^>]*>/gi, "")
-    .replace(/style\s*=\s*["'][^"']*expression\s*\([^"']*["']/gi, "") // Remove CSS expressions
-    .trim()
-    .substring(0, 10000); // Limit HTML length
-}
@@ -0,0 +1,226 @@
+/**
+ * Resolver chain module
+ *
+ * This module runs an ordered fallback chain of metadata resolvers, as
+ * configured by a URL scheme entry with a list of resolver names, e.g.
+ * ["dynamodb", "jsonld", "opengraph", "link"]. Each step either:
+ * - says "not mine" by throwing ContentNotFoundError (or returning nothing
+ *   or placeholder metadata): the next step is tried
+ * - returns metadata, possibly partial: it is merged into the result
+ * - fails with a retryable error (backend error or timeout after its
+ *   retries, open circuit): the next step is tried, and the error is thrown
+ *   only when no step returns metadata
+ * - throws any other error: the chain stops and the error is thrown
+ *
+ * Merge rules:
+ * - The first step returning metadata decides the type
+ * - Each field comes from the first step that supplies it; related fields
+ *   are taken together from one step (author name and URL; thumbnail URL
+ *   and size; the embed URL, html, photo url and dimensions)
+ * - Steps returning a different type only contribute the fields every type
+ *   has: title, author, thumbnail, cache_age and _last_modified
+ * - The chain stops once the result is complete: it has a title and, for
+ *   photos, a url, for videos, html or an embedUrl
+ * - A photo or video still missing its url or embed at the end is returned
+ *   as a link
+ *
+ * The steps taken and the resolver that supplied each field are logged at
+ * debug level (RESOLVER_CHAIN) and added to the X-Ray segment metadata
+ * (resolverChain namespace).
+ *
+ * @module integration/resolver-chain
+ */
+
+import { ContentNotFoundError, isOembedError } from "../utils/errors.mjs";
+import { logDebug } from "../utils/logger.mjs";
+import { addXRayMetadata } from "../utils/xray.mjs";
+
+// Fields taken together from a single step
+const FIELD_GROUPS = Object.freeze([
+  ["author_name", "author_url"],
+  ["thumbnail_url", "thumbnail_width", "thumbnail_height"],
+  ["url", "html", "embedUrl", "content", "width", "height"],
+]);
+
+// Fields a step may contribute whatever type it returned
+const COMMON_FIELDS = new Set([
+  "title",
+  "author_name",
+  "author_url",
+  "thumbnail_url",
+  "thumbnail_width",
+  "thumbnail_height",
+  "cache_age",
+  "_last_modified",
+]);
+
+// Type-specific fields, dropped when a photo or video is answered as a link
+const MEDIA_FIELDS = FIELD_GROUPS[2];
+
+/**
+ * Resolves metadata through a chain of resolvers
+ *
+ * @param {string[]} names - Resolver names, in order
+ * @param {Function} runStep - Async function resolving one step by name
+ * @param {Object} [context={}] - Lookup context for logging
+ * @param {string} [context.url] - Content URL
+ * @param {string} [context.correlationId] - Request correlation ID
+ * @returns {Promise<Object>} Merged metadata
+ * @throws {ContentNotFoundError} When no step has the content
+ * @throws {Error} The error of a step that failed, or of the first step that
+ *   failed with a retryable error when no step returned metadata
+ */
+export async function resolveChain(names, runStep, context = {}) {
+  const metadata = {};
+  const sources = {};
+  const steps = [];
+  let failure = null;
+
+  for (const name of names) {
+    let partial;
+    try {
+      partial = await runStep(name);
+    } catch (error) {
+      if (isOembedError(error) && error.retryable) {
+        // The backend is down or slow, later steps may still answer
+        steps.push({ resolver: name, outcome: "failed", error: error.code });
+        failure = failure || error;
+        continue;
+      }
+      if (!(error instanceof ContentNotFoundError)) {
+        steps.push({
+          resolver: name,
+          outcome: "error",
+          error: error.code || error.name,
+        });
+        reportChain(names, steps, sources, context);
+        throw error;
+      }
+    }
+
+    if (!partial || typeof partial !== "object" || partial._placeholder) {
+      steps.push({ resolver: name, outcome: "not_mine" });
+      continue;
+    }
+
+    const fields = mergeStep(metadata, partial, name, sources);
+    steps.push({ resolver: name, outcome: "merged", type: partial.type, fields });
+
+    if (isComplete(metadata)) break;
+  }
+
+  if (!metadata.type) {
+    reportChain(names, steps, sources, context);
+    if (failure) throw failure;
+    throw new ContentNotFoundError(undefined, {
+      details: `No resolver in the chain ${names.join(" > ")} has the content`,
+    });
+  }
+
+  if (!hasMedia(metadata)) {
+    metadata.type = "link";
+    for (const field of MEDIA_FIELDS) {
+      delete metadata[field];
+      delete sources[field];
+    }
+  }
+
+  reportChain(names, steps, sources, context);
+  return metadata;
+}
+
+/**
+ * Merges one step's metadata into the chain result
+ * @param {Object} metadata - Chain result (mutated)
+ * @param {Object} partial - Metadata returned by the step
+ * @param {string} name - Resolver name
+ * @param {Object} sources - Resolver name by field (mutated)
+ * @returns {string[]} Fields taken from the step
+ */
+function mergeStep(metadata, partial, name, sources) {
+  if (!metadata.type) {
+    metadata.type = partial.type || "link";
+    sources.type = name;
+  }
+
+  const sameType = (partial.type || "link") === metadata.type;
+  const taken = [];
+
+  const take = (field) => {
+    metadata[field] = partial[field];
+    sources[field] = name;
+    taken.push(field);
+  };
+
+  for (const group of FIELD_GROUPS) {
+    const allowed = group.filter((field) => sameType || COMMON_FIELDS.has(field));
+    if (group.some((field) => hasValue(metadata[field]))) continue;
+    allowed.filter((field) => hasValue(partial[field])).forEach(take);
+  }
+
+  for (const field of Object.keys(partial)) {
+    if (
+      field === "type" ||
+      FIELD_GROUPS.some((group) => group.includes(field)) ||
+      hasValue(metadata[field]) ||
+      !hasValue(partial[field]) ||
+      !(sameType || COMMON_FIELDS.has(field))
+    ) {
+      continue;
+    }
+    take(field);
+  }
+
+  return taken;
+}
+
+/**
+ * Whether the chain result needs no further steps
+ * @param {Object} metadata - Chain result
+ * @returns {boolean} True with a title and the type's required media
+ */
+function isComplete(metadata) {
+  return hasValue(metadata.title) && hasMedia(metadata);
+}
+
+/**
+ * Whether metadata has the media its type requires
+ * @param {Object} metadata - Metadata
+ * @returns {boolean} False for photos without url and videos without embed
+ */
+function hasMedia(metadata) {
+  if (metadata.type === "photo") return hasValue(metadata.url);
+  if (metadata.type === "video") {
+    return hasValue(metadata.html) || hasValue(metadata.embedUrl);
+  }
+  return true;
+}
+
+/**
+ * Whether a field value counts as supplied
+ * @param {any} value - Field value
+ * @returns {boolean} False for undefined, null and empty strings
+ */
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== "";
+}
+
+/**
+ * Reports the chain's steps and field sources to debug logs and X-Ray
+ * @param {string[]} names - Resolver names
+ * @param {Object[]} steps - Steps taken
+ * @param {Object} sources - Resolver name by field
+ * @param {Object} context - Lookup context
+ */
+function reportChain(names, steps, sources, context) {
+  const { url = null, correlationId = null } = context;
+  const details = { chain: names, steps, sources };
+
+  addXRayMetadata("resolverChain", details);
+  logDebug(
+    "RESOLVER_CHAIN",
+    "Resolved metadata through resolver chain",
+    { url, ...details },
+    correlationId
+  );
+}
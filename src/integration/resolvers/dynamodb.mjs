@@ -0,0 +1,199 @@
+/**
+ * DynamoDB content resolver module
+ *
+ * This module resolves content metadata from a DynamoDB table that holds
+ * one item per content item. It is registered as the "dynamodb" resolver;
+ * point URL scheme entries at it (resolver: "dynamodb") and set
+ * CONTENT_TABLE to the table name.
+ *
+ * Table layout:
+ * - contentId (string, partition key) - content ID captured from the URL
+ * - contentType (string, sort key) - oEmbed type of the URL scheme entry
+ *   (key attribute names are set by CONTENT_TABLE_PARTITION_KEY and
+ *   CONTENT_TABLE_SORT_KEY; a sort key of "none" keys items by ID only)
+ *
+ * Item attributes (all optional, mapped by transformBackendData):
+ * - type - oEmbed type overriding the URL scheme's type
+ * - title, description
+ * - author ({ name, url }) or author_name/author_url
+ * - imageUrl or url, width, height - photos
+ * - embedCode/html, or videoUrl/embedUrl for a generated iframe - video/rich
+ * - thumbnail ({ url, width, height })
+ * - cache_age - seconds consumers may cache the response
+ * - updatedAt - ISO timestamp used for Last-Modified
+ * - status - "private" or "removed" to report private or taken-down content
+ *
+ * Missing items throw ContentNotFoundError; DynamoDB failures throw
+ * BackendError so they are retried and count towards the circuit breaker.
+ *
+ * @module integration/resolvers/dynamodb
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand } from "@aws-sdk/lib-dynamodb";
+import { getConfigValue } from "../../config/environment.mjs";
+import { transformBackendData } from "../transform.mjs";
+import { getRemainingTime } from "../../utils/deadline.mjs";
+import {
+  BackendError,
+  BackendTimeoutError,
+  ContentGoneError,
+  ContentNotFoundError,
+  ContentUnauthorizedError,
+  isOembedError,
+} from "../../utils/errors.mjs";
+import { traceOperation } from "../../utils/xray.mjs";
+import { CONTENT_TABLE, ENV_VARS, OEMBED } from "../../utils/constants.mjs";
+
+// Item status values that block embedding
+const STATUS_ERRORS = Object.freeze({
+  private: ContentUnauthorizedError,
+  removed: ContentGoneError,
+});
+
+// DynamoDB errors caused by configuration rather than transient failures
+const NON_RETRYABLE_ERRORS = new Set([
+  "ResourceNotFoundException",
+  "AccessDeniedException",
+  "ValidationException",
+]);
+
+let documentClient = null;
+
+/**
+ * Resolves content metadata from the DynamoDB content table
+ *
+ * @param {string} contentId - Content ID captured from the URL
+ * @param {Object} contentParams - Parsed content parameters
+ * @param {string} correlationId - Request correlation ID
+ * @returns {Promise<Object>} Content metadata
+ * @throws {OembedError} When the item is missing, private or removed, or
+ *   DynamoDB fails
+ */
+export async function fetchDynamoDbMetadata(
+  contentId,
+  contentParams,
+  correlationId
+) {
+  const tableName = getConfigValue(ENV_VARS.CONTENT_TABLE, "");
+  if (!tableName) {
+    throw new BackendError(undefined, {
+      details: "CONTENT_TABLE is not configured",
+      retryable: false,
+    });
+  }
+  if (!contentId) {
+    throw new ContentNotFoundError();
+  }
+
+  const item = await getContentItem(
+    tableName,
+    getContentKey(contentId, contentParams.contentType),
+    contentParams.deadline,
+    correlationId
+  );
+
+  if (!item) {
+    throw new ContentNotFoundError(undefined, {
+      details: `No ${contentParams.contentType || "content"} item with ID ${contentId}`,
+    });
+  }
+
+  const StatusError = STATUS_ERRORS[String(item.status || "").toLowerCase()];
+  if (StatusError) {
+    throw new StatusError();
+  }
+
+  const type = OEMBED.CONTENT_TYPES.includes(item.type)
+    ? item.type
+    : contentParams.contentType || "link";
+
+  return transformBackendData(item, type, {
+    maxwidth: contentParams.maxwidth,
+    maxheight: contentParams.maxheight,
+  });
+}
+
+/**
+ * Builds the primary key for a content item
+ * @param {string} contentId - Content ID
+ * @param {string} [contentType] - oEmbed content type
+ * @returns {Object} DynamoDB key
+ */
+export function getContentKey(contentId, contentType) {
+  const partitionKey = getConfigValue(
+    ENV_VARS.CONTENT_TABLE_PARTITION_KEY,
+    CONTENT_TABLE.DEFAULT_PARTITION_KEY
+  );
+  const sortKey = getConfigValue(
+    ENV_VARS.CONTENT_TABLE_SORT_KEY,
+    CONTENT_TABLE.DEFAULT_SORT_KEY
+  );
+
+  const key = { [partitionKey]: String(contentId) };
+  if (sortKey !== "none") {
+    key[sortKey] = contentType || "link";
+  }
+  return key;
+}
+
+/**
+ * Reads a content item
+ * @param {string} tableName - Content table name
+ * @param {Object} key - Item key
+ * @param {number|null} deadline - Request deadline in epoch milliseconds
+ * @param {string} correlationId - Request correlation ID
+ * @returns {Promise<Object|undefined>} Item, or undefined when missing
+ * @throws {BackendError|BackendTimeoutError} When the read fails
+ */
+async function getContentItem(tableName, key, deadline, correlationId) {
+  const remaining = getRemainingTime(deadline);
+
+  try {
+    const { Item } = await traceOperation(
+      "content_table_get",
+      () =>
+        getDocumentClient().send(
+          new GetCommand({ TableName: tableName, Key: key }),
+          {
+            abortSignal: Number.isFinite(remaining)
+              ? AbortSignal.timeout(Math.max(1, remaining))
+              : undefined,
+          }
+        ),
+      { tableName },
+      correlationId
+    );
+    return Item;
+  } catch (error) {
+    if (isOembedError(error)) throw error;
+
+    if (error.name === "AbortError" || error.name === "TimeoutError") {
+      throw new BackendTimeoutError(undefined, {
+        details: "Content table read did not finish before the deadline",
+        cause: error,
+      });
+    }
+
+    throw new BackendError(undefined, {
+      details: `Content table read failed: ${error.name}`,
+      cause: error,
+      retryable: !NON_RETRYABLE_ERRORS.has(error.name),
+    });
+  }
+}
+
+/**
+ * Gets the DynamoDB document client, created on first use
+ * @returns {DynamoDBDocumentClient} Document client
+ */
+function getDocumentClient() {
+  if (!documentClient) {
+    // Retries are left to retryWithBackoff in getContentMetadata, so each
+    // attempt there is one DynamoDB call under the request deadline
+    documentClient = DynamoDBDocumentClient.from(
+      new DynamoDBClient({ maxAttempts: 1 })
+    );
+  }
+  return documentClient;
+}
@@ -0,0 +1,311 @@
+/**
+ * JSON-LD resolver module
+ *
+ * This module resolves content metadata from the schema.org JSON-LD blocks
+ * (<script type="application/ld+json">) embedded in the content URL's page.
+ * It is registered as the "jsonld" resolver; point URL scheme entries at it
+ * with resolver: "jsonld".
+ *
+ * Blocks may hold a single node, an array of nodes or an @graph, and
+ * { "@id": ... } references to other nodes on the page are followed. The
+ * first node of the highest priority type describes the content:
+ *
+ *   | Node type                           | Response                       |
+ *   | ----------------------------------- | ------------------------------ |
+ *   | VideoObject                         | video (link without embedUrl)  |
+ *   | Article, NewsArticle, BlogPosting.. | link with thumbnail            |
+ *   | Product                             | link with thumbnail            |
+ *   | ImageObject                         | photo                          |
+ *
+ * Mapped properties: name/headline (title), author/creator (or a product's
+ * brand), embedUrl, width/height, thumbnailUrl/image (thumbnail), duration
+ * (ISO 8601, returned as the duration extension field in seconds) and
+ * dateModified/uploadDate/datePublished (Last-Modified).
+ *
+ * Pages without a supported node throw ContentNotFoundError. Pages are
+ * fetched with fetchContentPage (resolvers/page.mjs), so the SSRF guard and
+ * the usual HTTP status mapping apply.
+ *
+ * @module integration/resolvers/jsonld
+ */
+
+import {
+  fetchContentPage,
+  toAbsoluteUrl,
+  toDimension,
+  withoutEmpty,
+} from "./page.mjs";
+import { ContentNotFoundError } from "../../utils/errors.mjs";
+import { logDebug } from "../../utils/logger.mjs";
+import { sanitizeText } from "../../utils/security.mjs";
+
+const ARTICLE_TYPES = [
+  "Article",
+  "NewsArticle",
+  "BlogPosting",
+  "TechArticle",
+  "ScholarlyArticle",
+  "Report",
+];
+
+// Node types describing the content, highest priority first. Images come
+// last because article pages usually also describe their images.
+const CONTENT_NODE_TYPES = Object.freeze([
+  ["VideoObject"],
+  ARTICLE_TYPES,
+  ["Product"],
+  ["ImageObject"],
+]);
+
+/**
+ * Resolves content metadata from the page's JSON-LD
+ *
+ * @param {string} _contentId - Content ID (unused, the page URL is fetched)
+ * @param {Object} contentParams - Parsed content parameters
+ * @param {string} correlationId - Request correlation ID
+ * @returns {Promise<Object>} Content metadata
+ * @throws {OembedError} When the page can't be fetched or has no supported node
+ */
+export async function fetchJsonLdMetadata(
+  _contentId,
+  contentParams,
+  correlationId
+) {
+  const pageUrl = contentParams.url;
+  const html = await fetchContentPage(contentParams, correlationId);
+
+  const nodes = extractJsonLdNodes(html, correlationId);
+  const resolve = createReferenceResolver(nodes);
+
+  for (const types of CONTENT_NODE_TYPES) {
+    const node = nodes.find((candidate) => hasType(candidate, types));
+    if (node) {
+      return mapNode(node, resolve, pageUrl);
+    }
+  }
+
+  throw new ContentNotFoundError(undefined, {
+    details: `No supported JSON-LD node on ${pageUrl}`,
+  });
+}
+
+/**
+ * Maps a content node to the metadata shape expected by the response builder
+ * @param {Object} node - JSON-LD node
+ * @param {Function} resolve - Follows { "@id" } references
+ * @param {string} pageUrl - Page URL, for resolving relative URLs
+ * @returns {Object} Content metadata
+ */
+function mapNode(node, resolve, pageUrl) {
+  const toUrl = (value) => toAbsoluteUrl(value, pageUrl);
+  const author = getAuthor(
+    resolve(node.author ?? node.creator ?? node.brand),
+    resolve
+  );
+
+  const metadata = {
+    type: "link",
+    title: sanitizeText(toText(node.name) || toText(node.headline)),
+    author_name: author.name && sanitizeText(author.name),
+    author_url: toUrl(author.url),
+    _last_modified:
+      toText(node.dateModified) ||
+      toText(node.uploadDate) ||
+      toText(node.datePublished),
+  };
+
+  if (hasType(node, ["ImageObject"])) {
+    const url = toUrl(node.contentUrl) || toUrl(node.url);
+    if (url) {
+      return withoutEmpty({
+        ...metadata,
+        type: "photo",
+        title: metadata.title || sanitizeText(toText(node.caption)),
+        url,
+        width: toDimension(getValue(node.width)),
+        height: toDimension(getValue(node.height)),
+      });
+    }
+  }
+
+  const thumbnail = getImage(
+    resolve(node.thumbnailUrl ?? node.thumbnail ?? node.image),
+    resolve
+  );
+  Object.assign(metadata, {
+    thumbnail_url: toUrl(thumbnail.url),
+    thumbnail_width: thumbnail.width,
+    thumbnail_height: thumbnail.height,
+  });
+
+  if (hasType(node, ["VideoObject"])) {
+    metadata.duration = parseDuration(node.duration);
+
+    const embedUrl = toUrl(node.embedUrl);
+    if (embedUrl) {
+      Object.assign(metadata, {
+        type: "video",
+        embedUrl,
+        width: toDimension(getValue(node.width)),
+        height: toDimension(getValue(node.height)),
+      });
+    }
+  }
+
+  return withoutEmpty(metadata);
+}
+
+/**
+ * Extracts the JSON-LD nodes on a page
+ *
+ * Invalid blocks are skipped; arrays and @graph containers are flattened.
+ *
+ * @param {string} html - Page HTML
+ * @param {string} correlationId - Request correlation ID
+ * @returns {Object[]} JSON-LD nodes in page order
+ */
+function extractJsonLdNodes(html, correlationId) {
+  const nodes = [];
+  const scripts = html.matchAll(/<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi);
+
+  for (const [, attributes, content] of scripts) {
+    if (!/\btype\s*=\s*["']?application\/ld\+json\b/i.test(attributes)) {
+      continue;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      logDebug(
+        "JSONLD_BLOCK_INVALID",
+        "Skipping JSON-LD block that is not valid JSON",
+        { error: error.message },
+        correlationId
+      );
+      continue;
+    }
+
+    const pending = [data];
+    while (pending.length > 0) {
+      const item = pending.shift();
+      if (Array.isArray(item)) {
+        pending.push(...item);
+      } else if (item && typeof item === "object") {
+        if (Array.isArray(item["@graph"])) pending.push(...item["@graph"]);
+        if (item["@type"]) nodes.push(item);
+      }
+    }
+  }
+
+  return nodes;
+}
+
+/**
+ * Creates a function following { "@id" } references to nodes on the page
+ * @param {Object[]} nodes - JSON-LD nodes
+ * @returns {Function} Returns the referenced node, or the value itself
+ */
+function createReferenceResolver(nodes) {
+  const byId = new Map(
+    nodes.filter((node) => node["@id"]).map((node) => [node["@id"], node])
+  );
+
+  return (value) => {
+    const first = Array.isArray(value) ? value[0] : value;
+    if (first && typeof first === "object" && !first["@type"] && first["@id"]) {
+      return byId.get(first["@id"]) ?? first;
+    }
+    return first;
+  };
+}
+
+/**
+ * Checks whether a node has one of the given schema.org types
+ * @param {Object} node - JSON-LD node
+ * @param {string[]} types - Type names, e.g. ["VideoObject"]
+ * @returns {boolean} True when the node has one of the types
+ */
+function hasType(node, types) {
+  const nodeTypes = [].concat(node["@type"]);
+
+  return nodeTypes.some(
+    (type) =>
+      typeof type === "string" &&
+      types.includes(type.replace(/^(?:https?:\/\/schema\.org\/|schema:)/, ""))
+  );
+}
+
+/**
+ * Reads an author (Person, Organization or Brand node, or a plain name)
+ * @param {any} value - author, creator or brand value
+ * @param {Function} resolve - Follows { "@id" } references
+ * @returns {Object} { name, url }
+ */
+function getAuthor(value, resolve) {
+  if (typeof value === "string") return { name: value };
+  if (!value || typeof value !== "object") return {};
+
+  return {
+    name: toText(value.name),
+    url: toText(resolve(value.url)) || toText(value.sameAs),
+  };
+}
+
+/**
+ * Reads an image (URL, ImageObject node or a list of either)
+ * @param {any} value - thumbnailUrl, thumbnail or image value
+ * @param {Function} resolve - Follows { "@id" } references
+ * @returns {Object} { url, width, height }
+ */
+function getImage(value, resolve) {
+  if (typeof value === "string") return { url: value };
+  if (!value || typeof value !== "object") return {};
+
+  return {
+    url: toText(resolve(value.contentUrl)) || toText(resolve(value.url)),
+    width: toDimension(getValue(value.width)),
+    height: toDimension(getValue(value.height)),
+  };
+}
+
+/**
+ * Reads a QuantitativeValue or plain value
+ * @param {any} value - Value, or { value, unitCode } node
+ * @returns {any} Plain value
+ */
+function getValue(value) {
+  return value && typeof value === "object" ? value.value : value;
+}
+
+/**
+ * Reads a text value (the first one of a list)
+ * @param {any} value - Text or list of texts
+ * @returns {string} Text, or an empty string
+ */
+function toText(value) {
+  const first = Array.isArray(value) ? value[0] : value;
+  return typeof first === "string" ? first.trim() : "";
+}
+
+/**
+ * Parses an ISO 8601 duration
+ * @param {string} [value] - Duration, e.g. "PT4M32S"
+ * @returns {number|undefined} Duration in whole seconds, or undefined
+ */
+function parseDuration(value) {
+  const match =
+    typeof value === "string" &&
+    value.match(
+      /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i
+    );
+  if (!match || value.length <= 2) return undefined;
+
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return Math.round(
+    Number(days) * 86400 +
+      Number(hours) * 3600 +
+      Number(minutes) * 60 +
+      Number(seconds)
+  );
+}
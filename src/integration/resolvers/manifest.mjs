@@ -0,0 +1,411 @@
+/**
+ * JSON manifest resolver module
+ *
+ * This module resolves content metadata from static JSON documents, so a
+ * site can publish embeds without running a content API. It is registered
+ * as the "manifest" resolver; point URL scheme entries at it
+ * (resolver: "manifest") and set CONTENT_MANIFEST_SOURCE to either:
+ * - a directory, absolute or relative to the working directory (the
+ *   deployment package root on Lambda), e.g. "content"
+ * - an S3 location, e.g. "s3://my-bucket/oembed/"
+ *
+ * Documents use the format of the files in examples/ (an oEmbed response)
+ * and live at <type>/<contentId>.json under the source, where type is the
+ * URL scheme entry's type:
+ *
+ *   content/video/interactive-player.json
+ *   -> https://mybusiness.com/watch/interactive-player
+ *
+ * Documents are validated when loaded; invalid documents are logged and
+ * reported as non-retryable BackendErrors. Provider fields always come from
+ * the deployment configuration, and extension fields that aren't part of
+ * the oEmbed response (e.g. chapters) are kept unchanged.
+ *
+ * Directory documents are kept in memory once loaded. In local mode
+ * (sam local, or NODE_ENV=development) they are reloaded whenever the file
+ * changes, so edits show up without restarting.
+ *
+ * @module integration/resolvers/manifest
+ */
+
+import { readFile, stat } from "node:fs/promises";
+import path from "node:path";
+import { GetObjectCommand, S3Client } from "@aws-sdk/client-s3";
+import { getConfigValue } from "../../config/environment.mjs";
+import { validateAndSanitizeMetadata } from "../transform.mjs";
+import { getRemainingTime } from "../../utils/deadline.mjs";
+import {
+  BackendError,
+  BackendTimeoutError,
+  ContentNotFoundError,
+  isOembedError,
+} from "../../utils/errors.mjs";
+import { logDebug, logError } from "../../utils/logger.mjs";
+import { traceOperation } from "../../utils/xray.mjs";
+import {
+  CONTENT_MANIFEST,
+  ENV_VARS,
+  OEMBED,
+  REGEX_PATTERNS,
+} from "../../utils/constants.mjs";
+
+// Fields each content type must define (oEmbed specification)
+const REQUIRED_FIELDS = Object.freeze({
+  photo: ["url", "width", "height"],
+  video: ["html", "width", "height"],
+  rich: ["html", "width", "height"],
+  link: [],
+});
+
+// S3 errors caused by configuration rather than transient failures
+const NON_RETRYABLE_ERRORS = new Set(["AccessDenied", "NoSuchBucket"]);
+
+// Loaded directory documents by file path: { metadata, mtimeMs }
+const loadedDocuments = new Map();
+
+let s3Client = null;
+
+/**
+ * Resolves content metadata from a JSON manifest document
+ *
+ * @param {string} contentId - Content ID captured from the URL
+ * @param {Object} contentParams - Parsed content parameters
+ * @param {string} correlationId - Request correlation ID
+ * @returns {Promise<Object>} Content metadata
+ * @throws {OembedError} When the document is missing or invalid, or can't be read
+ */
+export async function fetchManifestMetadata(
+  contentId,
+  contentParams,
+  correlationId
+) {
+  const source = getConfigValue(ENV_VARS.CONTENT_MANIFEST_SOURCE, "");
+  if (!source) {
+    throw new BackendError(undefined, {
+      details: "CONTENT_MANIFEST_SOURCE is not configured",
+      retryable: false,
+    });
+  }
+
+  // The ID becomes part of a file path, so only plain IDs are looked up
+  if (!REGEX_PATTERNS.CONTENT_ID.test(String(contentId || ""))) {
+    throw new ContentNotFoundError();
+  }
+
+  const type = contentParams.contentType || "link";
+  const documentPath = `${type}/${contentId}${CONTENT_MANIFEST.FILE_EXTENSION}`;
+
+  const metadata = source.startsWith("s3://")
+    ? await loadS3Document(
+        source,
+        documentPath,
+        type,
+        contentParams.deadline,
+        correlationId
+      )
+    : await loadFileDocument(source, documentPath, type, correlationId);
+
+  return { ...metadata };
+}
+
+/**
+ * Validates a manifest document
+ *
+ * @param {any} document - Parsed JSON document
+ * @param {string} expectedType - oEmbed type of the document's directory
+ * @returns {Object} Validation result with isValid flag and error
+ */
+export function validateManifestDocument(document, expectedType) {
+  if (!document || typeof document !== "object" || Array.isArray(document)) {
+    return { isValid: false, error: "Document must be a JSON object" };
+  }
+  if (!OEMBED.CONTENT_TYPES.includes(document.type)) {
+    return { isValid: false, error: `Invalid type: ${document.type}` };
+  }
+  if (document.type !== expectedType) {
+    return {
+      isValid: false,
+      error: `Type ${document.type} does not match directory ${expectedType}`,
+    };
+  }
+  if (document.version !== undefined && document.version !== OEMBED.VERSION) {
+    return { isValid: false, error: `Unsupported version: ${document.version}` };
+  }
+
+  const missing = REQUIRED_FIELDS[document.type].filter(
+    (field) => document[field] === undefined || document[field] === ""
+  );
+  if (missing.length > 0) {
+    return {
+      isValid: false,
+      error: `Missing required fields for ${document.type}: ${missing.join(", ")}`,
+    };
+  }
+
+  for (const field of ["width", "height", "thumbnail_width", "thumbnail_height"]) {
+    const value = document[field];
+    if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+      return { isValid: false, error: `${field} must be a positive integer` };
+    }
+  }
+  for (const field of ["title", "author_name", "html", "url", "thumbnail_url"]) {
+    if (document[field] !== undefined && typeof document[field] !== "string") {
+      return { isValid: false, error: `${field} must be a string` };
+    }
+  }
+
+  return { isValid: true };
+}
+
+/**
+ * Loads a document from a directory, reusing the loaded copy
+ * @param {string} directory - Manifest directory
+ * @param {string} documentPath - Document path relative to the directory
+ * @param {string} type - Expected oEmbed type
+ * @param {string} correlationId - Request correlation ID
+ * @returns {Promise<Object>} Sanitized metadata
+ */
+async function loadFileDocument(directory, documentPath, type, correlationId) {
+  const filePath = path.resolve(directory, documentPath);
+  const loaded = loadedDocuments.get(filePath);
+
+  if (loaded && !isLocalMode()) {
+    return loaded.metadata;
+  }
+
+  let stats;
+  try {
+    stats = await stat(filePath);
+  } catch (error) {
+    loadedDocuments.delete(filePath);
+    throw toFileError(error, documentPath);
+  }
+
+  if (loaded && loaded.mtimeMs === stats.mtimeMs) {
+    return loaded.metadata;
+  }
+  if (stats.size > CONTENT_MANIFEST.MAX_DOCUMENT_BYTES) {
+    throw invalidDocument(documentPath, "Document is too large", correlationId);
+  }
+
+  let text;
+  try {
+    text = await readFile(filePath, "utf8");
+  } catch (error) {
+    throw toFileError(error, documentPath);
+  }
+
+  const metadata = parseDocument(text, documentPath, type, correlationId, {
+    lastModified: stats.mtime,
+  });
+  loadedDocuments.set(filePath, { metadata, mtimeMs: stats.mtimeMs });
+
+  logDebug(
+    "MANIFEST_DOCUMENT_LOADED",
+    loaded ? "Reloaded changed manifest document" : "Loaded manifest document",
+    { documentPath },
+    correlationId
+  );
+
+  return metadata;
+}
+
+/**
+ * Loads a document from S3
+ * @param {string} source - s3://bucket/prefix location
+ * @param {string} documentPath - Document path relative to the prefix
+ * @param {string} type - Expected oEmbed type
+ * @param {number|null} deadline - Request deadline in epoch milliseconds
+ * @param {string} correlationId - Request correlation ID
+ * @returns {Promise<Object>} Sanitized metadata
+ */
+async function loadS3Document(
+  source,
+  documentPath,
+  type,
+  deadline,
+  correlationId
+) {
+  const [bucket, ...prefixParts] = source.slice("s3://".length).split("/");
+  const prefix = prefixParts.filter(Boolean).join("/");
+  const key = prefix ? `${prefix}/${documentPath}` : documentPath;
+  const remaining = getRemainingTime(deadline);
+
+  let response;
+  let text;
+  try {
+    ({ response, text } = await traceOperation(
+      "content_manifest_get",
+      async () => {
+        const result = await getS3Client().send(
+          new GetObjectCommand({ Bucket: bucket, Key: key }),
+          {
+            abortSignal: Number.isFinite(remaining)
+              ? AbortSignal.timeout(Math.max(1, remaining))
+              : undefined,
+          }
+        );
+        if (result.ContentLength > CONTENT_MANIFEST.MAX_DOCUMENT_BYTES) {
+          result.Body?.destroy?.();
+          throw invalidDocument(
+            documentPath,
+            "Document is too large",
+            correlationId
+          );
+        }
+        return { response: result, text: await result.Body.transformToString() };
+      },
+      { bucket, key },
+      correlationId
+    ));
+  } catch (error) {
+    throw toS3Error(error, documentPath);
+  }
+
+  return parseDocument(text, documentPath, type, correlationId, {
+    lastModified: response.LastModified,
+  });
+}
+
+/**
+ * Parses, validates and sanitizes a document
+ * @param {string} text - Document text
+ * @param {string} documentPath - Document path, for errors
+ * @param {string} type - Expected oEmbed type
+ * @param {string} correlationId - Request correlation ID
+ * @param {Object} options - Source details
+ * @param {Date} [options.lastModified] - Document update time
+ * @returns {Object} Sanitized metadata
+ * @throws {BackendError} When the document is not valid
+ */
+function parseDocument(
+  text,
+  documentPath,
+  type,
+  correlationId,
+  { lastModified }
+) {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    throw invalidDocument(
+      documentPath,
+      `Invalid JSON: ${error.message}`,
+      correlationId
+    );
+  }
+
+  const validation = validateManifestDocument(document, type);
+  if (!validation.isValid) {
+    throw invalidDocument(documentPath, validation.error, correlationId);
+  }
+
+  const metadata = validateAndSanitizeMetadata(document, document.type);
+
+  if (lastModified && !metadata._last_modified) {
+    metadata._last_modified = lastModified.toISOString();
+  }
+
+  return metadata;
+}
+
+/**
+ * Logs an invalid document and creates its error
+ * @param {string} documentPath - Document path
+ * @param {string} reason - Validation failure
+ * @param {string} correlationId - Request correlation ID
+ * @returns {BackendError} Non-retryable error
+ */
+function invalidDocument(documentPath, reason, correlationId) {
+  logError(
+    "MANIFEST_DOCUMENT_INVALID",
+    "Manifest document failed validation",
+    { documentPath, reason },
+    correlationId
+  );
+
+  return new BackendError(undefined, {
+    details: `Invalid manifest document ${documentPath}: ${reason}`,
+    retryable: false,
+  });
+}
+
+/**
+ * Converts a file system failure into a typed error
+ * @param {Error} error - File system error
+ * @param {string} documentPath - Document path
+ * @returns {OembedError} Typed error
+ */
+function toFileError(error, documentPath) {
+  if (error.code === "ENOENT" || error.code === "ENOTDIR") {
+    return new ContentNotFoundError(undefined, {
+      details: `No manifest document ${documentPath}`,
+    });
+  }
+
+  return new BackendError(undefined, {
+    details: `Manifest document ${documentPath} can't be read: ${error.code}`,
+    cause: error,
+    retryable: false,
+  });
+}
+
+/**
+ * Converts an S3 failure into a typed error
+ * @param {Error} error - S3 or validation error
+ * @param {string} documentPath - Document path
+ * @returns {OembedError} Typed error
+ */
+function toS3Error(error, documentPath) {
+  if (isOembedError(error)) return error;
+
+  if (error.name === "NoSuchKey") {
+    return new ContentNotFoundError(undefined, {
+      details: `No manifest document ${documentPath}`,
+    });
+  }
+
+  if (error.name === "AbortError" || error.name === "TimeoutError") {
+    return new BackendTimeoutError(undefined, {
+      details: "Manifest document read did not finish before the deadline",
+      cause: error,
+    });
+  }
+
+  return new BackendError(undefined, {
+    details: `Manifest document read failed: ${error.name}`,
+    cause: error,
+    retryable: !NON_RETRYABLE_ERRORS.has(error.name),
+  });
+}
+
+/**
+ * Whether documents should be reloaded when they change
+ * @returns {boolean} True under sam local or NODE_ENV=development
+ */
+function isLocalMode() {
+  return (
+    getConfigValue(ENV_VARS.AWS_SAM_LOCAL, "") === "true" ||
+    getConfigValue(ENV_VARS.NODE_ENV, "") === "development"
+  );
+}
+
+/**
+ * Gets the S3 client, created on first use
+ * @returns {S3Client} S3 client
+ */
+function getS3Client() {
+  if (!s3Client) {
+    // Retries are left to retryWithBackoff in getContentMetadata
+    s3Client = new S3Client({ maxAttempts: 1 });
+  }
+  return s3Client;
+}
+
+/**
+ * Forgets loaded directory documents (mainly for tests)
+ */
+export function resetManifestDocuments() {
+  loadedDocuments.clear();
+}
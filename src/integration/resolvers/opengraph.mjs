@@ -0,0 +1,174 @@
+/**
+ * Open Graph resolver module
+ *
+ * This module resolves content metadata by fetching the content URL's page
+ * and reading its Open Graph and Twitter Card tags, so pages without a
+ * structured backend still get a real title, image and player. It is
+ * registered as the "opengraph" resolver; point URL scheme entries at it
+ * (typically the fallback entry) with resolver: "opengraph".
+ *
+ * Tags read (the first occurrence of each wins):
+ * - og:title, twitter:title, then <title> - title
+ * - article:author - author_url when it is a URL, author_name otherwise
+ *   (with <meta name="author"> as the name fallback)
+ * - og:image (+ :width/:height), twitter:image - photo URL or thumbnail
+ * - twitter:player (+ :width/:height), og:video (+ :width/:height) - player
+ *
+ * The response type comes from og:type (or twitter:card): video types with
+ * a player become video, photo pages with an image become photo, anything
+ * else is a link. Relative URLs are resolved against the page URL and only
+ * http(s) URLs are kept.
+ *
+ * Pages are fetched with fetchContentPage (resolvers/page.mjs), so the SSRF
+ * guard applies and HTTP errors map to the usual typed errors
+ * (404 -> ContentNotFoundError, 410 -> ContentGoneError, ...).
+ *
+ * @module integration/resolvers/opengraph
+ */
+
+import {
+  decodeEntities,
+  fetchContentPage,
+  toAbsoluteUrl,
+  toDimension,
+  withoutEmpty,
+} from "./page.mjs";
+import { sanitizeText } from "../../utils/security.mjs";
+
+/**
+ * Resolves content metadata from the page's Open Graph tags
+ *
+ * @param {string} _contentId - Content ID (unused, the page URL is fetched)
+ * @param {Object} contentParams - Parsed content parameters
+ * @param {string} correlationId - Request correlation ID
+ * @returns {Promise<Object>} Content metadata
+ * @throws {OembedError} When the page can't be fetched or isn't HTML
+ */
+export async function fetchOpenGraphMetadata(
+  _contentId,
+  contentParams,
+  correlationId
+) {
+  const html = await fetchContentPage(contentParams, correlationId);
+
+  return mapPageMetadata(parsePageTags(html), contentParams.url);
+}
+
+/**
+ * Maps page tags to the metadata shape expected by the response builder
+ * @param {Object} page - Parsed page tags
+ * @param {Map<string, string>} page.meta - Meta tag content by property/name
+ * @param {string} [page.title] - Document title
+ * @param {string} pageUrl - Page URL, for resolving relative URLs
+ * @returns {Object} Content metadata
+ */
+function mapPageMetadata({ meta, title }, pageUrl) {
+  const get = (name) => meta.get(name);
+  const toUrl = (value) =>
+    value ? toAbsoluteUrl(decodeEntities(value), pageUrl) : undefined;
+
+  const ogType = (get("og:type") || "").toLowerCase();
+  const card = (get("twitter:card") || "").toLowerCase();
+
+  const twitterPlayer = toUrl(get("twitter:player"));
+  const ogVideo = toUrl(
+    get("og:video:secure_url") || get("og:video:url") || get("og:video")
+  );
+  const image = toUrl(
+    get("og:image:secure_url") ||
+      get("og:image") ||
+      get("og:image:url") ||
+      get("twitter:image")
+  );
+  const imageSize = {
+    width: toDimension(get("og:image:width")),
+    height: toDimension(get("og:image:height")),
+  };
+
+  const metadata = {
+    type: "link",
+    title: sanitizeText(
+      decodeEntities(get("og:title") || get("twitter:title") || title || "")
+    ),
+  };
+
+  // article:author is usually a profile URL, but some sites put the name in it
+  const author = decodeEntities(get("article:author") || "");
+  const authorUrl = /^https?:\/\//i.test(author) ? toUrl(author) : undefined;
+  if (authorUrl) {
+    metadata.author_url = authorUrl;
+  }
+  const authorName = authorUrl ? get("author") : author || get("author");
+  if (authorName) {
+    metadata.author_name = sanitizeText(decodeEntities(authorName));
+  }
+
+  const isVideo = ogType.startsWith("video") || card === "player";
+  const isPhoto = ["photo", "image"].includes(ogType) || card === "photo";
+
+  if (isVideo && (twitterPlayer || ogVideo)) {
+    const prefix = twitterPlayer ? "twitter:player" : "og:video";
+    Object.assign(metadata, {
+      type: "video",
+      embedUrl: twitterPlayer || ogVideo,
+      width: toDimension(get(`${prefix}:width`)),
+      height: toDimension(get(`${prefix}:height`)),
+    });
+  } else if (isPhoto && image) {
+    Object.assign(metadata, { type: "photo", url: image, ...imageSize });
+    return withoutEmpty(metadata);
+  }
+
+  if (image) {
+    Object.assign(metadata, {
+      thumbnail_url: image,
+      thumbnail_width: imageSize.width,
+      thumbnail_height: imageSize.height,
+    });
+  }
+
+  return withoutEmpty(metadata);
+}
+
+/**
+ * Extracts meta tags and the title from a page
+ *
+ * Only the document head is scanned when it can be found.
+ *
+ * @param {string} html - Page HTML
+ * @returns {Object} { meta: Map of lowercase property/name to content, title }
+ */
+function parsePageTags(html) {
+  const headEnd = html.search(/<\/head\s*>/i);
+  const head = headEnd === -1 ? html : html.slice(0, headEnd);
+  const meta = new Map();
+
+  for (const [tag] of head.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    const name = (attributes.property || attributes.name || "").toLowerCase();
+    if (name && attributes.content !== undefined && !meta.has(name)) {
+      meta.set(name, attributes.content.trim());
+    }
+  }
+
+  const titleMatch = head.match(/<title\b[^>]*>([^<]*)<\/title\s*>/i);
+
+  return { meta, title: titleMatch ? titleMatch[1].trim() : undefined };
+}
+
+/**
+ * Parses the attributes of a tag
+ * @param {string} tag - Tag source, e.g. <meta property="og:title" content="...">
+ * @returns {Object} Attribute values by lowercase name
+ */
+function parseAttributes(tag) {
+  const attributes = {};
+  const pattern = /([^\s=/<>"']+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+
+  for (const match of tag.matchAll(pattern)) {
+    const [, name, doubleQuoted, singleQuoted, unquoted] = match;
+    attributes[name.toLowerCase()] = doubleQuoted ?? singleQuoted ?? unquoted;
+  }
+
+  return attributes;
+}
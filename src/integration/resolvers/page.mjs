@@ -0,0 +1,158 @@
+/**
+ * Page resolver helpers module
+ *
+ * Shared helpers for resolvers that read metadata from the content URL's
+ * HTML page (opengraph, jsonld): fetching the page and normalizing the
+ * URLs, dimensions and text found in it.
+ *
+ * fetchContentPage fetches a lookup's page once, so page resolvers chained
+ * for the same lookup (e.g. ["jsonld", "opengraph"]) share one download.
+ *
+ * @module integration/resolvers/page
+ */
+
+import { makeBackendRequest } from "../backend-client.mjs";
+import { BackendError } from "../../utils/errors.mjs";
+import { OPEN_GRAPH } from "../../utils/constants.mjs";
+
+// Named character references common in tag content
+const NAMED_ENTITIES = Object.freeze({
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+});
+
+// In-flight and fetched pages by lookup (contentParams object). Entries go
+// away with their lookup; failed fetches are dropped so retries refetch.
+const lookupPages = new WeakMap();
+
+/**
+ * Fetches the HTML page of a lookup's content URL, once per lookup
+ *
+ * @param {Object} contentParams - Parsed content parameters of the lookup
+ * @param {string} contentParams.url - Content URL
+ * @param {number|null} [contentParams.deadline] - Request deadline in epoch milliseconds
+ * @param {string} [correlationId] - Request correlation ID
+ * @returns {Promise<string>} Page HTML
+ * @throws {OembedError} When the page can't be fetched or isn't HTML
+ */
+export function fetchContentPage(contentParams, correlationId) {
+  const cached = lookupPages.get(contentParams);
+  if (cached && cached.url === contentParams.url) {
+    return cached.html;
+  }
+
+  const html = fetchPageHtml(contentParams.url, {
+    deadline: contentParams.deadline,
+    correlationId,
+  });
+  const entry = { url: contentParams.url, html };
+  lookupPages.set(contentParams, entry);
+
+  html.catch(() => {
+    if (lookupPages.get(contentParams) === entry) {
+      lookupPages.delete(contentParams);
+    }
+  });
+
+  return html;
+}
+
+/**
+ * Fetches a content page's HTML
+ *
+ * Pages are fetched through the backend client without backend credentials,
+ * so they go through the SSRF guard and map HTTP errors to the usual typed
+ * errors (404 -> ContentNotFoundError, 410 -> ContentGoneError, ...).
+ *
+ * @param {string} pageUrl - Page URL
+ * @param {Object} [options={}] - Request options
+ * @param {number|null} [options.deadline] - Request deadline in epoch milliseconds
+ * @param {string} [options.correlationId] - Request correlation ID
+ * @returns {Promise<string>} Page HTML
+ * @throws {OembedError} When the page can't be fetched or isn't HTML
+ */
+export async function fetchPageHtml(pageUrl, options = {}) {
+  const html = await makeBackendRequest(pageUrl, {
+    headers: { Accept: OPEN_GRAPH.ACCEPT },
+    credentials: false,
+    maxResponseBytes: OPEN_GRAPH.MAX_PAGE_BYTES,
+    deadline: options.deadline,
+    correlationId: options.correlationId,
+  });
+
+  if (typeof html !== "string") {
+    throw new BackendError(undefined, {
+      details: `${pageUrl} did not return an HTML page`,
+      retryable: false,
+    });
+  }
+
+  return html;
+}
+
+/**
+ * Decodes HTML character references
+ * @param {string} text - Text with character references
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(text) {
+  const pattern = /&(#x[0-9a-f]{1,6}|#\d{1,7}|[a-z]{2,6});/gi;
+
+  return text.replace(pattern, (match, ref) => {
+    if (ref[0] !== "#") {
+      return NAMED_ENTITIES[ref.toLowerCase()] ?? match;
+    }
+
+    const codePoint =
+      ref[1].toLowerCase() === "x"
+        ? parseInt(ref.slice(2), 16)
+        : parseInt(ref.slice(1), 10);
+    return codePoint > 0 && codePoint <= 0x10ffff
+      ? String.fromCodePoint(codePoint)
+      : match;
+  });
+}
+
+/**
+ * Resolves a URL found in a page against the page URL
+ * @param {string} [value] - URL from the page
+ * @param {string} pageUrl - Page URL
+ * @returns {string|undefined} Absolute http(s) URL, or undefined
+ */
+export function toAbsoluteUrl(value, pageUrl) {
+  if (!value || typeof value !== "string") return undefined;
+
+  try {
+    const url = new URL(value.trim(), pageUrl);
+    return ["http:", "https:"].includes(url.protocol) ? url.href : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Parses a pixel dimension
+ * @param {number|string} [value] - Dimension, e.g. 640, "640" or "640px"
+ * @returns {number|undefined} Positive integer, or undefined
+ */
+export function toDimension(value) {
+  const number = Number(String(value ?? "").trim().replace(/px$/i, ""));
+  return Number.isInteger(number) && number > 0 ? number : undefined;
+}
+
+/**
+ * Drops undefined and empty string fields
+ * @param {Object} metadata - Metadata
+ * @returns {Object} Metadata without empty fields
+ */
+export function withoutEmpty(metadata) {
+  return Object.fromEntries(
+    Object.entries(metadata).filter(
+      ([, value]) => value !== undefined && value !== ""
+    )
+  );
+}
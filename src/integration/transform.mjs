@@ -0,0 +1,423 @@
+/**
+ * Backend data transformation module
+ *
+ * This module maps records from your content system to oEmbed metadata and
+ * validates the result, so every resolver (the built-in DynamoDB resolver
+ * and your own) projects backend fields the same way:
+ * - transformBackendData maps common field names (title/name/headline,
+ *   author.name, imageUrl, embedCode, updatedAt, ...) per content type
+ * - validateAndSanitizeMetadata enforces oEmbed types, valid URLs and
+ *   dimensions, and strips unsafe text and HTML
+ * - createEmptyMetadata is the placeholder used when a lookup fails
+ *
+ * @module integration/transform
+ */
+
+import { logError } from "../utils/logger.mjs";
+import { calculateConstrainedDimensions } from "../utils/helpers.mjs";
+import { config, getConfigValue } from "../config/environment.mjs";
+import { DEFAULT_CACHE_AGES, ENV_VARS } from "../utils/constants.mjs";
+
+// Fields validated by validateAndSanitizeMetadata: oEmbed fields and the
+// alternative response builder inputs, which are dropped unless valid.
+// Other fields are provider extension fields and are kept as they are.
+const STANDARD_FIELDS = new Set([
+  "type",
+  "version",
+  "title",
+  "description",
+  "author_name",
+  "author_url",
+  "provider_name",
+  "provider_url",
+  "cache_age",
+  "thumbnail_url",
+  "thumbnail_width",
+  "thumbnail_height",
+  "url",
+  "html",
+  "width",
+  "height",
+  "author",
+  "authorUrl",
+  "thumbnail",
+  "embedUrl",
+  "content",
+]);
+
+/**
+ * Creates empty metadata object for error cases
+ *
+ * The internal _placeholder flag keeps metadata caches from storing it.
+ *
+ * @returns {Object} Empty metadata object
+ */
+export function createEmptyMetadata() {
+  return {
+    type: "link",
+    title: "Content Not Available",
+    cache_age: 300, // Short cache for errors
+    _placeholder: true,
+  };
+}
+
+/**
+ * Enhanced metadata validator and sanitizer
+ *
+ * This function validates and sanitizes metadata to ensure oEmbed specification
+ * compliance and security best practices. Photos without a valid image URL
+ * are returned as links, since a photo response requires one. Provider
+ * extension fields (e.g. application_info) are kept unchanged for the
+ * response builder; keys starting with "_" other than _last_modified are
+ * dropped.
+ *
+ * @param {Object} metadata - Raw metadata object
+ * @param {string} contentType - Expected content type
+ * @returns {Object} Validated and sanitized metadata
+ */
+export function validateAndSanitizeMetadata(metadata, contentType) {
+  const sanitized = {
+    type: contentType,
+    version: "1.0", // oEmbed version is always 1.0
+  };
+
+  // Required fields validation
+  if (typeof metadata.title === "string" && metadata.title.trim()) {
+    sanitized.title = sanitizeString(metadata.title);
+  }
+
+  // Provider information (should come from environment variables)
+  Object.assign(sanitized, getProviderInfo());
+
+  // Optional author information
+  if (typeof metadata.author_name === "string" && metadata.author_name.trim()) {
+    sanitized.author_name = sanitizeString(metadata.author_name);
+  }
+  if (isValidUrl(metadata.author_url)) {
+    sanitized.author_url = metadata.author_url;
+  }
+
+  // Optional description (documented for links, kept for every type)
+  if (typeof metadata.description === "string" && metadata.description.trim()) {
+    sanitized.description = sanitizeString(metadata.description);
+  }
+
+  // Cache age validation
+  if (typeof metadata.cache_age === "number" && metadata.cache_age > 0) {
+    sanitized.cache_age = Math.min(metadata.cache_age, 86400 * 7); // Max 7 days
+  } else {
+    sanitized.cache_age = DEFAULT_CACHE_AGES[contentType] || 3600;
+  }
+
+  // Type-specific validation
+  switch (contentType) {
+    case "photo":
+      // A photo without a valid image URL can't be embedded, answer as a link
+      if (!isValidUrl(metadata.url)) {
+        sanitized.type = "link";
+        break;
+      }
+      sanitized.url = metadata.url;
+      if (isValidDimension(metadata.width)) {
+        sanitized.width = metadata.width;
+      }
+      if (isValidDimension(metadata.height)) {
+        sanitized.height = metadata.height;
+      }
+      break;
+
+    case "video":
+    case "rich":
+      if (typeof metadata.html === "string" && metadata.html.trim()) {
+        sanitized.html = sanitizeHtml(metadata.html);
+      }
+      if (isValidDimension(metadata.width)) {
+        sanitized.width = metadata.width;
+      }
+      if (isValidDimension(metadata.height)) {
+        sanitized.height = metadata.height;
+      }
+      break;
+
+    case "link":
+      // Link type only requires basic metadata
+      break;
+  }
+
+  // Thumbnail validation (optional for all types)
+  if (isValidUrl(metadata.thumbnail_url)) {
+    sanitized.thumbnail_url = metadata.thumbnail_url;
+    if (isValidDimension(metadata.thumbnail_width)) {
+      sanitized.thumbnail_width = metadata.thumbnail_width;
+    }
+    if (isValidDimension(metadata.thumbnail_height)) {
+      sanitized.thumbnail_height = metadata.thumbnail_height;
+    }
+  }
+
+  // Update timestamp for Last-Modified (internal, never returned)
+  if (metadata._last_modified) {
+    sanitized._last_modified = metadata._last_modified;
+  }
+
+  // Provider extension fields
+  for (const [key, value] of Object.entries(metadata)) {
+    if (
+      !STANDARD_FIELDS.has(key) &&
+      !key.startsWith("_") &&
+      value !== undefined &&
+      value !== null
+    ) {
+      sanitized[key] = value;
+    }
+  }
+
+  return sanitized;
+}
+
+/**
+ * Transforms your backend data to oEmbed format with comprehensive mapping
+ * @param {Object} backendData - Raw data from your backend
+ * @param {string} contentType - Content type (video, photo, rich, link)
+ * @param {Object} [options={}] - Transformation options
+ * @returns {Object} oEmbed formatted metadata
+ */
+export function transformBackendData(backendData, contentType, options = {}) {
+  if (!backendData || typeof backendData !== "object") {
+    logError(
+      "TRANSFORM_ERROR",
+      "Invalid backend data provided for transformation",
+      { backendData, contentType }
+    );
+    return createEmptyMetadata();
+  }
+
+  // Base metadata structure
+  const baseMetadata = {
+    type: contentType,
+    version: "1.0",
+    cache_age: DEFAULT_CACHE_AGES[contentType] || 3600,
+  };
+
+  try {
+    // Common field mappings - customize these for your backend structure
+    const transformed = {
+      ...baseMetadata,
+
+      // Title mapping - try multiple possible field names
+      title:
+        backendData.title ||
+        backendData.name ||
+        backendData.headline ||
+        backendData.subject ||
+        `${contentType} content`,
+
+      // Author mapping
+      author_name:
+        backendData.author?.name ||
+        backendData.creator?.name ||
+        backendData.author_name ||
+        backendData.creator,
+
+      author_url:
+        backendData.author?.url ||
+        backendData.creator?.url ||
+        backendData.author_url,
+
+      // Provider information (from environment)
+      ...getProviderInfo(),
+
+      // Cache age
+      cache_age:
+        backendData.cache_age ||
+        backendData.ttl ||
+        DEFAULT_CACHE_AGES[contentType] ||
+        3600,
+
+      // Update timestamp for Last-Modified (internal, never returned)
+      _last_modified:
+        backendData.updatedAt ||
+        backendData.updated_at ||
+        backendData.lastModified ||
+        backendData.modified,
+    };
+
+    // Type-specific transformations
+    switch (contentType) {
+      case "photo":
+        Object.assign(transformed, {
+          url:
+            backendData.imageUrl ||
+            backendData.url ||
+            backendData.src ||
+            backendData.image?.url,
+          width:
+            backendData.width ||
+            backendData.dimensions?.width ||
+            backendData.image?.width,
+          height:
+            backendData.height ||
+            backendData.dimensions?.height ||
+            backendData.image?.height,
+        });
+        break;
+
+      case "video":
+        Object.assign(transformed, {
+          width: backendData.width || backendData.dimensions?.width || 1920,
+          height: backendData.height || backendData.dimensions?.height || 1080,
+          html:
+            backendData.embedCode ||
+            backendData.html ||
+            generateVideoEmbed(backendData, options),
+        });
+        break;
+
+      case "rich":
+        Object.assign(transformed, {
+          width: backendData.width || backendData.dimensions?.width || 500,
+          height: backendData.height || backendData.dimensions?.height || 300,
+          html:
+            backendData.embedCode ||
+            backendData.html ||
+            backendData.content ||
+            `<div>${backendData.description || "Rich content"}</div>`,
+        });
+        break;
+
+      case "link":
+        // Link type only needs basic metadata
+        if (backendData.description) {
+          transformed.description = backendData.description;
+        }
+        break;
+    }
+
+    // Thumbnail mapping (optional for all types)
+    if (backendData.thumbnail || backendData.thumb) {
+      const thumb = backendData.thumbnail || backendData.thumb;
+      transformed.thumbnail_url = thumb.url || thumb.src || thumb;
+      if (thumb.width) transformed.thumbnail_width = thumb.width;
+      if (thumb.height) transformed.thumbnail_height = thumb.height;
+    }
+
+    // Validate and sanitize the transformed data
+    return validateAndSanitizeMetadata(transformed, contentType);
+  } catch (error) {
+    logError("TRANSFORM_ERROR", "Error transforming backend data", {
+      error: error.message,
+      backendData,
+      contentType,
+    });
+    return createEmptyMetadata();
+  }
+}
+
+/**
+ * Gets the configured provider name and URL
+ * @returns {Object} provider_name and provider_url
+ */
+function getProviderInfo() {
+  return {
+    provider_name: getConfigValue(ENV_VARS.PROVIDER_NAME, config.providerName),
+    provider_url: getConfigValue(ENV_VARS.PROVIDER_URL, config.providerUrl),
+  };
+}
+
+/**
+ * Generates a secure video embed HTML for video content
+ * @param {Object} videoData - Video data from backend
+ * @param {Object} options - Generation options
+ * @returns {string} Video embed HTML
+ */
+function generateVideoEmbed(videoData, options = {}) {
+  const videoUrl = videoData.videoUrl || videoData.embedUrl || videoData.url;
+  const { width, height } = calculateConstrainedDimensions(
+    parseInt(videoData.width, 10),
+    parseInt(videoData.height, 10),
+    parseInt(options.maxwidth, 10) || 2048,
+    parseInt(options.maxheight, 10) || 2048,
+    { width: 1920, height: 1080 }
+  );
+
+  if (!videoUrl || !isValidUrl(videoUrl)) {
+    return "<div>Video not available</div>";
+  }
+
+  // Ensure HTTPS for security
+  const secureUrl = videoUrl.replace(/^http:/, 'https:');
+
+  // Escape HTML attributes to prevent injection
+  const escapedUrl = secureUrl.replace(/"/g, '&quot;').replace(/'/g, '&#x27;');
+
+  return `<iframe src="${escapedUrl}" width="${width}" height="${height}" frameborder="0" allowfullscreen sandbox="allow-scripts allow-same-origin allow-presentation"></iframe>`;
+}
+
+/**
+ * Utility functions for validation and sanitization
+ */
+
+/**
+ * Validates if a string is a valid URL
+ * @param {string} url - URL to validate
+ * @returns {boolean} True if valid URL
+ */
+function isValidUrl(url) {
+  if (typeof url !== "string") return false;
+  try {
+    new URL(url);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validates if a value is a valid dimension (positive integer)
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid dimension
+ */
+function isValidDimension(value) {
+  return typeof value === "number" && value > 0 && Number.isInteger(value);
+}
+
+/**
+ * Sanitizes a string by removing potentially harmful content
+ * @param {string} str - String to sanitize
+ * @returns {string} Sanitized string
+ */
+function sanitizeString(str) {
+  if (typeof str !== "string") return "";
+
+  // Enhanced string sanitization
+  return str
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, "") // Remove control characters
+    .replace(/<[^>]*>/g, "") // Remove HTML tags
+    .replace(/javascript:/gi, "") // Remove javascript: URLs
+    .replace(/data:/gi, "") // Remove data: URLs
+    .trim()
+    .substring(0, 500); // Limit length and trim whitespace
+}
+
+/**
+ * Enhanced HTML sanitization for embed content
+ * @param {string} html - HTML to sanitize
+ * @returns {string} Sanitized HTML
+ */
+function sanitizeHtml(html) {
+  if (typeof html !== "string") return "";
+
+  // Enhanced sanitization to prevent XSS attacks
+  return html
+    .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, "") // Remove scripts
+    .replace(/<iframe\b[^>]*(?:(?!src=["']https?:\/\/)[^>])*>/gi, "") // Remove non-HTTPS iframes
+    .replace(/javascript:/gi, "") // Remove javascript: URLs
+    .replace(/data:/gi, "") // Remove data: URLs
+    .replace(/vbscript:/gi, "") // Remove vbscript: URLs
+    .replace(/on\w+\s*=/gi, "") // Remove event handlers
+    .replace(/<(object|embed|applet|form|input|textarea|select|button)\b[^>]*>/gi, "") // Remove dangerous tags
+    .replace(/<\/?(object|embed|applet|form|input|textarea|select|button)\b[^>]*>/gi, "")
+    .replace(/style\s*=\s*["'][^"']*expression\s*\([^"']*["']/gi, "") // Remove CSS expressions
+    .trim()
+    .substring(0, 10000); // Limit HTML length
+}
@@ -0,0 +1,181 @@
+/**
+ * oEmbed discovery module
+ *
+ * This module builds oEmbed discovery links for content pages according to
+ * section 4 of the oEmbed 1.0 specification. It produces both the HTML
+ * <link rel="alternate"> tags and the equivalent HTTP Link header, using the
+ * same URL authorization rules as the oEmbed endpoint so that advertised
+ * links always resolve.
+ *
+ * Site renderers can import buildDiscoveryLinks() directly instead of
+ * hand-building discovery tags.
+ *
+ * Security features:
+ * - Page URLs are validated and authorized before links are generated
+ * - Attribute values are escaped for safe HTML output
+ * - Header parameters are quoted and escaped
+ *
+ * @module oembed/discovery
+ */
+
+import { validateAndAuthorizeUrl } from "../core/validator.mjs";
+import { escapeHtmlAttribute } from "../utils/security.mjs";
+import { ENV_VARS } from "../utils/constants.mjs";
+
+// Discovery link types defined by the oEmbed specification
+const DISCOVERY_FORMATS = Object.freeze([
+  { format: "json", type: "application/json+oembed" },
+  { format: "xml", type: "text/xml+oembed" },
+]);
+
+/**
+ * Gets the public base URL of the oEmbed endpoint
+ *
+ * Resolution order:
+ * 1. OEMBED_ENDPOINT_URL environment variable
+ * 2. The API Gateway request context (domain name and stage)
+ * 3. The default custom domain, https://oembed.{PROVIDER_DOMAIN}/oembed
+ *
+ * @param {Object} [requestContext] - API Gateway request context
+ * @param {string} [requestContext.domainName] - Domain the request was received on
+ * @param {string} [requestContext.stage] - API Gateway stage name
+ * @returns {string} oEmbed endpoint URL without query string
+ */
+export function getOembedEndpointUrl(requestContext = null) {
+  if (process.env[ENV_VARS.OEMBED_ENDPOINT_URL]) {
+    return process.env[ENV_VARS.OEMBED_ENDPOINT_URL];
+  }
+
+  if (requestContext && requestContext.domainName) {
+    // Default execute-api domains include the stage in the path,
+    // custom domains map the stage at the root via base path mapping
+    const stagePrefix =
+      requestContext.domainName.endsWith(".amazonaws.com") &&
+      requestContext.stage
+        ? `/${requestContext.stage}`
+        : "";
+    return `https://${requestContext.domainName}${stagePrefix}/oembed`;
+  }
+
+  const providerDomain =
+    process.env[ENV_VARS.PROVIDER_DOMAIN] || "example.com";
+  return `https://oembed.${providerDomain}/oembed`;
+}
+
+/**
+ * Builds oEmbed discovery links for a content page
+ *
+ * Validates the page URL with the same rules as the oEmbed endpoint and
+ * returns JSON and XML discovery links, rendered as HTML tags and as an
+ * HTTP Link header value.
+ *
+ * @param {string} pageUrl - Content page URL to advertise
+ * @param {Object} [options={}] - Discovery options
+ * @param {string} [options.title] - Title attribute for the links
+ * @param {string} [options.endpointUrl] - oEmbed endpoint URL (defaults to getOembedEndpointUrl())
+ * @param {string} [options.correlationId] - Request correlation ID for logging
+ * @returns {Object} Discovery result
+ * @returns {boolean} returns.isValid - Whether the page URL is valid and authorized
+ * @returns {string} [returns.error] - Error message if validation failed
+ * @returns {string} [returns.code] - Error code for programmatic handling
+ * @returns {string} [returns.details] - Additional error details
+ * @returns {string} [returns.url] - Normalized page URL
+ * @returns {Array<Object>} [returns.links] - Discovery links (rel, type, href, title)
+ * @returns {string} [returns.html] - HTML <link> tags
+ * @returns {string} [returns.linkHeader] - HTTP Link header value
+ */
+export function buildDiscoveryLinks(pageUrl, options = {}) {
+  const urlValidation = validateAndAuthorizeUrl(
+    pageUrl,
+    options.correlationId || null
+  );
+
+  if (!urlValidation.isValid) {
+    return {
+      isValid: false,
+      error: urlValidation.error,
+      code: urlValidation.code,
+      details: urlValidation.details,
+    };
+  }
+
+  const url = urlValidation.urlObj.toString();
+  const endpointUrl = options.endpointUrl || getOembedEndpointUrl();
+
+  const links = DISCOVERY_FORMATS.map(({ format, type }) => {
+    const link = {
+      rel: "alternate",
+      type,
+      href: buildEndpointHref(endpointUrl, url, format),
+    };
+    if (options.title) {
+      link.title = options.title;
+    }
+    return link;
+  });
+
+  return {
+    isValid: true,
+    url,
+    links,
+    html: generateDiscoveryTags(links),
+    linkHeader: generateDiscoveryLinkHeader(links),
+  };
+}
+
+/**
+ * Renders discovery links as HTML <link> tags for the page <head>
+ * @param {Array<Object>} links - Discovery links from buildDiscoveryLinks()
+ * @returns {string} HTML tags separated by newlines
+ */
+export function generateDiscoveryTags(links) {
+  return links
+    .map((link) => {
+      const title = link.title
+        ? ` title="${escapeHtmlAttribute(link.title)}"`
+        : "";
+      return `<link rel="${link.rel}" type="${link.type}" href="${escapeHtmlAttribute(link.href)}"${title} />`;
+    })
+    .join("\n");
+}
+
+/**
+ * Renders discovery links as an HTTP Link header value
+ * @param {Array<Object>} links - Discovery links from buildDiscoveryLinks()
+ * @returns {string} Comma-separated Link header value
+ */
+export function generateDiscoveryLinkHeader(links) {
+  return links
+    .map((link) => {
+      const title = link.title
+        ? `; title="${escapeQuotedString(link.title)}"`
+        : "";
+      return `<${link.href}>; rel="${link.rel}"; type="${link.type}"${title}`;
+    })
+    .join(", ");
+}
+
+/**
+ * Builds the oEmbed endpoint URL for a content URL and format
+ * @param {string} endpointUrl - oEmbed endpoint base URL
+ * @param {string} url - Content page URL
+ * @param {string} format - Response format (json|xml)
+ * @returns {string} Fully encoded endpoint URL
+ */
+function buildEndpointHref(endpointUrl, url, format) {
+  const endpoint = new URL(endpointUrl);
+  endpoint.searchParams.set("url", url);
+  endpoint.searchParams.set("format", format);
+  return endpoint.toString();
+}
+
+/**
+ * Escapes a value for use in an HTTP quoted-string header parameter
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value without control characters
+ */
+function escapeQuotedString(value) {
+  return String(value)
+    .replace(/[\x00-\x1F\x7F]/g, "")
+    .replace(/["\\]/g, "\\$&");
+}
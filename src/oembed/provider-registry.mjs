@@ -0,0 +1,122 @@
+/**
+ * Provider registry entry module
+ *
+ * This module generates this provider's entry in the oembed.com registry
+ * format (providers.json) from configuration, so consumers such as iframely
+ * and WordPress can register the provider automatically. Schemes are derived
+ * from the URL scheme registry and the authorized domain rules, i.e. from the
+ * URL patterns the service actually routes.
+ *
+ * Derivation rules:
+ * - Path templates are expanded for every authorized domain rule, with
+ *   "*.domain" for subdomain rules; excluded domains are never advertised
+ * - Named parameters (":id") become "*" wildcards
+ * - Required query parameters become "?name=*" suffixes
+ * - Catch-all fallback entries are omitted, they would claim every page
+ *
+ * @module oembed/provider-registry
+ */
+
+import { getSchemeRegistry } from "../core/scheme-registry.mjs";
+import { getAuthorizedDomainRules } from "../core/validator.mjs";
+import { getOembedEndpointUrl } from "./discovery.mjs";
+import { OEMBED } from "../utils/constants.mjs";
+
+// Protocols advertised for path templates, matching the URLs the validator accepts
+const SCHEME_PROTOCOLS = Object.freeze(["https", "http"]);
+
+/**
+ * Builds the providers.json document for this provider
+ *
+ * @param {Object} [options={}] - Generation options
+ * @param {string} [options.endpointUrl] - oEmbed endpoint URL (defaults to getOembedEndpointUrl())
+ * @param {Array<Object>} [options.registry] - Compiled scheme registry (defaults to the active one)
+ * @param {Array<Object>} [options.domainRules] - Domain rules (defaults to the authorized rules)
+ * @returns {Array<Object>} Registry document containing this provider's entry
+ */
+export function buildProviderRegistry(options = {}) {
+  return [buildProviderRegistryEntry(options)];
+}
+
+/**
+ * Builds this provider's registry entry
+ *
+ * @param {Object} [options={}] - Generation options (see buildProviderRegistry)
+ * @returns {Object} Registry entry
+ * @returns {string} returns.provider_name - Provider name from PROVIDER_NAME
+ * @returns {string} returns.provider_url - Provider URL from PROVIDER_URL
+ * @returns {Array<Object>} returns.endpoints - Endpoint with schemes, url, discovery and formats
+ */
+export function buildProviderRegistryEntry(options = {}) {
+  const registry = options.registry || getSchemeRegistry();
+  const domainRules = options.domainRules || getAuthorizedDomainRules();
+
+  return {
+    provider_name: process.env.PROVIDER_NAME || "oEmbed Provider",
+    provider_url: process.env.PROVIDER_URL || "https://example.com",
+    endpoints: [
+      {
+        schemes: generateProviderSchemes(registry, domainRules),
+        url: options.endpointUrl || getOembedEndpointUrl(),
+        discovery: true,
+        formats: [...OEMBED.FORMATS],
+      },
+    ],
+  };
+}
+
+/**
+ * Generates oEmbed URL schemes from the scheme registry and domain rules
+ *
+ * @param {Array<Object>} registry - Compiled scheme registry
+ * @param {Array<Object>} domainRules - Parsed domain rules
+ * @returns {Array<string>} Unique URL schemes in registry order
+ */
+export function generateProviderSchemes(registry, domainRules) {
+  const hosts = domainRules
+    .filter((rule) => !rule.exclude)
+    .map((rule) => (rule.subdomains ? `*.${rule.domain}` : rule.domain));
+
+  const schemes = new Set();
+
+  for (const entry of registry) {
+    if (entry.fallback) continue;
+
+    const querySuffixes =
+      entry.params.length > 0
+        ? entry.params.map((name) => `?${name}=*`)
+        : [""];
+
+    for (const scheme of entry.schemes) {
+      for (const suffix of querySuffixes) {
+        expandScheme(scheme.source, hosts).forEach((url) =>
+          schemes.add(`${url}${suffix}`)
+        );
+      }
+    }
+  }
+
+  return [...schemes];
+}
+
+/**
+ * Expands a scheme source into absolute oEmbed scheme URLs
+ * @param {string} source - Path template or oEmbed-style scheme
+ * @param {Array<string>} hosts - Advertised host patterns
+ * @returns {Array<string>} Absolute scheme URLs
+ */
+function expandScheme(source, hosts) {
+  const wildcarded = source.replace(/:[A-Za-z_][A-Za-z0-9_]*/g, "*");
+
+  // oEmbed-style schemes already carry protocol and host
+  if (!wildcarded.startsWith("/")) {
+    const [protocol, rest] = wildcarded.split("://");
+    return protocol === "*"
+      ? SCHEME_PROTOCOLS.map((candidate) => `${candidate}://${rest}`)
+      : [wildcarded];
+  }
+
+  return SCHEME_PROTOCOLS.flatMap((protocol) =>
+    hosts.map((host) => `${protocol}://${host}${wildcarded}`)
+  );
+}
@@ -7,7 +7,7 @@
  *
  * Performance optimizations:
  * - Pre-compiled base response template for efficiency
- * - Optimized dimension calculation with bounds checking
+ * - Single proportional dimension calculation shared by size, HTML and thumbnails
  * - Memory-efficient object construction and spreading
  * - Cached environment variables for provider information
  *
@@ -21,8 +21,35 @@
  */
 
 import { generateVideoHtml, generateRichHtml } from "./html-generator.mjs";
+import { calculateConstrainedDimensions } from "../utils/helpers.mjs";
 import { OEMBED, DEFAULT_DIMENSIONS } from "../utils/constants.mjs";
 
+// Metadata fields consumed by the builder itself: oEmbed fields (set or
+// omitted per type) and alternative input names. Everything else is an
+// extension field and is copied to the response as-is.
+const BUILDER_FIELDS = new Set([
+  "type",
+  "version",
+  "title",
+  "author_name",
+  "author_url",
+  "provider_name",
+  "provider_url",
+  "cache_age",
+  "thumbnail_url",
+  "thumbnail_width",
+  "thumbnail_height",
+  "url",
+  "html",
+  "width",
+  "height",
+  "author",
+  "authorUrl",
+  "thumbnail",
+  "embedUrl",
+  "content",
+]);
+
 // Pre-compiled base response template for efficiency (without provider info)
 const BASE_RESPONSE_TEMPLATE = Object.freeze({
   version: OEMBED.VERSION,
@@ -38,6 +65,7 @@ const BASE_RESPONSE_TEMPLATE = Object.freeze({
  * - Handles thumbnail fields according to oEmbed all-or-none rule
  * - Creates type-specific responses with proper field validation
  * - Applies dimension constraints while preserving aspect ratios
+ * - Passes provider-specific extension fields (e.g. application_info) through
  *
  * Performance optimizations:
  * - Uses pre-compiled base response template
@@ -75,9 +103,31 @@ export async function createTypeSpecificResponse(
   addOptionalFields(baseResponse, metadata);
 
   // Phase 3: Add thumbnail information following oEmbed all-or-none rule
-  addThumbnailFields(baseResponse, metadata);
+  addThumbnailFields(baseResponse, metadata, maxwidth, maxheight);
 
   // Phase 4: Create type-specific response with proper validation
+  const response = createResponseForType(
+    baseResponse,
+    metadata,
+    maxwidth,
+    maxheight
+  );
+
+  // Phase 5: Carry provider-specific extension fields through unchanged
+  addExtensionFields(response, metadata);
+
+  return response;
+}
+
+/**
+ * Dispatches to the type-specific response constructor
+ * @param {Object} baseResponse - Base response object with common fields
+ * @param {Object} metadata - Content metadata from backend
+ * @param {number} [maxwidth] - Maximum width constraint (1-2048)
+ * @param {number} [maxheight] - Maximum height constraint (1-2048)
+ * @returns {Object} Type-specific oEmbed response
+ */
+function createResponseForType(baseResponse, metadata, maxwidth, maxheight) {
   const contentType = metadata.type || "rich"; // Default to rich if not specified
 
   switch (contentType) {
@@ -175,6 +225,7 @@ function addOptionalFields(response, metadata) {
  * - Follows the all-or-none rule for thumbnail fields
  * - Supports flexible field mapping for thumbnail URL
  * - Adds dimensions only when available
+ * - Scales dimensions within maxwidth/maxheight, as required by the spec
  * - Memory-efficient field assignment
  *
  * @param {Object} response - Response object to modify (mutated for performance)
@@ -183,8 +234,10 @@ function addOptionalFields(response, metadata) {
  * @param {string} [metadata.thumbnail] - Thumbnail URL (alternative field)
  * @param {number} [metadata.thumbnail_width] - Thumbnail width in pixels
  * @param {number} [metadata.thumbnail_height] - Thumbnail height in pixels
+ * @param {number} [maxwidth] - Maximum width constraint (1-2048)
+ * @param {number} [maxheight] - Maximum height constraint (1-2048)
  */
-function addThumbnailFields(response, metadata) {
+function addThumbnailFields(response, metadata, maxwidth, maxheight) {
   // Check for thumbnail URL with flexible field mapping
   const thumbnailUrl = metadata.thumbnail_url || metadata.thumbnail;
 
@@ -192,14 +245,30 @@ function addThumbnailFields(response, metadata) {
     // Add thumbnail URL (required if any thumbnail field is present)
     response.thumbnail_url = thumbnailUrl;
 
-    // Add thumbnail dimensions if available
+    // Scale proportionally when both dimensions are known
+    if (metadata.thumbnail_width && metadata.thumbnail_height) {
+      const thumbnail = calculateConstrainedDimensions(
+        metadata.thumbnail_width,
+        metadata.thumbnail_height,
+        maxwidth,
+        maxheight
+      );
+      response.thumbnail_width = thumbnail.width;
+      response.thumbnail_height = thumbnail.height;
+      return;
+    }
+
+    // Otherwise add whichever dimension is available, capped by its bound
     // These are optional but recommended for better display
     if (metadata.thumbnail_width) {
-      response.thumbnail_width = metadata.thumbnail_width;
+      response.thumbnail_width = capDimension(metadata.thumbnail_width, maxwidth);
     }
 
     if (metadata.thumbnail_height) {
-      response.thumbnail_height = metadata.thumbnail_height;
+      response.thumbnail_height = capDimension(
+        metadata.thumbnail_height,
+        maxheight
+      );
     }
   }
 }
@@ -228,14 +297,14 @@ function createPhotoResponse(baseResponse, metadata, maxwidth, maxheight) {
     throw new Error("Photo type requires url field");
   }
 
-  // Calculate constrained dimensions or use defaults
-  const width =
-    calculateConstrainedDimension(metadata.width, maxwidth) ||
-    DEFAULT_DIMENSIONS.photo.width;
-
-  const height =
-    calculateConstrainedDimension(metadata.height, maxheight) ||
-    DEFAULT_DIMENSIONS.photo.height;
+  // Scale proportionally within both bounds, or scale the photo defaults
+  const { width, height } = calculateConstrainedDimensions(
+    metadata.width,
+    metadata.height,
+    maxwidth,
+    maxheight,
+    DEFAULT_DIMENSIONS.photo
+  );
 
   return {
     ...baseResponse,
@@ -271,14 +340,14 @@ function createVideoResponse(baseResponse, metadata, maxwidth, maxheight) {
     throw new Error("Video type requires embedUrl or html field");
   }
 
-  // Calculate constrained dimensions or use video defaults
-  const width =
-    calculateConstrainedDimension(metadata.width, maxwidth) ||
-    DEFAULT_DIMENSIONS.video.width;
-
-  const height =
-    calculateConstrainedDimension(metadata.height, maxheight) ||
-    DEFAULT_DIMENSIONS.video.height;
+  // Scale proportionally within both bounds, or scale the video defaults
+  const { width, height } = calculateConstrainedDimensions(
+    metadata.width,
+    metadata.height,
+    maxwidth,
+    maxheight,
+    DEFAULT_DIMENSIONS.video
+  );
 
   return {
     ...baseResponse,
@@ -326,14 +395,14 @@ function createLinkResponse(baseResponse, metadata) {
  * @returns {Object} Rich-type oEmbed response
  */
 function createRichResponse(baseResponse, metadata, maxwidth, maxheight) {
-  // Calculate constrained dimensions or use rich content defaults
-  const width =
-    calculateConstrainedDimension(metadata.width, maxwidth) ||
-    DEFAULT_DIMENSIONS.rich.width;
-
-  const height =
-    calculateConstrainedDimension(metadata.height, maxheight) ||
-    DEFAULT_DIMENSIONS.rich.height;
+  // Scale proportionally within both bounds, or scale the rich defaults
+  const { width, height } = calculateConstrainedDimensions(
+    metadata.width,
+    metadata.height,
+    maxwidth,
+    maxheight,
+    DEFAULT_DIMENSIONS.rich
+  );
 
   return {
     ...baseResponse,
@@ -345,23 +414,41 @@ function createRichResponse(baseResponse, metadata, maxwidth, maxheight) {
 }
 
 /**
- * Calculates dimension with constraint applied while preserving aspect ratios
+ * Adds provider-specific extension fields to the response
  *
- * Applies oEmbed maxwidth/maxheight constraints efficiently:
- * - Returns constraint if original dimension is not available
- * - Returns original dimension if no constraint is specified
- * - Applies minimum of original and constraint for proper sizing
- * - Optimized for performance with early returns
+ * Copies metadata fields that are not oEmbed fields or builder inputs, such
+ * as application_info in rich responses. Keys starting with "_" are treated
+ * as internal and never exposed.
  *
- * @param {number|null|undefined} originalDimension - Original dimension value
- * @param {number|null|undefined} constraint - Maximum constraint value (1-2048)
- * @returns {number|null} Constrained dimension or null if both inputs are falsy
+ * @param {Object} response - Response object to modify (mutated for performance)
+ * @param {Object} metadata - Content metadata from backend
  */
-function calculateConstrainedDimension(originalDimension, constraint) {
-  // Early return patterns for performance optimization
-  if (!originalDimension) return constraint || null;
-  if (!constraint) return originalDimension;
+function addExtensionFields(response, metadata) {
+  for (const [key, value] of Object.entries(metadata)) {
+    if (
+      BUILDER_FIELDS.has(key) ||
+      key.startsWith("_") ||
+      value === undefined ||
+      value === null ||
+      Object.prototype.hasOwnProperty.call(response, key)
+    ) {
+      continue;
+    }
 
-  // Apply constraint using Math.min for efficiency
-  return Math.min(originalDimension, constraint);
+    response[key] = value;
+  }
+}
+
+/**
+ * Caps a single dimension by its constraint
+ *
+ * Only used when the other dimension is unknown and proportional scaling
+ * is not possible.
+ *
+ * @param {number} dimension - Original dimension value
+ * @param {number|null|undefined} constraint - Maximum constraint value (1-2048)
+ * @returns {number} Capped dimension
+ */
+function capDimension(dimension, constraint) {
+  return constraint ? Math.min(dimension, constraint) : dimension;
 }
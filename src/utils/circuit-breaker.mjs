@@ -0,0 +1,154 @@
+/**
+ * Circuit breaker module
+ *
+ * This module stops calling a dependency that keeps failing, so requests
+ * fail fast instead of spending their time budget on retries against a
+ * backend that is down (and adding load that keeps it down):
+ * - closed: calls pass through; consecutive failures are counted and the
+ *   circuit opens once they reach the failure threshold
+ * - open: calls are rejected with CircuitOpenError without running
+ * - half-open: after the reset timeout a limited number of trial calls run;
+ *   a success closes the circuit, a failure opens it again
+ *
+ * Usage:
+ * ```javascript
+ * const breaker = createCircuitBreaker("videos", { failureThreshold: 5 });
+ * const data = await breaker.execute(() => fetchVideo(id));
+ * ```
+ *
+ * @module utils/circuit-breaker
+ */
+
+import { CircuitOpenError } from "./errors.mjs";
+import { CIRCUIT_BREAKER } from "./constants.mjs";
+
+/**
+ * Circuit breaker states
+ */
+export const CIRCUIT_STATES = Object.freeze({
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half_open",
+});
+
+/**
+ * Creates a circuit breaker
+ *
+ * @param {string} name - Name of the protected dependency, used in errors
+ * @param {Object} [options={}] - Breaker options
+ * @param {number} [options.failureThreshold=5] - Consecutive failures that open the circuit
+ * @param {number} [options.resetTimeoutMs=30000] - Time the circuit stays open before a trial call
+ * @param {number} [options.halfOpenMaxCalls=1] - Concurrent trial calls while half-open
+ * @param {Function} [options.isFailure] - Returns whether an error counts as a
+ *   dependency failure (default: every error)
+ * @param {Function} [options.isIgnored] - Called as (error, context); returns
+ *   whether an error says nothing about the dependency (e.g. the caller ran
+ *   out of time) and neither counts as a failure nor resets the count
+ * @param {Function} [options.onStateChange] - Called as (name, { from, to,
+ *   failures }, context) when the state changes, with the context passed to
+ *   the execute() call that caused the change
+ * @param {Function} [options.now=Date.now] - Clock returning milliseconds
+ * @returns {Object} Breaker with execute, getState and reset
+ */
+export function createCircuitBreaker(name, options = {}) {
+  const {
+    failureThreshold = CIRCUIT_BREAKER.DEFAULT_FAILURE_THRESHOLD,
+    resetTimeoutMs = CIRCUIT_BREAKER.DEFAULT_RESET_TIMEOUT_MS,
+    halfOpenMaxCalls = CIRCUIT_BREAKER.HALF_OPEN_MAX_CALLS,
+    isFailure = () => true,
+    isIgnored = () => false,
+    onStateChange = () => {},
+    now = Date.now,
+  } = options;
+
+  let state = CIRCUIT_STATES.CLOSED;
+  let failures = 0;
+  let openedAt = 0;
+  let trialCalls = 0;
+
+  /**
+   * Moves the breaker to a new state
+   * @param {string} to - New state from CIRCUIT_STATES
+   * @param {Object} context - Context of the call causing the change
+   */
+  function transition(to, context) {
+    const from = state;
+    state = to;
+    if (to === CIRCUIT_STATES.OPEN) openedAt = now();
+    if (to !== CIRCUIT_STATES.HALF_OPEN) trialCalls = 0;
+    onStateChange(name, { from, to, failures }, context);
+  }
+
+  /**
+   * Rejects a call without running it
+   * @returns {CircuitOpenError} Error to throw
+   */
+  function rejectCall() {
+    const retryAfterMs = Math.max(0, openedAt + resetTimeoutMs - now());
+    return new CircuitOpenError(undefined, {
+      details: `Circuit for ${name} is open, retry in ${Math.ceil(retryAfterMs / 1000)}s`,
+    });
+  }
+
+  /**
+   * Runs an operation through the breaker
+   * @param {Function} fn - Async operation calling the dependency
+   * @param {Object} [context={}] - Passed to onStateChange (e.g. url, correlationId)
+   * @returns {Promise<any>} Operation result
+   * @throws {CircuitOpenError} When the circuit is open
+   */
+  async function execute(fn, context = {}) {
+    if (state === CIRCUIT_STATES.OPEN) {
+      if (now() - openedAt < resetTimeoutMs) throw rejectCall();
+      transition(CIRCUIT_STATES.HALF_OPEN, context);
+    }
+
+    const isTrial = state === CIRCUIT_STATES.HALF_OPEN;
+    if (isTrial) {
+      if (trialCalls >= halfOpenMaxCalls) throw rejectCall();
+      trialCalls++;
+    }
+
+    try {
+      const result = await fn();
+      failures = 0;
+      if (isTrial && state === CIRCUIT_STATES.HALF_OPEN) {
+        transition(CIRCUIT_STATES.CLOSED, context);
+      }
+      return result;
+    } catch (error) {
+      if (isIgnored(error, context)) {
+        // Leaves the state as it is, a half-open circuit tries again
+      } else if (isFailure(error)) {
+        failures++;
+        if (isTrial && state === CIRCUIT_STATES.HALF_OPEN) {
+          transition(CIRCUIT_STATES.OPEN, context);
+        } else if (
+          state === CIRCUIT_STATES.CLOSED &&
+          failures >= failureThreshold
+        ) {
+          transition(CIRCUIT_STATES.OPEN, context);
+        }
+      } else {
+        // The dependency answered, the error is about the request itself
+        failures = 0;
+        if (isTrial && state === CIRCUIT_STATES.HALF_OPEN) {
+          transition(CIRCUIT_STATES.CLOSED, context);
+        }
+      }
+      throw error;
+    } finally {
+      if (isTrial && trialCalls > 0) trialCalls--;
+    }
+  }
+
+  return {
+    execute,
+    getState: () => state,
+    reset: () => {
+      state = CIRCUIT_STATES.CLOSED;
+      failures = 0;
+      trialCalls = 0;
+    },
+  };
+}
@@ -14,11 +14,20 @@
  */
 export const HTTP_STATUS = {
   OK: 200,
+  NOT_MODIFIED: 304,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
   NOT_FOUND: 404,
+  REQUEST_TIMEOUT: 408,
+  GONE: 410,
+  PAYLOAD_TOO_LARGE: 413,
+  TOO_MANY_REQUESTS: 429,
   NOT_IMPLEMENTED: 501,
   INTERNAL_SERVER_ERROR: 500,
+  BAD_GATEWAY: 502,
+  SERVICE_UNAVAILABLE: 503,
+  GATEWAY_TIMEOUT: 504,
 };
 
 /**
@@ -55,6 +64,21 @@ export const DEFAULT_CACHE_AGES = {
   link: 3600, // 1 hour - general content
 };
 
+/**
+ * Shared-cache (CDN) policies for different content types (in seconds)
+ *
+ * Browsers cache for the content's cache_age (see DEFAULT_CACHE_AGES);
+ * CDNs, which can be purged, keep responses for sMaxAge. Stale responses
+ * may be served while revalidating or when the origin fails.
+ */
+export const CACHE_POLICIES = {
+  photo: { sMaxAge: 86400, staleWhileRevalidate: 3600, staleIfError: 86400 },
+  video: { sMaxAge: 14400, staleWhileRevalidate: 600, staleIfError: 86400 },
+  rich: { sMaxAge: 3600, staleWhileRevalidate: 300, staleIfError: 3600 },
+  link: { sMaxAge: 14400, staleWhileRevalidate: 600, staleIfError: 86400 },
+  default: { sMaxAge: 3600, staleWhileRevalidate: 300, staleIfError: 3600 },
+};
+
 /**
  * Default dimensions for different content types
  */
@@ -88,9 +112,16 @@ export const ERROR_CODES = {
   INVALID_FORMAT: "INVALID_FORMAT",
   INVALID_MAXWIDTH: "INVALID_MAXWIDTH",
   INVALID_MAXHEIGHT: "INVALID_MAXHEIGHT",
+  INVALID_CALLBACK: "INVALID_CALLBACK",
   CONTENT_NOT_FOUND: "CONTENT_NOT_FOUND",
+  CONTENT_UNAUTHORIZED: "CONTENT_UNAUTHORIZED",
+  CONTENT_GONE: "CONTENT_GONE",
   BACKEND_ERROR: "BACKEND_ERROR",
+  BACKEND_TIMEOUT: "BACKEND_TIMEOUT",
+  BACKEND_UNAVAILABLE: "BACKEND_UNAVAILABLE",
   MISSING_PROVIDER_DOMAIN: "MISSING_PROVIDER_DOMAIN",
+  INVALID_BATCH_REQUEST: "INVALID_BATCH_REQUEST",
+  BATCH_LIMIT_EXCEEDED: "BATCH_LIMIT_EXCEEDED",
   MISSING_REQUIRED_FIELD: "MISSING_REQUIRED_FIELD",
   INTERNAL_ERROR: "INTERNAL_ERROR",
 };
@@ -108,33 +139,24 @@ export const ERROR_MESSAGES = {
     "Maxwidth must be a number between 1 and 2048",
   [ERROR_CODES.INVALID_MAXHEIGHT]:
     "Maxheight must be a number between 1 and 2048",
+  [ERROR_CODES.INVALID_CALLBACK]:
+    "Callback must be a valid JavaScript function name and requires format=json",
   [ERROR_CODES.CONTENT_NOT_FOUND]: "Content not found",
+  [ERROR_CODES.CONTENT_UNAUTHORIZED]: "Content is private",
+  [ERROR_CODES.CONTENT_GONE]: "Content has been removed",
   [ERROR_CODES.BACKEND_ERROR]: "Backend service error",
+  [ERROR_CODES.BACKEND_TIMEOUT]: "Backend service timed out",
+  [ERROR_CODES.BACKEND_UNAVAILABLE]:
+    "Backend service temporarily unavailable",
   [ERROR_CODES.MISSING_PROVIDER_DOMAIN]: "Provider domain not configured",
+  [ERROR_CODES.INVALID_BATCH_REQUEST]:
+    "Batch request body must be JSON with a non-empty items array",
+  [ERROR_CODES.BATCH_LIMIT_EXCEEDED]: "Batch request contains too many items",
   [ERROR_CODES.MISSING_REQUIRED_FIELD]:
     "Required field missing for content type",
   [ERROR_CODES.INTERNAL_ERROR]: "Internal server error",
 };
 
-/**
- * Content type patterns for URL inference
- */
-export const CONTENT_TYPE_PATTERNS = {
-  video: ["/video/", "/watch/", "/embed/", "v=", "video="],
-  photo: [
-    "/photo/",
-    "/image/",
-    "/gallery/",
-    ".jpg",
-    ".jpeg",
-    ".png",
-    ".gif",
-    ".webp",
-  ],
-  rich: ["/widget/", "/interactive/", "/app/"],
-  link: [], // Default fallback
-};
-
 /**
  * Security-related constants
  */
@@ -149,12 +171,25 @@ export const SECURITY = {
   MAX_AUTHOR_LENGTH: 100,
 };
 
+/**
+ * Outbound request (SSRF) limits, overridable via OUTBOUND_ALLOWED_PORTS
+ * and OUTBOUND_ALLOWED_PRIVATE_HOSTS
+ */
+export const OUTBOUND = {
+  ALLOWED_PORTS: [80, 443],
+  MAX_REDIRECTS: 3,
+  MAX_RESPONSE_BYTES: 1048576, // 1 MB
+};
+
 /**
  * Cache control settings
  */
 export const CACHE_CONTROL = {
   DEFAULT_MAX_AGE: 3600, // 1 hour
   ERROR_MAX_AGE: 300, // 5 minutes
+  NEGATIVE_MAX_AGE: 60, // 1 minute - browser lifetime for 404/410
+  STALE_MAX_AGE: 60, // 1 minute - lifetime of responses served from stale metadata
+  METADATA_CACHE_MAX_ENTRIES: 500, // in-memory metadata entries per container
   SUCCESS_MAX_AGE: 3600, // 1 hour
   LONG_CACHE_MAX_AGE: 86400, // 24 hours
 };
@@ -164,11 +199,72 @@ export const CACHE_CONTROL = {
  */
 export const CORS = {
   ALLOW_ORIGIN: "*",
-  ALLOW_METHODS: "GET, OPTIONS",
+  ALLOW_METHODS: "GET, POST, OPTIONS",
   ALLOW_HEADERS: "Content-Type, Authorization",
   MAX_AGE: 86400, // 24 hours
 };
 
+/**
+ * Batch resolution limits (overridable via BATCH_MAX_ITEMS and BATCH_CONCURRENCY)
+ */
+export const BATCH = {
+  DEFAULT_MAX_ITEMS: 50,
+  DEFAULT_CONCURRENCY: 8,
+  MAX_BODY_LENGTH: 262144, // 256 KB
+};
+
+/**
+ * Backend circuit breaker settings (overridable via
+ * CIRCUIT_BREAKER_FAILURE_THRESHOLD and CIRCUIT_BREAKER_RESET_TIMEOUT_MS)
+ */
+export const CIRCUIT_BREAKER = {
+  DEFAULT_FAILURE_THRESHOLD: 5, // consecutive failed lookups before opening
+  DEFAULT_RESET_TIMEOUT_MS: 30000, // 30 seconds open before a trial call
+  HALF_OPEN_MAX_CALLS: 1,
+};
+
+/**
+ * Backend HTTP client settings (overridable via BACKEND_TIMEOUT_MS and
+ * BACKEND_API_KEY_HEADER)
+ */
+export const BACKEND = {
+  DEFAULT_TIMEOUT_MS: 3000,
+  DEFAULT_API_KEY_HEADER: "X-API-Key",
+  USER_AGENT: "oEmbed-Provider/2.0",
+};
+
+/**
+ * DynamoDB content table defaults (overridable via CONTENT_TABLE_PARTITION_KEY
+ * and CONTENT_TABLE_SORT_KEY)
+ */
+export const CONTENT_TABLE = {
+  DEFAULT_PARTITION_KEY: "contentId",
+  DEFAULT_SORT_KEY: "contentType",
+};
+
+/**
+ * JSON manifest resolver settings
+ */
+export const CONTENT_MANIFEST = {
+  FILE_EXTENSION: ".json",
+  MAX_DOCUMENT_BYTES: 256 * 1024,
+};
+
+/**
+ * Open Graph page scraping settings
+ */
+export const OPEN_GRAPH = {
+  MAX_PAGE_BYTES: 2 * 1024 * 1024,
+  ACCEPT: "text/html,application/xhtml+xml;q=0.9,*/*;q=0.1",
+};
+
+/**
+ * Request deadline settings
+ */
+export const DEADLINE = {
+  SAFETY_MARGIN_MS: 500, // reserved for building the response before Lambda times out
+};
+
 /**
  * Lambda function configuration defaults
  */
@@ -187,8 +283,30 @@ export const ENV_VARS = {
   PROVIDER_NAME: "PROVIDER_NAME",
   PROVIDER_URL: "PROVIDER_URL",
   PROVIDER_DOMAIN: "PROVIDER_DOMAIN",
+  PROVIDER_DOMAINS: "PROVIDER_DOMAINS",
+  URL_SCHEMES: "URL_SCHEMES",
+  OEMBED_ENDPOINT_URL: "OEMBED_ENDPOINT_URL",
+  METADATA_CACHE_MAX_ENTRIES: "METADATA_CACHE_MAX_ENTRIES",
+  METADATA_CACHE_TABLE: "METADATA_CACHE_TABLE",
+  METADATA_STALE_IF_ERROR: "METADATA_STALE_IF_ERROR",
+  BATCH_MAX_ITEMS: "BATCH_MAX_ITEMS",
+  BATCH_CONCURRENCY: "BATCH_CONCURRENCY",
+  BACKEND_BASE_URL: "BACKEND_BASE_URL",
+  BACKEND_TIMEOUT_MS: "BACKEND_TIMEOUT_MS",
+  BACKEND_BEARER_TOKEN: "BACKEND_BEARER_TOKEN",
+  BACKEND_API_KEY: "BACKEND_API_KEY",
+  BACKEND_API_KEY_HEADER: "BACKEND_API_KEY_HEADER",
+  CONTENT_TABLE: "CONTENT_TABLE",
+  CONTENT_TABLE_PARTITION_KEY: "CONTENT_TABLE_PARTITION_KEY",
+  CONTENT_TABLE_SORT_KEY: "CONTENT_TABLE_SORT_KEY",
+  CONTENT_MANIFEST_SOURCE: "CONTENT_MANIFEST_SOURCE",
+  OUTBOUND_ALLOWED_PORTS: "OUTBOUND_ALLOWED_PORTS",
+  OUTBOUND_ALLOWED_PRIVATE_HOSTS: "OUTBOUND_ALLOWED_PRIVATE_HOSTS",
+  CIRCUIT_BREAKER_FAILURE_THRESHOLD: "CIRCUIT_BREAKER_FAILURE_THRESHOLD",
+  CIRCUIT_BREAKER_RESET_TIMEOUT_MS: "CIRCUIT_BREAKER_RESET_TIMEOUT_MS",
   LOG_LEVEL: "LOG_LEVEL",
   NODE_ENV: "NODE_ENV",
+  AWS_SAM_LOCAL: "AWS_SAM_LOCAL",
   JEST_WORKER_ID: "JEST_WORKER_ID",
 };
 
@@ -202,8 +320,23 @@ export const REGEX_PATTERNS = {
   ALPHANUMERIC: /^[a-zA-Z0-9]{1,100}$/,
   EMAIL: /^[a-zA-Z0-9._%+-]{1,64}@[a-zA-Z0-9.-]{1,253}\.[a-zA-Z]{2,6}$/,
   DOMAIN: /^[a-zA-Z0-9](?:[a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?)*\.[a-zA-Z]{2,6}$/,
+  // ASCII identifier or dotted path of up to 5 identifiers (e.g. jQuery123_456, app.embeds.load)
+  JSONP_CALLBACK: /^[A-Za-z_$][A-Za-z0-9_$]{0,63}(?:\.[A-Za-z_$][A-Za-z0-9_$]{0,63}){0,4}$/,
 };
 
+/**
+ * JavaScript reserved words and dangerous globals rejected as JSONP callback segments
+ */
+export const JSONP_RESERVED_WORDS = Object.freeze([
+  "break", "case", "catch", "class", "const", "continue", "debugger",
+  "default", "delete", "do", "else", "enum", "export", "extends", "false",
+  "finally", "for", "function", "if", "implements", "import", "in",
+  "instanceof", "interface", "let", "new", "null", "package", "private",
+  "protected", "public", "return", "static", "super", "switch", "this",
+  "throw", "true", "try", "typeof", "var", "void", "while", "with", "yield",
+  "await", "arguments", "eval", "constructor", "prototype", "__proto__",
+]);
+
 /**
  * API Gateway configuration constants
  */
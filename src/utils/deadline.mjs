@@ -0,0 +1,79 @@
+/**
+ * Request deadline module
+ *
+ * This module turns the Lambda context's remaining time into a request
+ * deadline (epoch milliseconds) that is passed down to backend calls, so
+ * they give up in time to return a controlled error response instead of
+ * the function timing out with an opaque API Gateway 5xx.
+ *
+ * A null deadline means "no deadline" (e.g. no Lambda context in tests or
+ * local runs), and every helper treats it as unlimited time.
+ *
+ * Usage:
+ * ```javascript
+ * const deadline = getRequestDeadline(context);
+ * const data = await runWithDeadline(() => fetchVideo(id), deadline, () =>
+ *   new BackendTimeoutError()
+ * );
+ * ```
+ *
+ * @module utils/deadline
+ */
+
+import { DEADLINE } from "./constants.mjs";
+
+/**
+ * Derives the request deadline from the Lambda context
+ *
+ * @param {Object} [context] - Lambda context
+ * @param {number} [safetyMarginMs=500] - Time reserved for building the response
+ * @returns {number|null} Deadline in epoch milliseconds, or null without a context
+ */
+export function getRequestDeadline(
+  context,
+  safetyMarginMs = DEADLINE.SAFETY_MARGIN_MS
+) {
+  if (!context || typeof context.getRemainingTimeInMillis !== "function") {
+    return null;
+  }
+
+  return Date.now() + context.getRemainingTimeInMillis() - safetyMarginMs;
+}
+
+/**
+ * Gets the time left before a deadline
+ * @param {number|null} deadline - Deadline in epoch milliseconds
+ * @returns {number} Milliseconds left (Infinity without a deadline)
+ */
+export function getRemainingTime(deadline) {
+  return deadline == null ? Infinity : deadline - Date.now();
+}
+
+/**
+ * Runs an operation that must settle before a deadline
+ *
+ * The operation is not cancelled when the deadline passes (pass the deadline
+ * on if it supports cancellation), its result is just no longer awaited.
+ *
+ * @param {Function} fn - Async operation
+ * @param {number|null} deadline - Deadline in epoch milliseconds
+ * @param {Function} createError - Returns the error thrown at the deadline
+ * @returns {Promise<any>} Operation result
+ * @throws {Error} The error from createError when the deadline passes first
+ */
+export async function runWithDeadline(fn, deadline, createError) {
+  const remaining = getRemainingTime(deadline);
+  if (remaining === Infinity) return fn();
+  if (remaining <= 0) throw createError();
+
+  let timer;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(createError()), remaining);
+  });
+
+  try {
+    return await Promise.race([fn(), expired]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Typed error module
+ *
+ * This module defines the errors that metadata resolvers can throw to
+ * report why content could not be embedded. Each error carries an error
+ * code from ERROR_CODES, which the handler maps to an HTTP status through
+ * its error status map, so resolvers never deal with HTTP details.
+ *
+ * Usage in a resolver:
+ * ```javascript
+ * if (response.status === 404) {
+ *   throw new ContentNotFoundError(`Video ${contentId} does not exist`);
+ * }
+ * ```
+ *
+ * Errors that are not OembedError instances are treated as unexpected
+ * failures: getContentMetadata logs them and degrades to a placeholder
+ * link response.
+ *
+ * @module utils/errors
+ */
+
+import { ERROR_CODES, ERROR_MESSAGES } from "./constants.mjs";
+
+/**
+ * Base class for errors with an oEmbed error code
+ */
+export class OembedError extends Error {
+  /**
+   * @param {string} code - Error code from ERROR_CODES
+   * @param {string} [message] - Error message (defaults to the code's message)
+   * @param {Object} [options={}] - Error options
+   * @param {string} [options.details] - Additional details for the error body
+   * @param {boolean} [options.retryable=false] - Whether retrying may succeed
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(code, message, options = {}) {
+    super(message || ERROR_MESSAGES[code] || code, { cause: options.cause });
+    this.name = this.constructor.name;
+    this.code = code;
+    this.details = options.details || null;
+    this.retryable = !!options.retryable;
+  }
+}
+
+/**
+ * Content does not exist (404)
+ */
+export class ContentNotFoundError extends OembedError {
+  constructor(message, options = {}) {
+    super(ERROR_CODES.CONTENT_NOT_FOUND, message, options);
+  }
+}
+
+/**
+ * Content exists but is private and cannot be embedded (401)
+ */
+export class ContentUnauthorizedError extends OembedError {
+  constructor(message, options = {}) {
+    super(ERROR_CODES.CONTENT_UNAUTHORIZED, message, options);
+  }
+}
+
+/**
+ * Content existed but has been taken down (410)
+ */
+export class ContentGoneError extends OembedError {
+  constructor(message, options = {}) {
+    super(ERROR_CODES.CONTENT_GONE, message, options);
+  }
+}
+
+/**
+ * Backend did not respond in time (504), retryable by default
+ */
+export class BackendTimeoutError extends OembedError {
+  constructor(message, options = {}) {
+    super(ERROR_CODES.BACKEND_TIMEOUT, message, { retryable: true, ...options });
+  }
+}
+
+/**
+ * Backend failed or returned an invalid response (502), retryable by default
+ */
+export class BackendError extends OembedError {
+  constructor(message, options = {}) {
+    super(ERROR_CODES.BACKEND_ERROR, message, { retryable: true, ...options });
+  }
+}
+
+/**
+ * Backend circuit is open and calls are rejected without reaching it (503)
+ *
+ * Retryable by default: the backend is expected to recover, so callers
+ * may fall back to stale data or try again later.
+ */
+export class CircuitOpenError extends OembedError {
+  constructor(message, options = {}) {
+    super(ERROR_CODES.BACKEND_UNAVAILABLE, message, {
+      retryable: true,
+      ...options,
+    });
+  }
+}
+
+/**
+ * Outbound request refused by the SSRF guard (see utils/safe-fetch.mjs)
+ *
+ * Not an OembedError: whether a refused request means unavailable content
+ * or a misconfigured backend is up to the caller.
+ */
+export class BlockedRequestError extends Error {
+  /**
+   * @param {string} message - Why the request was refused
+   * @param {Object} [options={}] - Error options
+   * @param {string} [options.url] - Refused URL
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.url = options.url || null;
+  }
+}
+
+/**
+ * Checks whether an error is a typed oEmbed error
+ * @param {*} error - Value to check
+ * @returns {boolean} True for OembedError instances
+ */
+export function isOembedError(error) {
+  return error instanceof OembedError;
+}
+
+/**
+ * Checks whether an operation that failed with this error should be retried
+ *
+ * Typed errors are retried only when marked retryable; untyped errors
+ * (network failures, bugs in resolvers) are retried.
+ *
+ * @param {*} error - Error thrown by the operation
+ * @returns {boolean} True if the operation may be retried
+ */
+export function isRetryableError(error) {
+  return isOembedError(error) ? error.retryable : true;
+}
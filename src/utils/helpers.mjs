@@ -57,6 +57,26 @@ export function isValidUrl(url) {
   }
 }
 
+/**
+ * Canonicalizes a content URL for cache and coalescing keys
+ *
+ * Lowercases the protocol and host, drops default ports and fragments and
+ * sorts query parameters, so equivalent URLs share one key.
+ *
+ * @param {string} url - Content URL
+ * @returns {string} Canonical URL (the input if it can't be parsed)
+ */
+export function canonicalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    parsed.searchParams.sort();
+    return parsed.href;
+  } catch {
+    return url;
+  }
+}
+
 /**
  * Validates if a value is a positive integer within range
  * @param {any} value - Value to validate
@@ -205,6 +225,36 @@ export function formatTimestamp(timestamp = new Date()) {
   return new Date().toISOString();
 }
 
+/**
+ * Formats a timestamp as an HTTP date (RFC 7231 IMF-fixdate)
+ * @param {Date|number|string} timestamp - Date, epoch milliseconds or date string
+ * @returns {string|null} HTTP date or null if the timestamp is invalid
+ */
+export function toHttpDate(timestamp) {
+  if (timestamp === null || timestamp === undefined || timestamp === "") {
+    return null;
+  }
+
+  const date = timestamp instanceof Date ? timestamp : new Date(timestamp);
+  return isNaN(date.getTime()) ? null : date.toUTCString();
+}
+
+/**
+ * Gets a header value case-insensitively
+ * @param {Object} [headers] - Request or response headers
+ * @param {string} name - Header name
+ * @returns {string|undefined} Header value
+ */
+export function getHeader(headers, name) {
+  if (!headers) return undefined;
+
+  const lowerName = name.toLowerCase();
+  const key = Object.keys(headers).find(
+    (header) => header.toLowerCase() === lowerName
+  );
+  return key ? headers[key] : undefined;
+}
+
 /**
  * Calculates aspect ratio from width and height
  * @param {number} width - Width value
@@ -221,40 +271,45 @@ export function calculateAspectRatio(width, height) {
 
 /**
  * Calculates dimensions maintaining aspect ratio
+ *
+ * Scales the original size down proportionally so it fits within both
+ * bounds; content is never scaled up. When the original size is unknown,
+ * the default size is scaled instead.
+ *
  * @param {number} originalWidth - Original width
  * @param {number} originalHeight - Original height
  * @param {number} maxWidth - Maximum width constraint
  * @param {number} maxHeight - Maximum height constraint
+ * @param {Object} [defaults={width: 640, height: 360}] - Size used when the original is unknown
  * @returns {Object} Calculated dimensions {width, height}
  */
 export function calculateConstrainedDimensions(
   originalWidth,
   originalHeight,
   maxWidth,
-  maxHeight
+  maxHeight,
+  defaults = { width: 640, height: 360 }
 ) {
-  if (!originalWidth || !originalHeight) {
-    return {
-      width: maxWidth || 640,
-      height: maxHeight || 360,
-    };
-  }
-
   let width = originalWidth;
   let height = originalHeight;
 
+  if (!width || !height) {
+    width = defaults.width;
+    height = defaults.height;
+  }
+
   // Apply width constraint
   if (maxWidth && width > maxWidth) {
     const ratio = maxWidth / width;
     width = maxWidth;
-    height = Math.round(height * ratio);
+    height = Math.max(1, Math.round(height * ratio));
   }
 
   // Apply height constraint
   if (maxHeight && height > maxHeight) {
     const ratio = maxHeight / height;
     height = maxHeight;
-    width = Math.round(width * ratio);
+    width = Math.max(1, Math.round(width * ratio));
   }
 
   return { width, height };
@@ -300,10 +355,43 @@ export function generateHash(str) {
   return Math.abs(hash).toString(16);
 }
 
+/**
+ * Maps items through an async function with bounded concurrency
+ *
+ * Results keep the order of the input items. A rejection from fn rejects
+ * the whole call, so callers that need per-item errors should catch inside fn.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls (at least 1)
+ * @param {Function} fn - Async function (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.min(Math.max(1, Math.floor(limit) || 1), items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
 /**
  * Simple retry function with exponential backoff
  * @param {Function} fn - Async function to retry
  * @param {Object} options - Retry options
+ * @param {Function} [options.shouldRetry] - Predicate (error, attempt) deciding whether to retry
+ * @param {number} [options.deadline] - Epoch milliseconds after which no retry
+ *   is started; retries whose backoff delay would end past it are skipped
+ * @param {Function} [options.onDeadline] - Maps the last error to the error
+ *   thrown when the deadline prevents a retry (default: the last error)
  * @returns {Promise} Result of the function call
  */
 export async function retryWithBackoff(fn, options = {}) {
@@ -313,6 +401,9 @@ export async function retryWithBackoff(fn, options = {}) {
     maxDelay = 5000,
     backoffFactor = 2,
     jitter = true,
+    shouldRetry = () => true,
+    deadline = null,
+    onDeadline = (error) => error,
   } = options;
 
   let lastError;
@@ -323,7 +414,7 @@ export async function retryWithBackoff(fn, options = {}) {
     } catch (error) {
       lastError = error;
 
-      if (attempt === maxRetries) {
+      if (attempt === maxRetries || !shouldRetry(error, attempt)) {
         throw error;
       }
 
@@ -338,6 +429,11 @@ export async function retryWithBackoff(fn, options = {}) {
         delay = delay * (0.5 + Math.random() * 0.5);
       }
 
+      // Don't start a retry that can't finish before the deadline
+      if (deadline != null && Date.now() + delay >= deadline) {
+        throw onDeadline(error);
+      }
+
       await new Promise((resolve) => setTimeout(resolve, delay));
     }
   }
@@ -327,13 +327,15 @@ export function logCacheMetrics(
  * @param {boolean} success - Whether the call was successful
  * @param {string} error - Error message if failed
  * @param {string} correlationId - Request correlation ID
+ * @param {Object} [details={}] - Additional event fields (e.g. circuit state)
  */
 export function logBackendIntegration(
   url,
   duration,
   success,
   error = null,
-  correlationId = null
+  correlationId = null,
+  details = {}
 ) {
   const level = success ? "INFO" : "WARN";
   const event = "BACKEND_INTEGRATION";
@@ -346,6 +348,7 @@ export function logBackendIntegration(
     duration,
     success,
     error,
+    ...details,
   };
 
   if (level === "INFO") {
@@ -0,0 +1,280 @@
+/**
+ * SSRF-guarded fetch module
+ *
+ * This module is the only way the service should make outbound HTTP
+ * requests (backend calls, image probing, page scraping). safeFetch() takes
+ * the same arguments as fetch() and returns a standard Response, but:
+ * - Validates every URL with validateOutboundUrl (http/https only, allowed
+ *   ports, no credentials, no private literal addresses)
+ * - Checks every address the hostname resolves to at connection time, so a
+ *   name resolving (or rebinding) to a private, loopback, link-local or
+ *   metadata-service address is refused
+ * - Follows redirects itself, re-validating each hop, up to a cap
+ * - Enforces a response size limit while reading the body
+ *
+ * Refused requests throw BlockedRequestError. Hosts listed in
+ * OUTBOUND_ALLOWED_PRIVATE_HOSTS (e.g. a backend inside your VPC) may reach
+ * private addresses; OUTBOUND_ALLOWED_PORTS replaces the default 80/443.
+ *
+ * Responses are not decompressed, so requests ask for identity encoding.
+ *
+ * @module utils/safe-fetch
+ */
+
+import dns from "node:dns";
+import http from "node:http";
+import https from "node:https";
+import { Readable, Transform } from "node:stream";
+import { getConfigValue } from "../config/environment.mjs";
+import { isPrivateAddress, validateOutboundUrl } from "./security.mjs";
+import { BlockedRequestError } from "./errors.mjs";
+import { ENV_VARS, OUTBOUND } from "./constants.mjs";
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const NULL_BODY_STATUSES = new Set([204, 205, 304]);
+
+/**
+ * Fetches a URL through the SSRF guard
+ *
+ * @param {string|URL} url - Request URL
+ * @param {Object} [options={}] - fetch() options plus guard options
+ * @param {string} [options.method="GET"] - HTTP method
+ * @param {Object} [options.headers] - Request headers
+ * @param {string|Buffer} [options.body] - Request body
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @param {number} [options.maxRedirects=3] - Redirects to follow
+ * @param {number} [options.maxResponseBytes=1048576] - Response body size limit
+ * @param {number[]} [options.allowedPorts] - Allowed ports (default from
+ *   OUTBOUND_ALLOWED_PORTS, else 80 and 443)
+ * @param {string[]} [options.allowedPrivateHosts] - Hosts allowed to reach
+ *   private addresses (default from OUTBOUND_ALLOWED_PRIVATE_HOSTS)
+ * @param {string[]} [options.credentialHeaders] - Headers carrying
+ *   credentials (e.g. an API key header), dropped with Authorization and
+ *   Cookie on cross-origin redirects
+ * @param {Function} [options.lookup=dns.lookup] - DNS lookup function
+ * @returns {Promise<Response>} Response of the final hop
+ * @throws {BlockedRequestError} When a URL, address, redirect or response size is refused
+ */
+export async function safeFetch(url, options = {}) {
+  const {
+    maxRedirects = OUTBOUND.MAX_REDIRECTS,
+    maxResponseBytes = OUTBOUND.MAX_RESPONSE_BYTES,
+    allowedPorts = getAllowedPorts(),
+    allowedPrivateHosts = getAllowedPrivateHosts(),
+    lookup = dns.lookup,
+    signal,
+    credentialHeaders = [],
+  } = options;
+  const crossOriginDropped = [
+    "authorization",
+    "cookie",
+    ...credentialHeaders.map((name) => name.toLowerCase()),
+  ];
+
+  let currentUrl = String(url);
+  let method = (options.method || "GET").toUpperCase();
+  let body = options.body;
+  let headers = { ...(options.headers || {}) };
+
+  for (let hop = 0; ; hop++) {
+    const validation = validateOutboundUrl(currentUrl, {
+      allowedPorts,
+      allowedPrivateHosts,
+    });
+    if (!validation.isValid) {
+      throw new BlockedRequestError(validation.error, { url: currentUrl });
+    }
+
+    const response = await sendRequest(validation, {
+      method,
+      headers,
+      body,
+      signal,
+      lookup,
+    });
+
+    const location = response.headers.location;
+    if (!REDIRECT_STATUSES.has(response.statusCode) || !location) {
+      return toResponse(response, method, maxResponseBytes, currentUrl);
+    }
+
+    response.resume();
+
+    if (hop >= maxRedirects) {
+      throw new BlockedRequestError(`More than ${maxRedirects} redirects`, {
+        url: currentUrl,
+      });
+    }
+
+    let nextUrl;
+    try {
+      nextUrl = new URL(location, validation.url);
+    } catch {
+      throw new BlockedRequestError(
+        `Redirect to an invalid Location: ${location}`,
+        { url: currentUrl }
+      );
+    }
+
+    // Credentials are only sent to the origin they were meant for
+    if (nextUrl.origin !== validation.url.origin) {
+      headers = withoutHeaders(headers, crossOriginDropped);
+    }
+
+    // 303 (and 301/302 after a POST) turn into a GET without a body
+    if (
+      response.statusCode === 303 ||
+      ([301, 302].includes(response.statusCode) && method === "POST")
+    ) {
+      method = method === "HEAD" ? "HEAD" : "GET";
+      body = undefined;
+      headers = withoutHeaders(headers, ["content-type", "content-length"]);
+    }
+
+    currentUrl = nextUrl.href;
+  }
+}
+
+/**
+ * Sends a single request, checking resolved addresses at connection time
+ * @param {Object} target - Successful validateOutboundUrl result
+ * @param {Object} options - Request options
+ * @returns {Promise<http.IncomingMessage>} Response
+ */
+function sendRequest(target, { method, headers, body, signal, lookup }) {
+  const transport = target.url.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(target.url, {
+      method,
+      headers: { "Accept-Encoding": "identity", ...headers },
+      signal,
+      lookup: createGuardedLookup(lookup, target.allowPrivate),
+    });
+
+    request.once("response", resolve);
+    request.once("error", reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Creates a DNS lookup that refuses private addresses
+ *
+ * Used as the socket's lookup function, so the checked addresses are the
+ * ones actually connected to (no gap for DNS rebinding).
+ *
+ * @param {Function} lookup - Underlying dns.lookup-compatible function
+ * @param {boolean} allowPrivate - Whether private addresses are allowed
+ * @returns {Function} dns.lookup-compatible function
+ */
+function createGuardedLookup(lookup, allowPrivate) {
+  return (hostname, options, callback) => {
+    lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+
+      const blocked = allowPrivate
+        ? null
+        : addresses.find(({ address }) => isPrivateAddress(address));
+      if (blocked || addresses.length === 0) {
+        return callback(
+          new BlockedRequestError(
+            `${hostname} resolves to disallowed address ${blocked ? blocked.address : "(none)"}`
+          )
+        );
+      }
+
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+/**
+ * Converts a Node response into a fetch Response with a size-limited body
+ * @param {http.IncomingMessage} response - Node response
+ * @param {string} method - Request method
+ * @param {number} maxBytes - Response body size limit
+ * @param {string} url - Final request URL
+ * @returns {Response} Fetch Response
+ * @throws {BlockedRequestError} When Content-Length exceeds the limit
+ */
+function toResponse(response, method, maxBytes, url) {
+  const contentLength = Number(response.headers["content-length"]);
+  if (contentLength > maxBytes) {
+    response.destroy();
+    throw new BlockedRequestError(
+      `Response of ${contentLength} bytes exceeds ${maxBytes} bytes`,
+      { url }
+    );
+  }
+
+  const headers = new Headers();
+  for (let i = 0; i < response.rawHeaders.length; i += 2) {
+    headers.append(response.rawHeaders[i], response.rawHeaders[i + 1]);
+  }
+
+  let body = null;
+  if (method !== "HEAD" && !NULL_BODY_STATUSES.has(response.statusCode)) {
+    let received = 0;
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > maxBytes) {
+          callback(
+            new BlockedRequestError(`Response exceeds ${maxBytes} bytes`, { url })
+          );
+          response.destroy();
+          return;
+        }
+        callback(null, chunk);
+      },
+    });
+    response.once("error", (error) => limiter.destroy(error));
+    body = Readable.toWeb(response.pipe(limiter));
+  } else {
+    response.resume();
+  }
+
+  return new Response(body, {
+    status: response.statusCode,
+    statusText: response.statusMessage,
+    headers,
+  });
+}
+
+/**
+ * Returns headers without the given names (case-insensitive)
+ * @param {Object} headers - Request headers
+ * @param {string[]} names - Lowercase header names to drop
+ * @returns {Object} Remaining headers
+ */
+function withoutHeaders(headers, names) {
+  return Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !names.includes(name.toLowerCase()))
+  );
+}
+
+/**
+ * Gets the allowed outbound ports
+ * @returns {number[]} Ports from OUTBOUND_ALLOWED_PORTS, or the defaults
+ */
+function getAllowedPorts() {
+  const ports = getConfigValue(ENV_VARS.OUTBOUND_ALLOWED_PORTS, [], "array")
+    .map(Number)
+    .filter((port) => Number.isInteger(port) && port > 0 && port < 65536);
+
+  return ports.length > 0 ? ports : OUTBOUND.ALLOWED_PORTS;
+}
+
+/**
+ * Gets the hosts allowed to reach private addresses
+ * @returns {string[]} Lowercase hostnames from OUTBOUND_ALLOWED_PRIVATE_HOSTS
+ */
+function getAllowedPrivateHosts() {
+  return getConfigValue(
+    ENV_VARS.OUTBOUND_ALLOWED_PRIVATE_HOSTS,
+    [],
+    "array"
+  ).map((host) => host.toLowerCase());
+}
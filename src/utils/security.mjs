@@ -7,7 +7,39 @@
  * @module utils/security
  */
 
-import { REGEX_PATTERNS, SECURITY } from "./constants.mjs";
+import { BlockList, isIP } from "node:net";
+import { OUTBOUND, REGEX_PATTERNS, SECURITY } from "./constants.mjs";
+
+// Addresses outbound requests must never reach: private networks, loopback,
+// link-local (including the 169.254.169.254 instance metadata service),
+// carrier-grade NAT, multicast and reserved ranges. IPv4-mapped IPv6
+// addresses (::ffff:a.b.c.d) are matched against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new BlockList();
+[
+    ["0.0.0.0", 8],
+    ["10.0.0.0", 8],
+    ["100.64.0.0", 10],
+    ["127.0.0.0", 8],
+    ["169.254.0.0", 16],
+    ["172.16.0.0", 12],
+    ["192.0.0.0", 24],
+    ["192.0.2.0", 24],
+    ["192.168.0.0", 16],
+    ["198.18.0.0", 15],
+    ["198.51.100.0", 24],
+    ["203.0.113.0", 24],
+    ["224.0.0.0", 4],
+    ["240.0.0.0", 4],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4"));
+[
+    ["::", 96], // unspecified, loopback and IPv4-compatible addresses
+    ["64:ff9b::", 96], // NAT64
+    ["100::", 64], // discard
+    ["2001:db8::", 32], // documentation
+    ["fc00::", 7], // unique local, including the fd00:ec2::254 metadata service
+    ["fe80::", 10], // link-local
+    ["ff00::", 8], // multicast
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6"));
 
 /**
  * Validates and sanitizes URLs to prevent injection attacks
@@ -46,6 +78,77 @@ export function validateAndSanitizeUrl(url) {
     }
 }
 
+/**
+ * Checks whether an IP address is in a private, loopback, link-local,
+ * metadata-service or otherwise non-public range
+ * @param {string} address - IPv4 or IPv6 address (brackets allowed)
+ * @returns {boolean} True if outbound requests must not reach the address
+ */
+export function isPrivateAddress(address) {
+    const ip = String(address).replace(/^\[|\]$/g, "");
+    const family = isIP(ip);
+
+    // Anything that isn't a valid address is treated as unsafe
+    if (family === 0) return true;
+
+    return BLOCKED_ADDRESSES.check(ip, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Validates a URL for an outbound request (SSRF protection)
+ *
+ * Builds on validateAndSanitizeUrl and additionally rejects credentials in
+ * the URL, ports outside the allowed list and literal IP addresses in
+ * private ranges. Hostnames must still be checked after DNS resolution
+ * (see utils/safe-fetch.mjs), since public names can resolve to private
+ * addresses.
+ *
+ * @param {string} url - URL to validate
+ * @param {Object} [options={}] - Validation options
+ * @param {number[]} [options.allowedPorts] - Allowed ports (default 80 and 443)
+ * @param {string[]} [options.allowedPrivateHosts] - Hostnames allowed to
+ *   reach private addresses (e.g. an internal backend)
+ * @returns {Object} Validation result with the parsed URL
+ */
+export function validateOutboundUrl(url, options = {}) {
+    const validation = validateAndSanitizeUrl(url);
+    if (!validation.isValid) return validation;
+
+    const {
+        allowedPorts = OUTBOUND.ALLOWED_PORTS,
+        allowedPrivateHosts = [],
+    } = options;
+    const urlObj = new URL(url);
+
+    if (urlObj.username || urlObj.password) {
+        return { isValid: false, error: "URL must not contain credentials" };
+    }
+
+    const port = Number(urlObj.port) || (urlObj.protocol === "https:" ? 443 : 80);
+    if (!allowedPorts.includes(port)) {
+        return { isValid: false, error: `Port ${port} is not allowed` };
+    }
+
+    const hostname = urlObj.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+    const allowPrivate = allowedPrivateHosts.includes(hostname);
+
+    if (!allowPrivate && (hostname === "localhost" || hostname.endsWith(".localhost"))) {
+        return { isValid: false, error: "Loopback hosts are not allowed" };
+    }
+
+    if (!allowPrivate && isIP(hostname) && isPrivateAddress(hostname)) {
+        return { isValid: false, error: `Address ${hostname} is not allowed` };
+    }
+
+    return {
+        isValid: true,
+        url: urlObj,
+        hostname,
+        port,
+        allowPrivate,
+    };
+}
+
 /**
  * Sanitizes text content to prevent XSS attacks
  * @param {string} text - Text to sanitize
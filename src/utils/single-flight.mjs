@@ -0,0 +1,70 @@
+/**
+ * Single-flight request coalescing module
+ *
+ * This module deduplicates concurrent calls for the same key: the first
+ * caller (the leader) runs the operation and every caller arriving while it
+ * is in flight (a follower) shares its promise. Once the operation settles
+ * the key is released, so later calls run it again.
+ *
+ * Usage:
+ * ```javascript
+ * const flights = createSingleFlight({ onSettle: logStats });
+ * const data = await flights.run(`video:${id}`, () => fetchVideo(id));
+ * ```
+ *
+ * @module utils/single-flight
+ */
+
+/**
+ * Creates a single-flight group
+ *
+ * @param {Object} [options={}] - Group options
+ * @param {Function} [options.onSettle] - Called as (key, { followers, success })
+ *   when an operation settles, with the number of callers that shared it
+ * @returns {Object} Group with run, inFlight and getStats
+ */
+export function createSingleFlight(options = {}) {
+  const { onSettle = () => {} } = options;
+  const flights = new Map();
+  const stats = { leaders: 0, followers: 0 };
+
+  /**
+   * Runs an operation, sharing the in-flight call for the same key
+   * @param {string} key - Deduplication key
+   * @param {Function} fn - Async operation to run
+   * @returns {Promise<any>} Operation result, shared by concurrent callers
+   */
+  function run(key, fn) {
+    const existing = flights.get(key);
+    if (existing) {
+      existing.followers++;
+      stats.followers++;
+      return existing.promise;
+    }
+
+    // Register before starting so a synchronous failure still releases the key
+    const flight = { followers: 0, promise: null };
+    flights.set(key, flight);
+    stats.leaders++;
+
+    flight.promise = (async () => {
+      let success = false;
+      try {
+        const result = await fn();
+        success = true;
+        return result;
+      } finally {
+        flights.delete(key);
+        onSettle(key, { followers: flight.followers, success });
+      }
+    })();
+
+    return flight.promise;
+  }
+
+  return {
+    run,
+    inFlight: () => flights.size,
+    getStats: () => ({ ...stats, inFlight: flights.size }),
+  };
+}